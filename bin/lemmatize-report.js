@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+/**
+ * CLI et API Node pour analyser des fichiers Markdown hors de
+ * l'éditeur.  L'analyse est celle du worker (lemmatizer-core.js) et le
+ * dictionnaire est lu depuis le bundle du pack de langue choisi
+ * (dict-bundle.bin pour le français, généré par build-dicts.js).
+ *
+ * Usage : lemmatize-report chapitre*.md [--format text|json]
+ *                          [--fail-above N] [--metric NOM] ...
+ *
+ * Avec --fail-above, le code de sortie vaut 1 si la métrique choisie
+ * dépasse N pour au moins un fichier, ce qui permet de bloquer une
+ * intégration continue.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const core = require('../lemmatizer-core');
+
+/**
+ * Bundle du dictionnaire d'une langue, à la racine du projet
+ */
+function dictionaryFile(language = core.DEFAULT_LANGUAGE) {
+  return path.join(__dirname, '..', core.getLanguagePack(language).bundle);
+}
+
+// Métriques utilisables avec --fail-above
+const METRICS = {
+  'max-frequency': (report) => (report.lemmaFrequencies[0] ? report.lemmaFrequencies[0].frequency : 0),
+  'repeated-tokens': (report) => report.stats.repeatedTokenCount,
+  'proximity-pairs': (report) => report.stats.proximityPairCount,
+  'repeated-phrases': (report) => report.stats.phraseCount
+};
+
+const USAGE = `Usage : lemmatize-report <fichier.md>... [options]
+
+Analyse les répétitions de fichiers Markdown (« - » pour l'entrée standard).
+
+Options :
+  --format text|json     format du rapport (défaut : text)
+  --fail-above N         code de sortie 1 si la métrique dépasse N
+  --metric NOM           métrique de --fail-above : ${Object.keys(METRICS).join(', ')}
+                         (défaut : max-frequency)
+  --lang CODE            langue des fichiers : ${Object.keys(core.LANGUAGE_PACKS).join(', ')}
+                         (défaut : ${core.DEFAULT_LANGUAGE})
+  --dict FICHIER         bundle de dictionnaire (défaut : celui de la langue)
+  --ignore FICHIER       lemmes à ignorer, un par ligne (# pour les commentaires)
+  --no-stop-words        ne pas ignorer les mots outils
+  --window N             fenêtre de la détection de proximité, en mots
+  --no-phrases           ne pas détecter les expressions répétées
+  --families             regrouper les familles de mots (rapide, rapidement, rapidité)
+  -h, --help             afficher cette aide
+`;
+
+/**
+ * Erreur d'utilisation (arguments invalides), signalée avec le code de
+ * sortie 2
+ */
+class UsageError extends Error {}
+
+/**
+ * Ouvre le dictionnaire bundlé (format binaire, décodé à la demande)
+ */
+function loadDictionary(file = dictionaryFile()) {
+  try {
+    return core.openDictionary(fs.readFileSync(file));
+  } catch (err) {
+    throw new Error(`${err.message} : ${file}`);
+  }
+}
+
+/**
+ * Lit une liste de lemmes (un par ligne, lignes vides et commentaires
+ * # ignorés), au même format que l'export du panneau « Mots ignorés »
+ */
+function readLemmaList(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+}
+
+/**
+ * Renvoie une fonction qui convertit un index de caractère en position
+ * { line, column } (à partir de 1)
+ */
+function createPositionLookup(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+  return (index) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= index) low = mid; else high = mid - 1;
+    }
+    return { line: low + 1, column: index - lineStarts[low] + 1 };
+  };
+}
+
+/**
+ * Analyse un texte et renvoie un rapport sérialisable : statistiques,
+ * lemmes les plus répétés avec leurs positions, expressions répétées et
+ * répétitions proches.
+ */
+function analyzeText(text, dict, options = {}) {
+  const result = core.analyze(text, dict, options);
+  const position = createPositionLookup(text);
+  const positions = new Map();
+  for (const { start, lemma } of result.highlights) {
+    if (!positions.has(lemma)) positions.set(lemma, []);
+    positions.get(lemma).push(position(start));
+  }
+  return {
+    stats: result.stats,
+    lemmaFrequencies: result.lemmaFrequencies.map((entry) => ({
+      ...entry,
+      positions: positions.get(entry.lemma) || []
+    })),
+    proximityPairs: result.proximityPairs.map(({ lemma, distance, score, first, second }) => ({
+      lemma,
+      distance,
+      score,
+      first: position(first.start),
+      second: position(second.start)
+    })),
+    repeatedPhrases: result.repeatedPhrases.map(({ phrase, text: phraseText, length, count, occurrences }) => ({
+      phrase,
+      text: phraseText,
+      length,
+      count,
+      positions: occurrences.map(({ start }) => position(start))
+    }))
+  };
+}
+
+function analyzeFile(file, dict, options = {}) {
+  const text = file === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(file, 'utf8');
+  return { file, ...analyzeText(text, dict, options) };
+}
+
+/**
+ * Met en forme les rapports pour la console
+ */
+function formatText(reports) {
+  const lines = [];
+  for (const { file, stats, lemmaFrequencies, repeatedPhrases, proximityPairs } of reports) {
+    lines.push(`${file} : ${stats.scannedWords} mots, ${stats.distinctLemmaCount} lemmes distincts, `
+      + `${stats.repeatedTokenCount} occurrences répétées, ${stats.proximityPairCount || 0} répétitions proches`);
+    const width = Math.max(0, ...lemmaFrequencies.map(({ lemma }) => lemma.length));
+    for (const { lemma, frequency, heat, positions, members } of lemmaFrequencies) {
+      const at = positions.slice(0, 8).map(({ line, column }) => `${line}:${column}`).join(' ');
+      const more = positions.length > 8 ? ' …' : '';
+      lines.push(`  ${String(frequency).padStart(4)}  ${lemma.padEnd(width)}  chaleur ${heat}  ${at}${more}`);
+      if (members) {
+        lines.push(`        famille : ${members.map((member) => `${member.lemma} (${member.frequency})`).join(', ')}`);
+      }
+    }
+    for (const { text, count, positions } of repeatedPhrases.slice(0, 10)) {
+      const at = positions.map(({ line, column }) => `${line}:${column}`).join(' ');
+      lines.push(`  expression : « ${text} » ${count} fois (${at})`);
+    }
+    for (const { lemma, distance, first, second } of proximityPairs.slice(0, 10)) {
+      lines.push(`  proche : ${lemma} à ${distance} mot${distance > 1 ? 's' : ''} (${first.line}:${first.column} → ${second.line}:${second.column})`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function parseArgs(argv) {
+  const args = {
+    files: [],
+    format: 'text',
+    failAbove: null,
+    metric: 'max-frequency',
+    language: core.DEFAULT_LANGUAGE,
+    dict: null,
+    ignore: null,
+    useStopWords: true,
+    window: null,
+    phrases: true,
+    families: false,
+    help: false
+  };
+  const value = (i, name) => {
+    if (i >= argv.length) throw new UsageError(`Valeur manquante pour ${name}`);
+    return argv[i];
+  };
+  const number = (text, name) => {
+    const n = Number(text);
+    if (!Number.isFinite(n) || n < 0) throw new UsageError(`${name} attend un nombre positif : ${text}`);
+    return n;
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '-h':
+      case '--help': args.help = true; break;
+      case '--format': args.format = value(++i, arg); break;
+      case '--fail-above': args.failAbove = number(value(++i, arg), arg); break;
+      case '--metric': args.metric = value(++i, arg); break;
+      case '--lang': args.language = value(++i, arg); break;
+      case '--dict': args.dict = value(++i, arg); break;
+      case '--ignore': args.ignore = value(++i, arg); break;
+      case '--no-stop-words': args.useStopWords = false; break;
+      case '--window': args.window = number(value(++i, arg), arg); break;
+      case '--no-phrases': args.phrases = false; break;
+      case '--families': args.families = true; break;
+      default:
+        if (arg.startsWith('--')) throw new UsageError(`Option inconnue : ${arg}`);
+        args.files.push(arg);
+    }
+  }
+  if (!['text', 'json'].includes(args.format)) throw new UsageError(`Format inconnu : ${args.format}`);
+  if (!METRICS[args.metric]) throw new UsageError(`Métrique inconnue : ${args.metric}`);
+  if (!core.LANGUAGE_PACKS[args.language]) throw new UsageError(`Langue inconnue : ${args.language}`);
+  return args;
+}
+
+/**
+ * Point d'entrée de la CLI ; renvoie le code de sortie
+ */
+function main(argv = process.argv.slice(2)) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (args.files.length === 0) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  let dict;
+  let reports;
+  try {
+    dict = loadDictionary(args.dict || dictionaryFile(args.language));
+    const options = {
+      language: args.language,
+      ignore: {
+        useStopWords: args.useStopWords,
+        lemmas: args.ignore ? readLemmaList(args.ignore) : []
+      },
+      proximity: args.window !== null ? { window: args.window } : undefined,
+      phrases: { enabled: args.phrases },
+      families: { enabled: args.families }
+    };
+    reports = args.files.map((file) => analyzeFile(file, dict, options));
+  } catch (err) {
+    console.error(`Erreur : ${err.message}`);
+    return 2;
+  }
+
+  console.log(args.format === 'json' ? JSON.stringify(reports, null, 2) : formatText(reports));
+
+  if (args.failAbove === null) return 0;
+  const failures = reports
+    .map((report) => ({ file: report.file, value: METRICS[args.metric](report) }))
+    .filter(({ value }) => value > args.failAbove);
+  for (const { file, value } of failures) {
+    console.error(`✗ ${file} : ${args.metric} = ${value} (maximum ${args.failAbove})`);
+  }
+  return failures.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
+
+module.exports = {
+  dictionaryFile,
+  loadDictionary,
+  analyzeText,
+  analyzeFile,
+  formatText,
+  main
+};
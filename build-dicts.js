@@ -1,21 +1,186 @@
 #!/usr/bin/env node
 /**
- * Script de build pour télécharger et bundler les dictionnaires LEFFF.
- * Ce script télécharge les dictionnaires depuis unpkg, les traite et
- * crée un fichier JSON optimisé contenant uniquement le mapping
- * word_nosc -> lemma.
+ * Script de build pour bundler les dictionnaires de chaque langue.
+ * Pour le français, ce script lit les dictionnaires LEFFF du paquet
+ * nlp-js-tools-french (dossier local, archive npm vendorisée ou, avec
+ * --download, téléchargement depuis unpkg) ; pour l'anglais, la base
+ * WordNet du paquet wndb-with-exceptions (archive vendorisée ou, avec
+ * --download, téléchargement depuis le registre npm).  Il vérifie leurs
+ * empreintes SHA-256 (dict-sources.sha256), les traite et crée pour chaque langue un
+ * fichier binaire compact (le bundle du pack de langue, dict-bundle.bin
+ * pour le français, voir encodeDictionary() dans lemmatizer-core.js),
+ * accompagné de sa description (dict-bundle.version.json : version,
+ * date, empreinte SHA-256 et taille, que le worker compare à son
+ * cache), contenant, pour chaque forme (en minuscules, accents compris),
+ * la liste de ses lemmes candidats avec leur catégorie grammaticale :
+ * word -> [[lemma, pos], ...], ainsi qu'un index de repli
+ * word_nosc -> [word, ...] pour les formes accentuées.  Il y ajoute un
+ * thésaurus (synonymes du thésaurus LibreOffice de Dicollecte pour le
+ * français, synsets de WordNet pour l'anglais) restreint aux lemmes
+ * connus du dictionnaire : lemma -> [[catégorie, [synonyme, ...]], ...],
+ * et les familles de mots, obtenues par des règles de suffixation entre
+ * lemmes du dictionnaire : lemma -> lemme de tête de la famille.
+ * Un manifeste (sources, empreintes, nombre d'entrées par dictionnaire)
+ * est ajouté au bundle.
+ *
+ * Usage : node build-dicts.js [--lang fr,en]
+ *                             [--source DOSSIER | --archive FICHIER.tgz]
+ *                             [--thesaurus FICHIER | --no-thesaurus]
+ *                             [--no-families] [--wordnet FICHIER.tgz]
+ *                             [--checksums FICHIER] [--update-checksums]
+ *                             [--download] [--output FICHIER]
  */
 
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { encodeDictionary, getLanguagePack } = require('./lemmatizer-core');
 
 const DICT_NAMES = ['adj', 'adv', 'art', 'conj', 'nom', 'ono', 'pre', 'ver', 'pro'];
-const DICT_BASE_URL = 'https://unpkg.com/nlp-js-tools-french@1.0.9/dict/';
-const OUTPUT_FILE = path.join(__dirname, 'dict-bundle.json');
+const LEFFF_PACKAGE = 'nlp-js-tools-french';
+const LEFFF_VERSION = '1.0.9';
+const DICT_BASE_URL = `https://unpkg.com/${LEFFF_PACKAGE}@${LEFFF_VERSION}/dict/`;
+// Thésaurus de LibreOffice, figé sur une version publiée (tag du dépôt
+// dictionaries) pour que son empreinte reste valable
+const THESAURUS_VERSION = 'libreoffice-24.8.0.1';
+const THESAURUS_URL = `https://raw.githubusercontent.com/LibreOffice/dictionaries/${THESAURUS_VERSION}/fr_FR/thes_fr.dat`;
+const THESAURUS_FILE_NAME = 'thes_fr.dat';
+const WORDNET_PACKAGE = 'wndb-with-exceptions';
+const WORDNET_VERSION = '3.0.2';
+const WORDNET_FILE_NAME = `${WORDNET_PACKAGE}-${WORDNET_VERSION}.tgz`;
+const WORDNET_URL = `https://registry.npmjs.org/${WORDNET_PACKAGE}/-/${WORDNET_FILE_NAME}`;
+const CHECKSUMS_FILE = path.join(__dirname, 'dict-sources.sha256');
+
+// Langues construites par défaut (codes des packs de lemmatizer-core.js)
+const LANGUAGES = ['fr', 'en'];
+
+// Sources vendorisées utilisées par défaut lorsqu'elles sont présentes
+// (archive produite par `npm pack nlp-js-tools-french@1.0.9`)
+const VENDOR_DIR = path.join(__dirname, 'vendor');
+const VENDOR_ARCHIVE = path.join(VENDOR_DIR, `${LEFFF_PACKAGE}-${LEFFF_VERSION}.tgz`);
+const VENDOR_THESAURUS = path.join(VENDOR_DIR, THESAURUS_FILE_NAME);
+const VENDOR_WORDNET = path.join(VENDOR_DIR, WORDNET_FILE_NAME);
+
+// Catégories du thésaurus (« (nom) », « (verbe) », « (adj.) »...)
+// ramenées aux catégories principales de LEFFF
+const THESAURUS_CATEGORIES = [
+  [/^nom/, 'NOM'],
+  [/^verbe/, 'VER'],
+  [/^adj/, 'ADJ'],
+  [/^adv/, 'ADV']
+];
+
+// Fichiers de WordNet et catégories LEFFF correspondantes (les
+// catégories des synsets : n, v, a, s pour les adjectifs satellites, r)
+const WORDNET_PARTS = [
+  ['noun', 'NOM'],
+  ['verb', 'VER'],
+  ['adj', 'ADJ'],
+  ['adv', 'ADV']
+];
+const WORDNET_SYNSET_CATEGORIES = { n: 'NOM', v: 'VER', a: 'ADJ', s: 'ADJ', r: 'ADV' };
+
+// Règles de dérivation des familles de mots : [suffixe du dérivé,
+// catégorie du dérivé, suffixe de la base, catégorie de la base].  Un
+// lemme est rattaché à sa base lorsque celle-ci est aussi un lemme du
+// dictionnaire de la catégorie attendue (« rapidement » ADV → « rapide »
+// ADJ, « décision » NOM → « décider » VER) ; les familles sont les
+// groupes de lemmes ainsi reliés.  Le radical doit compter au moins
+// FAMILY_MIN_STEM lettres.
+const FAMILY_RULES = {
+  fr: [
+    // Adverbes en -ment
+    ['ement', 'ADV', '', 'ADJ'], // lentement → lent
+    ['ement', 'ADV', 'e', 'ADJ'], // rapidement → rapide
+    ['ément', 'ADV', '', 'ADJ'], // précisément → précis
+    ['ément', 'ADV', 'e', 'ADJ'], // énormément → énorme
+    ['ment', 'ADV', '', 'ADJ'], // vraiment → vrai
+    ['amment', 'ADV', 'ant', 'ADJ'], // bruyamment → bruyant
+    ['emment', 'ADV', 'ent', 'ADJ'], // prudemment → prudent
+    ['ivement', 'ADV', 'if', 'ADJ'], // décisivement → décisif
+    ['eusement', 'ADV', 'eux', 'ADJ'], // heureusement → heureux
+    ['ièrement', 'ADV', 'ier', 'ADJ'], // entièrement → entier
+    // Noms de qualité
+    ['ité', 'NOM', '', 'ADJ'], // égalité → égal
+    ['ité', 'NOM', 'e', 'ADJ'], // rapidité → rapide
+    ['ivité', 'NOM', 'if', 'ADJ'], // activité → actif
+    ['osité', 'NOM', 'eux', 'ADJ'], // curiosité → curieux
+    ['abilité', 'NOM', 'able', 'ADJ'], // stabilité → stable
+    ['té', 'NOM', '', 'ADJ'], // fierté → fier
+    ['esse', 'NOM', '', 'ADJ'], // finesse → fin
+    ['esse', 'NOM', 'e', 'ADJ'], // tristesse → triste
+    ['eur', 'NOM', '', 'ADJ'], // grandeur → grand
+    ['ance', 'NOM', 'ant', 'ADJ'], // élégance → élégant
+    ['ence', 'NOM', 'ent', 'ADJ'], // prudence → prudent
+    ['isme', 'NOM', 'ique', 'ADJ'], // romantisme → romantique
+    ['ique', 'ADJ', 'ie', 'NOM'], // ironique → ironie
+    ['eux', 'ADJ', '', 'NOM'], // peureux → peur
+    ['eux', 'ADJ', 'e', 'NOM'], // courageux → courage
+    // Noms et adjectifs verbaux
+    ['ation', 'NOM', 'er', 'VER'], // création → créer
+    ['ateur', 'NOM', 'er', 'VER'], // créateur → créer
+    ['atrice', 'NOM', 'er', 'VER'], // créatrice → créer
+    ['ature', 'NOM', 'er', 'VER'], // signature → signer
+    ['ision', 'NOM', 'ider', 'VER'], // décision → décider
+    ['isif', 'ADJ', 'ider', 'VER'], // décisif → décider
+    ['ement', 'NOM', 'er', 'VER'], // changement → changer
+    ['issement', 'NOM', 'ir', 'VER'], // établissement → établir
+    ['age', 'NOM', 'er', 'VER'], // passage → passer
+    ['ée', 'NOM', 'er', 'VER'], // pensée → penser
+    ['eur', 'NOM', 'er', 'VER'], // chanteur → chanter
+    ['euse', 'NOM', 'er', 'VER'], // chanteuse → chanter
+    ['ance', 'NOM', 'er', 'VER'], // espérance → espérer
+    ['able', 'ADJ', 'er', 'VER'], // mangeable → manger
+    ['atif', 'ADJ', 'er', 'VER'] // informatif → informer
+  ],
+  en: [
+    ['ly', 'ADV', '', 'ADJ'], // quickly → quick
+    ['ily', 'ADV', 'y', 'ADJ'], // happily → happy
+    ['ably', 'ADV', 'able', 'ADJ'], // probably → probable
+    ['ness', 'NOM', '', 'ADJ'], // darkness → dark
+    ['iness', 'NOM', 'y', 'ADJ'], // happiness → happy
+    ['ity', 'NOM', '', 'ADJ'], // formality → formal
+    ['ity', 'NOM', 'e', 'ADJ'], // rarity → rare
+    ['ability', 'NOM', 'able', 'ADJ'], // stability → stable
+    ['ction', 'NOM', 'ct', 'VER'], // construction → construct
+    ['ation', 'NOM', '', 'VER'], // information → inform
+    ['ation', 'NOM', 'ate', 'VER'], // creation → create
+    ['ision', 'NOM', 'ide', 'VER'], // decision → decide
+    ['isive', 'ADJ', 'ide', 'VER'], // decisive → decide
+    ['ment', 'NOM', '', 'VER'], // movement → move
+    ['er', 'NOM', '', 'VER'], // singer → sing
+    ['er', 'NOM', 'e', 'VER'], // writer → write
+    ['ful', 'ADJ', '', 'NOM'], // careful → care
+    ['less', 'ADJ', '', 'NOM'] // careless → care
+  ]
+};
+// Liens produits par les règles mais étrangers au sens : [dérivé, base]
+const FAMILY_EXCLUSIONS = {
+  fr: [
+    ['couleur', 'couler'],
+    ['visage', 'viser'],
+    ['erreur', 'errer'],
+    ['heureux', 'heur'],
+    ['créance', 'créer'],
+    ['coupable', 'couper'],
+    ['ingénieur', 'ingénier'],
+    ['importance', 'importer'],
+    ['armée', 'armer'],
+    ['contrée', 'contrer']
+  ],
+  en: [
+    ['corner', 'corn'],
+    ['matter', 'matte'],
+    ['department', 'depart']
+  ]
+};
+const FAMILY_MIN_STEM = 3;
 
 /**
- * Télécharge un fichier depuis une URL
+ * Télécharge un fichier depuis une URL et renvoie son contenu brut
+ * (Buffer), à décoder par l'appelant
  */
 function fetch(url) {
   return new Promise((resolve, reject) => {
@@ -24,14 +189,206 @@ function fetch(url) {
         reject(new Error(`HTTP ${res.statusCode}: ${url}`));
         return;
       }
-      let data = '';
-      res.on('data', (chunk) => { data += chunk; });
-      res.on('end', () => resolve(data));
+      const chunks = [];
+      res.on('data', (chunk) => { chunks.push(chunk); });
+      res.on('end', () => resolve(Buffer.concat(chunks)));
       res.on('error', reject);
     }).on('error', reject);
   });
 }
 
+/**
+ * Empreinte SHA-256 (hexadécimale) d'un contenu
+ */
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Lit un fichier d'empreintes au format de `sha256sum` :
+ * « <empreinte>  <nom> » par ligne.  Renvoie une Map nom -> empreinte.
+ */
+function readChecksums(file) {
+  const checksums = new Map();
+  if (!fs.existsSync(file)) return checksums;
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    const match = line.match(/^([0-9a-f]{64}) [ *](.+)$/i);
+    if (match) checksums.set(match[2].trim(), match[1].toLowerCase());
+  }
+  return checksums;
+}
+
+function writeChecksums(file, checksums) {
+  const lines = Array.from(checksums, ([name, hash]) => `${hash}  ${name}`);
+  fs.writeFileSync(file, lines.join('\n') + '\n', 'utf8');
+}
+
+/**
+ * Vérifie l'empreinte d'une source.  Une empreinte absente du fichier ou
+ * différente de celle du fichier interrompt le build.  Avec `update`,
+ * l'empreinte calculée remplace celle du fichier (à n'utiliser qu'après
+ * avoir vérifié la nouvelle source).  Renvoie l'empreinte.
+ */
+function verifyChecksum(checksums, name, buffer, update) {
+  const actual = sha256(buffer);
+  if (update) {
+    checksums.set(name, actual);
+    return actual;
+  }
+  const expected = checksums.get(name);
+  if (!expected) {
+    throw new Error(`Aucune empreinte connue pour ${name} (${actual}) : vérifier la source puis relancer avec --update-checksums`);
+  }
+  if (expected !== actual) {
+    throw new Error(`Empreinte SHA-256 invalide pour ${name} : attendu ${expected}, obtenu ${actual}`);
+  }
+  return actual;
+}
+
+/**
+ * Lit une archive .tgz (format tar ustar, tel que produit par `npm pack`)
+ * et renvoie une Map chemin -> contenu des fichiers qu'elle contient
+ */
+function readTarGz(buffer) {
+  const tar = zlib.gunzipSync(buffer);
+  const files = new Map();
+  const field = (header, start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+  let offset = 0;
+  while (offset + 512 <= tar.length) {
+    const header = tar.subarray(offset, offset + 512);
+    const name = field(header, 0, 100);
+    if (!name) break;
+    const size = parseInt(field(header, 124, 12).trim(), 8) || 0;
+    const type = field(header, 156, 1);
+    const prefix = field(header, 345, 155);
+    offset += 512;
+    if (type === '' || type === '0') {
+      files.set(prefix ? `${prefix}/${name}` : name, tar.subarray(offset, offset + size));
+    }
+    offset += Math.ceil(size / 512) * 512;
+  }
+  return files;
+}
+
+/**
+ * Version du paquet lue dans son package.json (null si absent)
+ */
+function packageVersion(buffer) {
+  try {
+    return JSON.parse(buffer.toString('utf8')).version || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Erreur levée lorsqu'une source n'est pas disponible localement et que
+ * le téléchargement n'a pas été autorisé (--download)
+ */
+function missingSource(description, vendorFile) {
+  return new Error(`${description} introuvable : fournir ${path.relative(__dirname, vendorFile)} ou relancer avec --download`);
+}
+
+/**
+ * Ouvre la source des dictionnaires LEFFF : dossier local (le paquet
+ * extrait ou son sous-dossier dict/), archive npm, ou téléchargement
+ * (--download).
+ * Renvoie { origin, location, version, sha256, read(name) }, où
+ * read(name) renvoie le contenu de dict/<name>.js.
+ */
+function openLefffSource(options, checksums) {
+  if (options.source) {
+    const root = path.resolve(options.source);
+    const dictDir = fs.existsSync(path.join(root, 'dict')) ? path.join(root, 'dict') : root;
+    const packageFile = [path.join(root, 'package.json'), path.join(dictDir, '..', 'package.json')]
+      .find((file) => fs.existsSync(file));
+    return {
+      origin: 'directory',
+      location: path.relative(__dirname, root),
+      version: packageFile ? packageVersion(fs.readFileSync(packageFile)) : null,
+      sha256: null,
+      read: async (name) => fs.readFileSync(path.join(dictDir, `${name}.js`))
+    };
+  }
+  const archive = options.archive || (fs.existsSync(VENDOR_ARCHIVE) ? VENDOR_ARCHIVE : null);
+  if (archive) {
+    const buffer = fs.readFileSync(archive);
+    const hash = verifyChecksum(checksums, path.basename(archive), buffer, options.updateChecksums);
+    const files = readTarGz(buffer);
+    const packageFile = files.get('package/package.json');
+    return {
+      origin: 'archive',
+      location: path.relative(__dirname, path.resolve(archive)),
+      version: packageFile ? packageVersion(packageFile) : null,
+      sha256: hash,
+      read: async (name) => {
+        const content = files.get(`package/dict/${name}.js`);
+        if (!content) throw new Error(`dict/${name}.js absent de ${archive}`);
+        return content;
+      }
+    };
+  }
+  if (!options.download) throw missingSource(`Archive ${LEFFF_PACKAGE} ${LEFFF_VERSION}`, VENDOR_ARCHIVE);
+  return {
+    origin: 'download',
+    location: DICT_BASE_URL,
+    version: LEFFF_VERSION,
+    sha256: null,
+    read: (name) => fetch(`${DICT_BASE_URL}${name}.js`)
+  };
+}
+
+/**
+ * Ouvre la source du thésaurus (fichier local, copie vendorisée ou
+ * téléchargement avec --download) ; null avec --no-thesaurus.  La
+ * version n'est connue que pour la copie téléchargée.
+ */
+function openThesaurusSource(options) {
+  if (!options.thesaurus) return null;
+  const file = options.thesaurusFile || (fs.existsSync(VENDOR_THESAURUS) ? VENDOR_THESAURUS : null);
+  if (file) {
+    return {
+      origin: 'file',
+      location: path.relative(__dirname, path.resolve(file)),
+      version: null,
+      read: async () => fs.readFileSync(file)
+    };
+  }
+  if (!options.download) throw missingSource('Thésaurus', VENDOR_THESAURUS);
+  return { origin: 'download', location: THESAURUS_URL, version: THESAURUS_VERSION, read: () => fetch(THESAURUS_URL) };
+}
+
+/**
+ * Ouvre la base WordNet (archive npm de wndb-with-exceptions, locale ou
+ * téléchargée depuis le registre npm avec --download).  Les fichiers d'exceptions sont
+ * dans data/, les index et les synsets dans l'archive WNdb-3.0.tar.gz
+ * que contient le paquet.  Renvoie { origin, location, version, sha256,
+ * read(name) }, où read(name) renvoie le contenu de data/<name>.exc ou
+ * de dict/<name>.
+ */
+async function openWordNetSource(options, checksums) {
+  const archive = options.wordnet || (fs.existsSync(VENDOR_WORDNET) ? VENDOR_WORDNET : null);
+  if (!archive && !options.download) throw missingSource(`Archive ${WORDNET_PACKAGE} ${WORDNET_VERSION}`, VENDOR_WORDNET);
+  const buffer = archive ? fs.readFileSync(archive) : await fetch(WORDNET_URL);
+  const hash = verifyChecksum(checksums, archive ? path.basename(archive) : WORDNET_FILE_NAME, buffer, options.updateChecksums);
+  const files = readTarGz(buffer);
+  const database = files.get('package/WNdb-3.0.tar.gz');
+  if (!database) throw new Error(`WNdb-3.0.tar.gz absent de ${archive || WORDNET_URL}`);
+  const dictFiles = readTarGz(database);
+  const packageFile = files.get('package/package.json');
+  return {
+    origin: archive ? 'archive' : 'download',
+    location: archive ? path.relative(__dirname, path.resolve(archive)) : WORDNET_URL,
+    version: packageFile ? packageVersion(packageFile) : null,
+    sha256: hash,
+    read: (name) => {
+      const content = name.endsWith('.exc') ? files.get(`package/data/${name}`) : dictFiles.get(`dict/${name}`);
+      if (!content) throw new Error(`${name} absent de la base WordNet`);
+      return content;
+    }
+  };
+}
+
 /**
  * Extrait le tableau lexi depuis un fichier JS
  */
@@ -97,18 +454,47 @@ function extractLexiArray(jsText) {
     throw new Error('Array end not found');
   }
   
-  // Extraire et parser le tableau
-  let arrayContent = jsText.slice(arrayStart, arrayEnd);
-  // Nettoyer les trailing commas
-  arrayContent = arrayContent.replace(/,(\s*[}\]])/g, '$1');
-  
+  // Extraire et parser le tableau (JSON strict, virgules finales
+  // tolérées) : le contenu n'est jamais exécuté
+  const arrayContent = stripTrailingCommas(jsText.slice(arrayStart, arrayEnd));
   try {
     return JSON.parse(arrayContent);
   } catch (err) {
-    // Si JSON.parse échoue, essayer avec eval (en Node.js c'est sûr)
-    // eslint-disable-next-line no-eval
-    return eval('(' + arrayContent + ')');
+    throw new Error(`Tableau lexi invalide : ${err.message}`);
+  }
+}
+
+/**
+ * Supprime les virgules qui précèdent un crochet ou une accolade
+ * fermante, en dehors des chaînes de caractères
+ */
+function stripTrailingCommas(text) {
+  let result = '';
+  let inString = false;
+  let escapeNext = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escapeNext) escapeNext = false;
+      else if (char === '\\') escapeNext = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === ',') {
+      let next = i + 1;
+      while (next < text.length && /\s/.test(text[next])) next++;
+      if (text[next] === ']' || text[next] === '}') continue;
+    }
+    result += char;
   }
+  return result;
+}
+
+/**
+ * Met une forme en minuscules en conservant ses accents (NFC)
+ */
+function lowerForm(str) {
+  return str.toLowerCase().normalize('NFC');
 }
 
 /**
@@ -122,74 +508,615 @@ function normalize(str) {
 }
 
 /**
- * Traite un dictionnaire et retourne le mapping word_nosc -> lemma
+ * Traite un dictionnaire et retourne le mapping
+ * word -> [[lemma, pos], ...] (candidats sans doublons, dans l'ordre
+ * du dictionnaire), avec son empreinte et son nombre d'entrées
  */
-async function processDictionary(name) {
-  console.log(`Téléchargement de ${name}...`);
-  const url = `${DICT_BASE_URL}${name}.js`;
-  const jsText = await fetch(url);
+async function processDictionary(name, source, checksums, options) {
+  console.log(`Lecture de ${name}...`);
+  const content = await source.read(name);
+  const hash = verifyChecksum(checksums, `dict/${name}.js`, content, options.updateChecksums);
   
   console.log(`  Extraction du tableau lexi...`);
-  const entries = extractLexiArray(jsText);
+  const entries = extractLexiArray(content.toString('utf8'));
+  if (!Array.isArray(entries)) {
+    throw new Error('lexi n\'est pas un tableau');
+  }
   console.log(`  ${entries.length} entrées trouvées`);
   
   console.log(`  Construction du mapping...`);
   const map = new Map();
   for (const entry of entries) {
-    const key = entry.word_nosc;
-    if (key && !map.has(key)) {
-      map.set(key, entry.lemma);
-    }
+    if (!entry || typeof entry.word !== 'string' || typeof entry.lemma !== 'string') continue;
+    const key = lowerForm(entry.word);
+    addCandidate(map, key, [entry.lemma, typeof entry.pos === 'string' ? entry.pos : null]);
   }
   
   console.log(`  ${map.size} entrées uniques dans le mapping`);
-  return map;
+  return { map, sha256: hash, entries: entries.length };
 }
 
 /**
- * Fonction principale
+ * Ajoute un candidat [lemma, pos] à la liste d'une forme s'il n'y
+ * figure pas déjà
  */
-async function main() {
+function addCandidate(map, key, candidate) {
+  let candidates = map.get(key);
+  if (!candidates) {
+    candidates = [];
+    map.set(key, candidates);
+  }
+  const [lemma, pos] = candidate;
+  if (!candidates.some(([l, p]) => l === lemma && p === pos)) {
+    candidates.push(candidate);
+  }
+}
+
+/**
+ * Ramène une catégorie du thésaurus à une catégorie LEFFF (null si
+ * elle n'a pas d'équivalent)
+ */
+function thesaurusCategory(label) {
+  const key = label.replace(/[()]/g, '').trim().toLowerCase();
+  const match = THESAURUS_CATEGORIES.find(([regex]) => regex.test(key));
+  return match ? match[1] : null;
+}
+
+/**
+ * Analyse un thésaurus au format MyThes (.dat) :
+ *   encodage
+ *   mot|nombre de sens
+ *   (catégorie)|synonyme|synonyme|...
+ * Renvoie une Map mot -> [[catégorie, [synonyme, ...]], ...] ; seuls
+ * les synonymes d'un seul mot sont conservés (les locutions ne peuvent
+ * pas être fléchies).
+ */
+function parseThesaurus(buffer) {
+  const firstLineEnd = buffer.indexOf(0x0a);
+  const encoding = buffer.slice(0, firstLineEnd).toString('ascii').trim() || 'utf-8';
+  const lines = new TextDecoder(encoding).decode(buffer.slice(firstLineEnd + 1)).split(/\r?\n/);
+  const thesaurus = new Map();
+  let i = 0;
+  while (i < lines.length) {
+    const [headword, countText] = lines[i].split('|');
+    const count = parseInt(countText, 10) || 0;
+    const word = lowerForm(headword.trim());
+    for (const line of lines.slice(i + 1, i + 1 + count)) {
+      const [label, ...synonyms] = line.split('|');
+      const category = thesaurusCategory(label);
+      const words = synonyms
+        .map((synonym) => lowerForm(synonym.replace(/\([^)]*\)/g, '').trim()))
+        .filter((synonym) => synonym && synonym !== word && !/\s/.test(synonym));
+      if (!word || words.length === 0) continue;
+      if (!thesaurus.has(word)) thesaurus.set(word, []);
+      thesaurus.get(word).push([category, words]);
+    }
+    i += count + 1;
+  }
+  return thesaurus;
+}
+
+/**
+ * Lemmes du dictionnaire et leurs catégories principales :
+ * lemme -> Set(catégorie | null)
+ */
+function collectLemmaCategories(allMappings) {
+  const lemmaCategories = new Map();
+  for (const candidates of allMappings.values()) {
+    for (const [lemma, pos] of candidates) {
+      if (!lemmaCategories.has(lemma)) lemmaCategories.set(lemma, new Set());
+      lemmaCategories.get(lemma).add(pos ? pos.split(':')[0] : null);
+    }
+  }
+  return lemmaCategories;
+}
+
+/**
+ * Construit le thésaurus du bundle : les sens d'une même catégorie sont
+ * fusionnés et seuls les synonymes qui sont des lemmes LEFFF de la même
+ * catégorie sont gardés, afin que le worker puisse les fléchir.
+ */
+function buildThesaurus(thesaurus, allMappings) {
+  const lemmaCategories = collectLemmaCategories(allMappings);
+  const isLemma = (word, category) => {
+    const categories = lemmaCategories.get(word);
+    return Boolean(categories) && (category === null || categories.has(category));
+  };
+  const result = [];
+  for (const [word, senses] of thesaurus) {
+    if (!lemmaCategories.has(word)) continue;
+    const byCategory = new Map();
+    for (const [category, synonyms] of senses) {
+      if (!byCategory.has(category)) byCategory.set(category, new Set());
+      for (const synonym of synonyms) {
+        if (isLemma(synonym, category)) byCategory.get(category).add(synonym);
+      }
+    }
+    const merged = [...byCategory]
+      .filter(([, synonyms]) => synonyms.size > 0)
+      .map(([category, synonyms]) => [category, [...synonyms]]);
+    if (merged.length > 0) result.push([word, merged]);
+  }
+  return result;
+}
+
+/**
+ * Lemmes d'un seul mot d'un index WordNet (index.noun...), dans l'ordre
+ * du fichier.  Les lignes de licence commencent par une espace et les
+ * locutions (« ice_cream ») sont écartées.
+ */
+function parseWordNetIndex(buffer) {
+  const lemmas = [];
+  for (const line of buffer.toString('utf8').split('\n')) {
+    if (!line || line[0] === ' ') continue;
+    const lemma = lowerForm(line.slice(0, line.indexOf(' ')));
+    if (lemma && !/[_\d]/.test(lemma)) lemmas.push(lemma);
+  }
+  return lemmas;
+}
+
+/**
+ * Exceptions d'un fichier .exc de WordNet : [forme, [lemme, ...]] pour
+ * les formes irrégulières (« went go », « better good well »)
+ */
+function parseWordNetExceptions(buffer) {
+  const exceptions = [];
+  for (const line of buffer.toString('utf8').split('\n')) {
+    const [form, ...lemmas] = line.trim().split(/\s+/);
+    if (!form || lemmas.length === 0 || /_/.test(form)) continue;
+    exceptions.push([lowerForm(form), lemmas.filter((lemma) => !/_/.test(lemma)).map(lowerForm)]);
+  }
+  return exceptions;
+}
+
+/**
+ * Formes fléchies régulières d'un lemme anglais : pluriel des noms,
+ * troisième personne, prétérit et participes des verbes, comparatif et
+ * superlatif des adjectifs courts.  Les formes irrégulières (dont les
+ * consonnes doublées, « stopped ») viennent des exceptions de WordNet.
+ */
+function englishInflections(lemma, category) {
+  const plural = /[^aeiou]y$/.test(lemma) ? `${lemma.slice(0, -1)}ies`
+    : /(s|x|z|ch|sh)$/.test(lemma) ? `${lemma}es`
+    : `${lemma}s`;
+  switch (category) {
+    case 'NOM':
+      return [plural];
+    case 'VER': {
+      // Troisième personne du singulier : -oes après une consonne
+      // (« goes », « does », « echoes »), sinon comme le pluriel des noms
+      const thirdPerson = /[^aeiou]o$/.test(lemma) ? `${lemma}es` : plural;
+      const past = /e$/.test(lemma) ? `${lemma}d`
+        : /[^aeiou]y$/.test(lemma) ? `${lemma.slice(0, -1)}ied`
+        : `${lemma}ed`;
+      const participle = /ie$/.test(lemma) ? `${lemma.slice(0, -2)}ying`
+        : lemma.length > 2 && /[^aeiouy]e$/.test(lemma) ? `${lemma.slice(0, -1)}ing`
+        : `${lemma}ing`;
+      return [thirdPerson, past, participle];
+    }
+    case 'ADJ': {
+      // Une ou deux syllabes (« tall », « happy ») : les autres adjectifs
+      // forment leur comparatif avec more et most
+      if (/-/.test(lemma) || (lemma.match(/[aeiouy]+/g) || []).length > 2) return [];
+      const stem = /[^aeiou]y$/.test(lemma) ? `${lemma.slice(0, -1)}i` : lemma.replace(/e$/, '');
+      return [`${stem}er`, `${stem}est`];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Synsets d'un fichier data.* de WordNet sous la forme d'un thésaurus
+ * mot -> [[catégorie, [synonyme, ...]], ...], comme parseThesaurus().
+ * Seuls les mots simples sont gardés ; les marqueurs de position des
+ * adjectifs (« (a) », « (p) ») sont retirés.
+ */
+function parseWordNetSynsets(buffer, thesaurus = new Map()) {
+  for (const line of buffer.toString('utf8').split('\n')) {
+    if (!line || line[0] === ' ') continue;
+    const fields = line.split(' ');
+    const category = WORDNET_SYNSET_CATEGORIES[fields[2]] || null;
+    const count = parseInt(fields[3], 16);
+    const words = [];
+    for (let i = 0; i < count; i++) {
+      const word = lowerForm(fields[4 + i * 2].replace(/\(.*\)$/, ''));
+      if (!/_/.test(word) && !words.includes(word)) words.push(word);
+    }
+    if (words.length < 2) continue;
+    for (const word of words) {
+      if (!thesaurus.has(word)) thesaurus.set(word, []);
+      thesaurus.get(word).push([category, words.filter((synonym) => synonym !== word)]);
+    }
+  }
+  return thesaurus;
+}
+
+/**
+ * Construit les familles de mots du bundle à partir des règles de
+ * dérivation de la langue : les lemmes reliés par une règle (directement
+ * ou de proche en proche) forment une famille, représentée par son
+ * lemme le plus court (le premier dans l'ordre alphabétique à longueur
+ * égale).  Renvoie les paires [lemme, lemme de tête] des autres membres.
+ */
+function buildFamilies(allMappings, rules, exclusions = []) {
+  const lemmaCategories = collectLemmaCategories(allMappings);
+  const excluded = new Set(exclusions.map(([derived, base]) => `${derived}\t${base}`));
+  // Union-find sur les lemmes
+  const parent = new Map();
+  const find = (lemma) => {
+    let root = lemma;
+    while (parent.has(root)) root = parent.get(root);
+    while (lemma !== root) {
+      const next = parent.get(lemma);
+      parent.set(lemma, root);
+      lemma = next;
+    }
+    return root;
+  };
+  for (const [lemma, categories] of lemmaCategories) {
+    for (const [suffix, category, baseSuffix, baseCategory] of rules) {
+      if (!categories.has(category) || !lemma.endsWith(suffix)) continue;
+      const stem = lemma.slice(0, lemma.length - suffix.length);
+      if (stem.length < FAMILY_MIN_STEM) continue;
+      const base = stem + baseSuffix;
+      const baseCategories = lemmaCategories.get(base);
+      if (base === lemma || !baseCategories || !baseCategories.has(baseCategory)) continue;
+      if (excluded.has(`${lemma}\t${base}`)) continue;
+      const a = find(lemma);
+      const b = find(base);
+      if (a !== b) parent.set(a, b);
+    }
+  }
+  const groups = new Map();
+  for (const lemma of parent.keys()) {
+    const root = find(lemma);
+    if (!groups.has(root)) groups.set(root, [root]);
+    groups.get(root).push(lemma);
+  }
+  const families = [];
+  for (const members of groups.values()) {
+    members.sort((a, b) => a.length - b.length || (a < b ? -1 : a > b ? 1 : 0));
+    const [head] = members;
+    for (const member of members.slice(1)) families.push([member, head]);
+  }
+  return families;
+}
+
+/**
+ * Familles de mots d'une langue et leur description pour le manifeste ;
+ * aucune avec --no-families
+ */
+function buildLanguageFamilies(code, allMappings, options) {
+  if (!options.families) {
+    console.log('Familles de mots désactivées (--no-families)\n');
+    return { families: [], manifest: null };
+  }
+  console.log('Calcul des familles de mots...');
+  const families = buildFamilies(allMappings, FAMILY_RULES[code], FAMILY_EXCLUSIONS[code]);
+  const count = new Set(families.map(([, head]) => head)).size;
+  console.log(`  ${count} familles, ${families.length + count} lemmes\n`);
+  return {
+    families,
+    manifest: { rules: FAMILY_RULES[code].length, families: count, lemmas: families.length + count }
+  };
+}
+
+/**
+ * Index de repli : forme sans diacritiques -> formes accentuées, utilisé
+ * par le worker lorsque la forme exacte est inconnue
+ */
+function buildNoscIndex(allMappings) {
+  const noscIndex = new Map();
+  for (const form of allMappings.keys()) {
+    const key = normalize(form);
+    if (key === form) continue;
+    if (!noscIndex.has(key)) noscIndex.set(key, []);
+    noscIndex.get(key).push(form);
+  }
+  return noscIndex;
+}
+
+/**
+ * Lit les options de la ligne de commande
+ */
+function parseArgs(argv) {
+  const options = {
+    languages: LANGUAGES,
+    source: null,
+    archive: null,
+    thesaurus: true,
+    thesaurusFile: null,
+    families: true,
+    wordnet: null,
+    checksums: CHECKSUMS_FILE,
+    updateChecksums: false,
+    download: false,
+    output: null
+  };
+  const value = (i, name) => {
+    if (i >= argv.length) throw new Error(`Valeur manquante pour ${name}`);
+    return argv[i];
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--lang': options.languages = value(++i, arg).split(',').map((code) => code.trim()).filter(Boolean); break;
+      case '--source': options.source = value(++i, arg); break;
+      case '--archive': options.archive = value(++i, arg); break;
+      case '--thesaurus': options.thesaurusFile = value(++i, arg); break;
+      case '--no-thesaurus': options.thesaurus = false; break;
+      case '--no-families': options.families = false; break;
+      case '--wordnet': options.wordnet = value(++i, arg); break;
+      case '--checksums': options.checksums = value(++i, arg); break;
+      case '--update-checksums': options.updateChecksums = true; break;
+      case '--download': options.download = true; break;
+      case '--output': options.output = value(++i, arg); break;
+      default: throw new Error(`Option inconnue : ${arg}`);
+    }
+  }
+  if (options.source && options.archive) {
+    throw new Error('--source et --archive sont incompatibles');
+  }
+  const unknown = options.languages.filter((code) => !LANGUAGE_BUILDERS[code]);
+  if (unknown.length > 0 || options.languages.length === 0) {
+    throw new Error(`Langue inconnue : ${unknown.join(', ') || '(aucune)'} (langues disponibles : ${LANGUAGES.join(', ')})`);
+  }
+  if (options.output && options.languages.length > 1) {
+    throw new Error('--output demande une seule langue (--lang)');
+  }
+  return options;
+}
+
+/**
+ * Date du build : SOURCE_DATE_EPOCH (secondes) si la variable est
+ * définie, afin que deux builds des mêmes sources soient identiques
+ */
+function buildDate() {
+  const epoch = parseInt(process.env.SOURCE_DATE_EPOCH, 10);
+  return Number.isFinite(epoch) ? new Date(epoch * 1000) : new Date();
+}
+
+/**
+ * Construit le dictionnaire français à partir de LEFFF et du thésaurus
+ * de LibreOffice.  Renvoie { version, forms, thesaurus, families,
+ * manifest }, où version est celle du paquet LEFFF lu.
+ */
+async function buildFrench(options, checksums) {
   console.log('Build des dictionnaires LEFFF...\n');
-  
+  const source = openLefffSource(options, checksums);
+  console.log(`Source : ${source.location} (${source.origin})\n`);
+
   const allMappings = new Map();
-  
+  const dictionaries = [];
+
   for (const name of DICT_NAMES) {
     try {
-      const mapping = await processDictionary(name);
-      // Fusionner dans le mapping global (les clés déjà présentes sont conservées)
-      for (const [key, value] of mapping) {
-        if (!allMappings.has(key)) {
-          allMappings.set(key, value);
+      const { map: mapping, sha256: hash, entries } = await processDictionary(name, source, checksums, options);
+      dictionaries.push({ name, file: `dict/${name}.js`, sha256: hash, entries, forms: mapping.size });
+      // Fusionner dans le mapping global : tous les candidats sont
+      // conservés, le choix entre homographes se fait dans le worker
+      for (const [key, candidates] of mapping) {
+        for (const candidate of candidates) {
+          addCandidate(allMappings, key, candidate);
         }
       }
       console.log('');
     } catch (err) {
-      console.error(`Erreur lors du traitement de ${name}:`, err.message);
-      process.exit(1);
+      throw new Error(`Erreur lors du traitement de ${name}: ${err.message}`);
     }
   }
   
-  console.log(`Total: ${allMappings.size} entrées uniques\n`);
-  
-  // Convertir en format sérialisable
-  const bundle = {
-    version: '1.0.0',
-    timestamp: new Date().toISOString(),
-    entries: Array.from(allMappings.entries())
+  console.log(`Total: ${allMappings.size} entrées uniques`);
+
+  let thesaurus = [];
+  let thesaurusManifest = null;
+  const thesaurusSource = openThesaurusSource(options);
+  if (thesaurusSource) {
+    try {
+      console.log(`Lecture du thésaurus (${thesaurusSource.location})...`);
+      const content = await thesaurusSource.read();
+      const hash = verifyChecksum(checksums, THESAURUS_FILE_NAME, content, options.updateChecksums);
+      const rawThesaurus = parseThesaurus(content);
+      console.log(`  ${rawThesaurus.size} mots dans le thésaurus`);
+      thesaurus = buildThesaurus(rawThesaurus, allMappings);
+      console.log(`  ${thesaurus.length} lemmes avec synonymes\n`);
+      thesaurusManifest = {
+        origin: thesaurusSource.origin,
+        location: thesaurusSource.location,
+        version: thesaurusSource.version,
+        sha256: hash,
+        words: rawThesaurus.size,
+        lemmas: thesaurus.length
+      };
+    } catch (err) {
+      throw new Error(`Erreur lors du traitement du thésaurus: ${err.message}`);
+    }
+  } else {
+    console.log('Thésaurus désactivé (--no-thesaurus)\n');
+  }
+  const { families, manifest: familyManifest } = buildLanguageFamilies('fr', allMappings, options);
+
+  return {
+    version: source.version,
+    forms: allMappings,
+    thesaurus,
+    families,
+    manifest: {
+      lefff: {
+        package: LEFFF_PACKAGE,
+        version: source.version,
+        origin: source.origin,
+        location: source.location,
+        sha256: source.sha256,
+        dictionaries
+      },
+      thesaurus: thesaurusManifest,
+      families: familyManifest
+    }
+  };
+}
+
+/**
+ * Construit le dictionnaire anglais à partir de WordNet : chaque lemme
+ * des index est associé à lui-même et à ses flexions régulières, et les
+ * formes irrégulières des exceptions à leurs lemmes.  À catégorie égale,
+ * le pack anglais garde le premier candidat : les exceptions sont
+ * ajoutées en premier, puis les flexions, puis les lemmes eux-mêmes
+ * (« found » → find avant found, « days » → day avant days).  Les
+ * synonymes viennent des synsets.  Renvoie { version, forms, thesaurus,
+ * families, manifest }, où version est celle du paquet WordNet lu.
+ */
+async function buildEnglish(options, checksums) {
+  console.log('Build du dictionnaire WordNet...\n');
+  const source = await openWordNetSource(options, checksums);
+  console.log(`Source : ${source.location} (${source.origin})\n`);
+
+  const allMappings = new Map();
+  const files = [];
+  const lemmasByPart = new Map();
+  for (const [part, category] of WORDNET_PARTS) {
+    const exceptions = parseWordNetExceptions(source.read(`${part}.exc`));
+    for (const [form, lemmas] of exceptions) {
+      for (const lemma of lemmas) addCandidate(allMappings, form, [lemma, category]);
+    }
+    files.push({ name: `${part}.exc`, entries: exceptions.length });
+    const lemmas = parseWordNetIndex(source.read(`index.${part}`));
+    lemmasByPart.set(part, lemmas);
+    files.push({ name: `index.${part}`, entries: lemmas.length });
+    console.log(`  ${part} : ${lemmas.length} lemmes, ${exceptions.length} formes irrégulières`);
+  }
+  for (const [part, category] of WORDNET_PARTS) {
+    for (const lemma of lemmasByPart.get(part)) {
+      for (const form of englishInflections(lemma, category)) addCandidate(allMappings, form, [lemma, category]);
+    }
+  }
+  for (const [part, category] of WORDNET_PARTS) {
+    for (const lemma of lemmasByPart.get(part)) addCandidate(allMappings, lemma, [lemma, category]);
+  }
+  console.log(`Total: ${allMappings.size} entrées uniques`);
+
+  let thesaurus = [];
+  let thesaurusManifest = null;
+  if (options.thesaurus) {
+    console.log('Lecture des synsets...');
+    const rawThesaurus = new Map();
+    for (const [part] of WORDNET_PARTS) parseWordNetSynsets(source.read(`data.${part}`), rawThesaurus);
+    console.log(`  ${rawThesaurus.size} mots dans les synsets`);
+    thesaurus = buildThesaurus(rawThesaurus, allMappings);
+    console.log(`  ${thesaurus.length} lemmes avec synonymes\n`);
+    thesaurusManifest = { origin: 'wordnet', words: rawThesaurus.size, lemmas: thesaurus.length };
+  } else {
+    console.log('Thésaurus désactivé (--no-thesaurus)\n');
+  }
+  const { families, manifest: familyManifest } = buildLanguageFamilies('en', allMappings, options);
+
+  return {
+    version: source.version,
+    forms: allMappings,
+    thesaurus,
+    families,
+    manifest: {
+      wordnet: {
+        package: WORDNET_PACKAGE,
+        version: source.version,
+        origin: source.origin,
+        location: source.location,
+        sha256: source.sha256,
+        files
+      },
+      thesaurus: thesaurusManifest,
+      families: familyManifest
+    }
+  };
+}
+
+// Construction du dictionnaire de chaque langue
+const LANGUAGE_BUILDERS = {
+  fr: buildFrench,
+  en: buildEnglish
+};
+
+/**
+ * Encode le dictionnaire d'une langue et écrit le bundle et sa
+ * description (<bundle>.version.json).  La version du bundle est celle
+ * de sa source principale (null si elle est inconnue, pour un dossier
+ * sans package.json).
+ */
+function writeBundle(code, { version: sourceVersion, forms, thesaurus, families, manifest }, output) {
+  const noscIndex = buildNoscIndex(forms);
+  console.log(`Index sans diacritiques: ${noscIndex.size} entrées\n`);
+
+  // Manifeste : provenance et empreinte de chaque source, afin de
+  // pouvoir retracer (et reproduire) le contenu du bundle
+  manifest.counts = {
+    forms: forms.size,
+    nosc: noscIndex.size,
+    thesaurus: thesaurus.length,
+    families: families.length
+  };
+
+  // Encoder au format binaire
+  const info = {
+    version: sourceVersion || null,
+    format: 'binary',
+    language: code,
+    timestamp: buildDate().toISOString()
   };
+  const bundle = encodeDictionary({
+    entries: Array.from(forms.entries()),
+    nosc: Array.from(noscIndex.entries()),
+    thesaurus,
+    families,
+    meta: { ...info, manifest }
+  });
   
-  console.log(`Écriture dans ${OUTPUT_FILE}...`);
-  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(bundle, null, 2), 'utf8');
+  console.log(`Écriture dans ${output}...`);
+  fs.writeFileSync(output, bundle);
+
+  // Description du bundle, téléchargée par le worker à chaque chargement
+  // pour savoir si son cache est à jour
+  const versionFile = `${output.replace(/\.bin$/, '')}.version.json`;
+  const version = { ...info, sha256: sha256(bundle), size: bundle.length };
+  fs.writeFileSync(versionFile, JSON.stringify(version, null, 2) + '\n', 'utf8');
+  console.log(`Version écrite dans ${versionFile}`);
   
-  const stats = fs.statSync(OUTPUT_FILE);
+  const stats = fs.statSync(output);
   const sizeKB = (stats.size / 1024).toFixed(2);
-  console.log(`✓ Bundle créé: ${sizeKB} KB`);
-  console.log('\n✓ Build terminé avec succès!');
+  console.log(`✓ Bundle créé: ${sizeKB} KB\n`);
+}
+
+/**
+ * Fonction principale
+ */
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+  }
+
+  const checksums = readChecksums(options.checksums);
+  for (const code of options.languages) {
+    try {
+      const result = await LANGUAGE_BUILDERS[code](options, checksums);
+      writeBundle(code, result, options.output || path.join(__dirname, getLanguagePack(code).bundle));
+    } catch (err) {
+      console.error(`Erreur lors du build (${code}):`, err.message);
+      process.exit(1);
+    }
+  }
+
+  if (options.updateChecksums) {
+    writeChecksums(options.checksums, checksums);
+    console.log(`Empreintes enregistrées dans ${options.checksums}\n`);
+  }
+  console.log('✓ Build terminé avec succès!');
 }
 
 main().catch((err) => {
   console.error('Erreur fatale:', err);
   process.exit(1);
 });
-
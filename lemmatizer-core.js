@@ -0,0 +1,1614 @@
+/*
+ * Cœur de l'analyse des répétitions : normalisation, lemmatisation et
+ * désambiguïsation, masquage du Markdown, tokenisation, heatmap,
+ * familles de mots, détection de proximité, statistiques et synonymes.  Ce module ne
+ * dépend d'aucune API du navigateur ni de Node : il est chargé par le
+ * Web Worker de l'éditeur avec importScripts() (il expose alors
+ * self.LemmatizerCore) et par la CLI lemmatize-report avec require().
+ *
+ * Le dictionnaire attendu par l'analyse est celui qu'ouvre
+ * openDictionary() à partir d'un bundle binaire (dict-bundle.bin), ou
+ * celui que construit createDictionary() à partir de tableaux d'entrées.
+ * Tout ce qui dépend de la langue du document (bundle, mots outils,
+ * élisions et contractions, règles de désambiguïsation) est regroupé
+ * dans un pack de langue (LANGUAGE_PACKS).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LemmatizerCore = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Configuration de la heatmap
+  // HEATMAP_LEVELS: nombre de niveaux d'intensité (de 1 à HEATMAP_LEVELS)
+  // HEATMAP_TOP_WORDS: nombre de mots les plus fréquents à surligner (distribués sur les niveaux)
+  // HEATMAP_BASE_THRESHOLD: seuil de base (en occurrences par bloc de 200 mots) - minimum pour être considéré
+  const HEATMAP_LEVELS = 5;
+  const HEATMAP_TOP_WORDS = 20; // Top 20 mots les plus fréquents
+  // Seuil de base plus permissif pour afficher davantage de répétitions.
+  // Exemple: 1 occurrence par bloc de 200 mots ≃ seuil 1–2 selon la longueur.
+  const HEATMAP_BASE_THRESHOLD = 1; // occurrences par bloc de 200 mots
+  const HEATMAP_MAX_LEVELS = 10;
+
+  // Options de la heatmap (surchargées par options.heatmap) :
+  // - topWords : nombre maximal de lemmes surlignés ;
+  // - threshold : stratégie du seuil d'occurrences d'un lemme surligné :
+  //   'auto' (HEATMAP_BASE_THRESHOLD occurrences par bloc de 200
+  //   occurrences répétées ; à défaut de lemmes assez fréquents, les
+  //   plus fréquents sont retenus quand même), 'count' (au moins
+  //   minCount occurrences), 'density' (au moins perThousand occurrences
+  //   pour 1000 mots) ou 'rank' (les topWords lemmes les plus fréquents
+  //   parmi ceux qui sont répétés) ;
+  // - levels : nombre de niveaux de chaleur (2 à HEATMAP_MAX_LEVELS) ;
+  // - mapping : répartition des lemmes sur les niveaux, par tranches
+  //   égales du classement ('rank') ou par quantiles de fréquence
+  //   ('quantile' : deux lemmes aussi fréquents ont le même niveau et le
+  //   plus fréquent a toujours le niveau maximal).
+  const DEFAULT_HEATMAP_OPTIONS = {
+    topWords: HEATMAP_TOP_WORDS,
+    threshold: 'auto',
+    minCount: 2,
+    perThousand: 1,
+    levels: HEATMAP_LEVELS,
+    mapping: 'rank'
+  };
+
+  // Configuration de la détection de proximité : un lemme est signalé
+  // lorsqu'il réapparaît dans une fenêtre de `window` mots (unit: 'words'),
+  // dans la même phrase ('sentence') ou dans le même paragraphe
+  // ('paragraph').  Chaque paire reçoit un score 1 / distance (en mots) :
+  // 1 pour deux mots voisins, 0,1 pour deux mots séparés de dix mots.
+  const DEFAULT_PROXIMITY_OPTIONS = {
+    enabled: true,
+    unit: 'words',
+    window: 20
+  };
+  // Nombre maximal de paires renvoyées au thread principal
+  const PROXIMITY_MAX_PAIRS = 200;
+
+  // Détection des expressions répétées : suites de minLength à maxLength
+  // lemmes consécutifs d'une même phrase, présentes au moins minCount
+  // fois.  Les mots ignorés (mots outils) peuvent figurer dans une
+  // expression mais ne suffisent pas à la former.
+  const DEFAULT_PHRASE_OPTIONS = {
+    enabled: true,
+    minLength: 2,
+    maxLength: 5,
+    minCount: 2
+  };
+  // Nombre maximal d'expressions renvoyées au thread principal
+  const PHRASE_MAX_RESULTS = 50;
+
+  // Regroupement par familles de mots : les lemmes d'une même famille
+  // dérivationnelle (« rapide », « rapidement », « rapidité »), calculée
+  // par build-dicts.js, comptent comme un seul lemme, celui de tête de la
+  // famille, pour la heatmap et la détection de proximité.  Désactivé par
+  // défaut ; sans effet avec un bundle sans familles.
+  const DEFAULT_FAMILY_OPTIONS = {
+    enabled: false
+  };
+
+  // Liste basique de mots fonctionnels (stop words) français à ignorer
+  // pour l'analyse de fréquence (voir LANGUAGE_PACKS pour les autres
+  // langues).  Les mots présents dans cette liste ne
+  // déclencheront pas de surbrillance, même s'ils apparaissent
+  // fréquemment.  Les entrées sont comparées à la forme en minuscules
+  // (accents compris) et au lemme retenu.
+  const STOP_LEMMAS = new Set([
+    'le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'a', 'à', 'au', 'aux',
+    'et', 'en', 'que', 'qui', 'quoi', 'dont', 'où', 'ne', 'pas', 'ni', 'mais',
+    'ou', 'si', 'sur', 'dans', 'ce', 'cette', 'ces', 'son', 'sa', 'ses',
+    'mon', 'ma', 'mes', 'ton', 'ta', 'tes', 'notre', 'nos', 'votre', 'vos',
+    'leur', 'leurs', 'on', 'il', 'ils', 'elle', 'elles', 'je', 'tu', 'vous',
+    'nous', 'y', 'en', 'd', 'l', 'c', 's', 't', 'm', 'n', 'qu', 'jusqu', 
+    'pour'
+  ]);
+
+  // Options par défaut de la liste de mots ignorés.  La liste de
+  // l'utilisateur (noms de personnages, termes du domaine, ...) est gérée
+  // dans le panneau « Mots ignorés », persistée dans IndexedDB par le
+  // thread principal et transmise avec chaque analyse.
+  const DEFAULT_IGNORE_OPTIONS = {
+    useStopWords: true, // ignorer les mots outils du pack de langue
+    lemmas: []          // lemmes ou formes ignorés par l'utilisateur
+  };
+
+  /**
+   * Construit l'ensemble des lemmes ignorés (mots outils du pack de
+   * langue et liste de l'utilisateur).  Les entrées sont en minuscules,
+   * avec leurs accents.
+   */
+  function buildIgnoredLemmas(options, pack = getLanguagePack()) {
+    const opts = { ...DEFAULT_IGNORE_OPTIONS, ...(options || {}) };
+    const ignored = new Set(opts.useStopWords ? pack.stopLemmas : []);
+    for (const lemma of opts.lemmas) {
+      const entry = lowerForm(String(lemma).trim());
+      if (entry) ignored.add(entry);
+    }
+    return ignored;
+  }
+
+  // Désambiguïsation des homographes.  Le dictionnaire associe à chaque
+  // forme tous ses lemmes candidats avec leur catégorie LEFFF (ADJ, NOM,
+  // VER, PRO:per, ...).  Le choix se fait d'après les deux mots
+  // précédents de la même phrase (mots ignorés et élisions compris) :
+  // - après un déterminant, on préfère un nom puis un adjectif
+  //   (« le couvent ») ;
+  // - après un pronom sujet ou un clitique, on préfère un verbe
+  //   (« elles couvent », « il le couvent », « c'est ») ;
+  // - après une forme d'être ou d'avoir, on préfère un verbe (participe)
+  //   puis un adjectif (« il a couvé ») ;
+  // - sinon, on suit CATEGORY_PRIORITY.
+  // À catégorie égale, un lemme identique à la forme est préféré
+  // (« fils » → fils plutôt que fil).  Ces listes sont celles du pack
+  // français ; chaque pack de langue fournit les siennes.
+  const DETERMINERS = new Set([
+    'le', 'la', 'les', 'l', 'un', 'une', 'des', 'du', 'au', 'aux',
+    'ce', 'cet', 'cette', 'ces', 'mon', 'ma', 'mes', 'ton', 'ta', 'tes',
+    'son', 'sa', 'ses', 'notre', 'nos', 'votre', 'vos', 'leur', 'leurs',
+    'quel', 'quelle', 'quels', 'quelles', 'chaque', 'plusieurs', 'quelques'
+  ]);
+  const OBJECT_DETERMINERS = new Set(['le', 'la', 'les', 'l']);
+  const SUBJECT_PRONOUNS = new Set([
+    'je', 'j', 'tu', 'il', 'elle', 'on', 'nous', 'vous', 'ils', 'elles', 'c', 'qui'
+  ]);
+  const VERB_CLITICS = new Set(['ne', 'n', 'se', 's', 'me', 'm', 'te', 't', 'y', 'lui']);
+  const AUXILIARY_LEMMAS = new Set(['être', 'avoir']);
+  const CATEGORY_PRIORITY = ['PRO', 'ART', 'PRE', 'CON', 'VER', 'NOM', 'ADJ', 'ADV', 'ONO'];
+
+  // Packs de langue.  Chaque pack décrit :
+  // - bundle : fichier du dictionnaire (généré par build-dicts.js) ;
+  // - stopLemmas : mots outils ignorés par défaut ;
+  // - elision : position des mots accolés par une apostrophe, 'prefix'
+  //   pour les élisions (« l'homme », « qu'il ») ou 'suffix' pour les
+  //   contractions (« don't », « it's ») ; seul le mot principal est
+  //   lemmatisé, l'élision ou la contraction sert de contexte ;
+  // - contractionPattern et contractions : découpage des contractions
+  //   (mot principal, contraction) et mots principaux irréguliers
+  //   (« won't » → will) ;
+  // - trimApostrophes : retirer les apostrophes en début et en fin de mot
+  //   (guillemets simples, possessif pluriel « students' ») ;
+  // - determiners, objectDeterminers, subjectPronouns, verbClitics,
+  //   auxiliaryLemmas, categoryPriority : règles de désambiguïsation des
+  //   homographes (voir preferredCategories()) ;
+  // - preferIdenticalLemma : à catégorie égale, préférer le lemme
+  //   identique à la forme plutôt que l'ordre du dictionnaire.
+  // Les catégories sont celles de LEFFF (NOM, VER, ADJ, ADV...) pour
+  // toutes les langues, ce qui permet à l'interface et au lexique
+  // personnel de les partager.  D'autres langues peuvent être ajoutées
+  // avec registerLanguagePack().
+  const DEFAULT_LANGUAGE = 'fr';
+  const LANGUAGE_PACKS = {
+    fr: {
+      code: 'fr',
+      name: 'Français',
+      dictionary: 'LEFFF',
+      bundle: 'dict-bundle.bin',
+      stopLemmas: STOP_LEMMAS,
+      elision: 'prefix',
+      contractionPattern: null,
+      contractions: {},
+      trimApostrophes: false,
+      determiners: DETERMINERS,
+      objectDeterminers: OBJECT_DETERMINERS,
+      subjectPronouns: SUBJECT_PRONOUNS,
+      verbClitics: VERB_CLITICS,
+      auxiliaryLemmas: AUXILIARY_LEMMAS,
+      categoryPriority: CATEGORY_PRIORITY,
+      preferIdenticalLemma: true
+    },
+    en: {
+      code: 'en',
+      name: 'English',
+      dictionary: 'WordNet',
+      bundle: 'dict-bundle.en.bin',
+      stopLemmas: new Set([
+        'the', 'a', 'an', 'and', 'or', 'but', 'nor', 'so', 'if', 'than', 'that',
+        'this', 'these', 'those', 'of', 'to', 'in', 'on', 'at', 'by', 'for',
+        'with', 'from', 'into', 'onto', 'about', 'as', 'up', 'out', 'off', 'not',
+        'no', 'i', 'me', 'my', 'mine', 'you', 'your', 'yours', 'he', 'him', 'his',
+        'she', 'her', 'hers', 'it', 'its', 'we', 'us', 'our', 'ours', 'they',
+        'them', 'their', 'theirs', 'who', 'whom', 'whose', 'which', 'what',
+        'there', 'here', 'be', 'have', 'do'
+      ]),
+      elision: 'suffix',
+      // Apostrophes déjà normalisées en « ' »
+      contractionPattern: /^(.+?)(n't|'s|'re|'ve|'ll|'d|'m)$/,
+      contractions: { "can't": 'can', "won't": 'will', "shan't": 'shall', "ain't": 'be' },
+      trimApostrophes: true,
+      determiners: new Set([
+        'the', 'a', 'an', 'this', 'that', 'these', 'those', 'my', 'your', 'his',
+        'her', 'its', 'our', 'their', 'each', 'every', 'some', 'any', 'no',
+        'which', 'what', 'whose', 'another', 'several', 'many'
+      ]),
+      objectDeterminers: new Set(),
+      subjectPronouns: new Set(['i', 'you', 'he', 'she', 'it', 'we', 'they', 'who']),
+      verbClitics: new Set([
+        "n't", "'ll", "'d", 'can', 'could', 'will', 'would', 'shall', 'should',
+        'may', 'might', 'must'
+      ]),
+      auxiliaryLemmas: new Set(['be', 'have']),
+      categoryPriority: CATEGORY_PRIORITY,
+      // « found » → find (verbe irrégulier, placé en premier par le build)
+      // plutôt que found (fonder)
+      preferIdenticalLemma: false
+    }
+  };
+
+  /**
+   * Renvoie le pack d'une langue (le pack par défaut si la langue est
+   * inconnue ou absente).
+   */
+  function getLanguagePack(code) {
+    return LANGUAGE_PACKS[code] || LANGUAGE_PACKS[DEFAULT_LANGUAGE];
+  }
+
+  /**
+   * Ajoute ou remplace un pack de langue.  Les propriétés absentes sont
+   * reprises du pack par défaut, sauf le bundle, obligatoire, et le nom
+   * du dictionnaire (null s'il n'est pas donné).
+   */
+  function registerLanguagePack(pack) {
+    if (!pack || !pack.code || !pack.bundle) {
+      throw new Error('Un pack de langue doit avoir un code et un bundle');
+    }
+    LANGUAGE_PACKS[pack.code] = { ...LANGUAGE_PACKS[DEFAULT_LANGUAGE], name: pack.code, dictionary: null, ...pack };
+    return LANGUAGE_PACKS[pack.code];
+  }
+
+  /**
+   * Catégorie principale d'une étiquette LEFFF (« PRO:per » → « PRO »).
+   */
+  function mainCategory(pos) {
+    return pos ? pos.split(':')[0] : null;
+  }
+
+  /**
+   * Normalise la valeur d'une entrée du dictionnaire en liste de
+   * candidats [lemme, catégorie] (les anciens bundles associaient
+   * directement une forme à un lemme).
+   */
+  function toCandidates(value) {
+    if (typeof value === 'string') return [[value, null]];
+    return Array.isArray(value) ? value : [];
+  }
+
+  /**
+   * Crée le dictionnaire utilisé par l'analyse : `forms` associe une
+   * forme accentuée à ses candidats, `nosc` associe une forme sans
+   * diacritiques aux formes accentuées qui la partagent et `thesaurus`
+   * associe un lemme à ses synonymes par catégorie ; `families` associe
+   * un lemme au lemme de tête de sa famille de mots.  Les anciens
+   * bundles, indexés par word_nosc, n'ont pas d'index `nosc` : leurs
+   * clés sont alors trouvées par le repli de lookupCandidates().
+   * `lemmaForms` (lemme → formes fléchies) est construit à la demande par
+   * formsOfLemma().
+   */
+  function createDictionary(entries, noscEntries, thesaurusEntries, familyEntries) {
+    return {
+      forms: new Map(entries.map(([form, value]) => [form, toCandidates(value)])),
+      nosc: new Map(noscEntries || []),
+      thesaurus: new Map(thesaurusEntries || []),
+      families: new Map(familyEntries || []),
+      lemmaForms: null
+    };
+  }
+
+  // Format binaire du dictionnaire (dict-bundle.bin), produit par
+  // build-dicts.js avec encodeDictionary() et lu par openDictionary()
+  // sans construire de Map : seules les formes rencontrées sont décodées.
+  // Entiers little-endian, chaînes en UTF-8.
+  // - en-tête : « LEMD », version (u32), puis (offset, longueur) en u32
+  //   pour chacune des sections de DICT_SECTIONS ;
+  // - meta : JSON (version du bundle, date, manifeste) ;
+  // - pos, lemmas : tables de chaînes (u32 n, n + 1 offsets u32, octets),
+  //   référencées par leur indice ;
+  // - forms, nosc, thesaurus, families : tables de clés.  Les clés sont triées dans
+  //   l'ordre de leurs octets et codées par blocs de DICT_BLOCK_SIZE avec
+  //   compression de préfixe : longueur du préfixe commun avec la clé
+  //   précédente et du suffixe (varints), suffixe, puis nombre de valeurs
+  //   et valeurs (varints).  La table commence par u32 nombre de clés,
+  //   u32 nombre de blocs et l'offset u32 de chaque bloc, ce qui permet
+  //   une recherche dichotomique sur la première clé des blocs.
+  // Valeurs : forms → [lemme, catégorie + 1 (0 si aucune)]*, nosc →
+  // [indice de forme]*, thesaurus → [catégorie + 1, n, lemme × n]*,
+  // families → [lemme de tête].
+  // La version 1 du format n'a pas de section families.
+  const DICT_MAGIC = 0x444d454c; // « LEMD »
+  const DICT_BINARY_VERSION = 2;
+  const DICT_BLOCK_SIZE = 16;
+  const DICT_SECTIONS = ['meta', 'pos', 'lemmas', 'forms', 'nosc', 'thesaurus', 'families'];
+
+  function compareBytes(a, aLength, b) {
+    const length = Math.min(aLength, b.length);
+    for (let i = 0; i < length; i++) {
+      if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return aLength - b.length;
+  }
+
+  /**
+   * Tampon d'octets extensible utilisé par encodeDictionary()
+   */
+  function createByteWriter() {
+    let buffer = new Uint8Array(1 << 16);
+    let length = 0;
+    const reserve = (n) => {
+      if (length + n <= buffer.length) return;
+      let size = buffer.length * 2;
+      while (size < length + n) size *= 2;
+      const next = new Uint8Array(size);
+      next.set(buffer.subarray(0, length));
+      buffer = next;
+    };
+    return {
+      get length() { return length; },
+      bytes(data) {
+        reserve(data.length);
+        buffer.set(data, length);
+        length += data.length;
+      },
+      u32(value) {
+        reserve(4);
+        new DataView(buffer.buffer).setUint32(length, value, true);
+        length += 4;
+      },
+      varint(value) {
+        reserve(5);
+        while (value > 0x7f) {
+          buffer[length++] = (value & 0x7f) | 0x80;
+          value >>>= 7;
+        }
+        buffer[length++] = value;
+      },
+      result() { return buffer.slice(0, length); }
+    };
+  }
+
+  /**
+   * Encode le dictionnaire au format binaire décrit ci-dessus.  Les
+   * entrées ont la forme du bundle JSON : `entries` [forme, [[lemme,
+   * catégorie], ...]], `nosc` [clé, [forme, ...]] et `thesaurus` [lemme,
+   * [[catégorie, [synonyme, ...]], ...]] et `families` [lemme, lemme de
+   * tête] ; `meta` est recopié tel quel.
+   */
+  function encodeDictionary({ entries, nosc = [], thesaurus = [], families = [], meta = {} }) {
+    const encoder = new TextEncoder();
+    const intern = (ids, value) => {
+      if (!ids.has(value)) ids.set(value, ids.size);
+      return ids.get(value);
+    };
+    const posIds = new Map();
+    const lemmaIds = new Map();
+    const sortKeys = (list) => list
+      .map(([key, value]) => ({ key, bytes: encoder.encode(key), value }))
+      .sort((a, b) => compareBytes(a.bytes, a.bytes.length, b.bytes));
+
+    const forms = sortKeys(entries);
+    const formIndex = new Map(forms.map(({ key }, index) => [key, index]));
+    forms.forEach((entry) => {
+      entry.values = [];
+      for (const [lemma, pos] of toCandidates(entry.value)) {
+        entry.values.push(intern(lemmaIds, lemma), pos ? intern(posIds, pos) + 1 : 0);
+      }
+    });
+    const noscKeys = sortKeys(nosc);
+    noscKeys.forEach((entry) => {
+      entry.values = entry.value.filter((form) => formIndex.has(form)).map((form) => formIndex.get(form));
+    });
+    const thesaurusKeys = sortKeys(thesaurus);
+    thesaurusKeys.forEach((entry) => {
+      entry.values = [];
+      for (const [category, words] of entry.value) {
+        entry.values.push(category ? intern(posIds, category) + 1 : 0, words.length);
+        for (const word of words) entry.values.push(intern(lemmaIds, word));
+      }
+    });
+    const familyKeys = sortKeys(families);
+    familyKeys.forEach((entry) => {
+      entry.values = [intern(lemmaIds, entry.value)];
+    });
+
+    const stringTable = (ids) => {
+      const writer = createByteWriter();
+      const strings = [...ids.keys()].map((value) => encoder.encode(value));
+      writer.u32(strings.length);
+      let offset = 0;
+      for (const bytes of strings) {
+        writer.u32(offset);
+        offset += bytes.length;
+      }
+      writer.u32(offset);
+      strings.forEach((bytes) => writer.bytes(bytes));
+      return writer.result();
+    };
+    const keyTable = (keys) => {
+      const data = createByteWriter();
+      const blocks = [];
+      let previous = null;
+      keys.forEach(({ bytes, values }, index) => {
+        if (index % DICT_BLOCK_SIZE === 0) {
+          blocks.push(data.length);
+          previous = null;
+        }
+        let shared = 0;
+        if (previous) {
+          while (shared < previous.length && shared < bytes.length && previous[shared] === bytes[shared]) shared++;
+        }
+        data.varint(shared);
+        data.varint(bytes.length - shared);
+        data.bytes(bytes.subarray(shared));
+        data.varint(values.length);
+        values.forEach((value) => data.varint(value));
+        previous = bytes;
+      });
+      const writer = createByteWriter();
+      writer.u32(keys.length);
+      writer.u32(blocks.length);
+      blocks.forEach((offset) => writer.u32(offset));
+      writer.bytes(data.result());
+      return writer.result();
+    };
+
+    const sections = {
+      meta: encoder.encode(JSON.stringify(meta)),
+      forms: keyTable(forms),
+      nosc: keyTable(noscKeys),
+      thesaurus: keyTable(thesaurusKeys),
+      families: keyTable(familyKeys)
+    };
+    // Les tables de chaînes sont construites en dernier : l'internement
+    // des lemmes et catégories est terminé
+    sections.pos = stringTable(posIds);
+    sections.lemmas = stringTable(lemmaIds);
+
+    const out = createByteWriter();
+    out.u32(DICT_MAGIC);
+    out.u32(DICT_BINARY_VERSION);
+    let offset = 8 + DICT_SECTIONS.length * 8;
+    for (const name of DICT_SECTIONS) {
+      out.u32(offset);
+      out.u32(sections[name].length);
+      offset += sections[name].length;
+    }
+    for (const name of DICT_SECTIONS) out.bytes(sections[name]);
+    return out.result();
+  }
+
+  /**
+   * Lit une table de chaînes ; les chaînes sont décodées à la demande
+   */
+  function openStringTable(bytes, view, start, decoder) {
+    const count = view.getUint32(start, true);
+    const dataStart = start + 4 + (count + 1) * 4;
+    const cache = new Array(count);
+    return (index) => {
+      if (cache[index] === undefined) {
+        const from = view.getUint32(start + 4 + index * 4, true);
+        const to = view.getUint32(start + 8 + index * 4, true);
+        cache[index] = decoder.decode(bytes.subarray(dataStart + from, dataStart + to));
+      }
+      return cache[index];
+    };
+  }
+
+  /**
+   * Lit une table de clés : find(clé en octets) renvoie ses valeurs (ou
+   * null), keyAt(indice) la clé d'indice donné et entries() itère sur
+   * toutes les paires [clé en octets, valeurs].
+   */
+  function openKeyTable(bytes, view, start) {
+    const count = view.getUint32(start, true);
+    const blockCount = view.getUint32(start + 4, true);
+    const dataStart = start + 8 + blockCount * 4;
+    const blockStart = (block) => dataStart + view.getUint32(start + 8 + block * 4, true);
+    let key = new Uint8Array(256);
+    let keyLength = 0;
+    let pos = 0;
+    const varint = () => {
+      let value = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = bytes[pos++];
+        value += (byte & 0x7f) * 2 ** shift;
+        shift += 7;
+      } while (byte & 0x80);
+      return value;
+    };
+    // Lit la clé de l'entrée courante dans `key` ; renvoie le nombre de
+    // valeurs, laissées à lire (ou à sauter) par l'appelant
+    const readKey = () => {
+      const shared = varint();
+      const length = varint();
+      if (shared + length > key.length) {
+        const next = new Uint8Array(Math.max(key.length * 2, shared + length));
+        next.set(key.subarray(0, shared));
+        key = next;
+      }
+      key.set(bytes.subarray(pos, pos + length), shared);
+      pos += length;
+      keyLength = shared + length;
+      return varint();
+    };
+    const readValues = (n) => {
+      const values = new Array(n);
+      for (let i = 0; i < n; i++) values[i] = varint();
+      return values;
+    };
+    const skipValues = (n) => {
+      for (let i = 0; i < n; i++) varint();
+    };
+    return {
+      count,
+      find(query) {
+        // Dernier bloc dont la première clé est <= query
+        let low = 0;
+        let high = blockCount - 1;
+        while (low < high) {
+          const mid = (low + high + 1) >> 1;
+          pos = blockStart(mid);
+          readKey();
+          if (compareBytes(key, keyLength, query) <= 0) low = mid; else high = mid - 1;
+        }
+        if (blockCount === 0) return null;
+        pos = blockStart(low);
+        const end = Math.min(count, (low + 1) * DICT_BLOCK_SIZE);
+        for (let index = low * DICT_BLOCK_SIZE; index < end; index++) {
+          const n = readKey();
+          const order = compareBytes(key, keyLength, query);
+          if (order === 0) return readValues(n);
+          if (order > 0) return null;
+          skipValues(n);
+        }
+        return null;
+      },
+      keyAt(index) {
+        const block = Math.floor(index / DICT_BLOCK_SIZE);
+        pos = blockStart(block);
+        for (let i = block * DICT_BLOCK_SIZE; i <= index; i++) skipValues(readKey());
+        return key.slice(0, keyLength);
+      },
+      *entries() {
+        for (let block = 0; block < blockCount; block++) {
+          let next = blockStart(block);
+          let previous = null;
+          const end = Math.min(count, (block + 1) * DICT_BLOCK_SIZE);
+          for (let index = block * DICT_BLOCK_SIZE; index < end; index++) {
+            // `pos` et `key` sont partagés avec find() : ils sont
+            // restaurés à chaque entrée au cas où l'appelant ferait une
+            // recherche entre deux
+            pos = next;
+            if (previous) key.set(previous);
+            const values = readValues(readKey());
+            next = pos;
+            previous = key.slice(0, keyLength);
+            yield [previous, values];
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Ouvre un dictionnaire au format binaire (ArrayBuffer ou Uint8Array).
+   * Le résultat a la même forme que celui de createDictionary() : `forms`,
+   * `nosc`, `thesaurus` et `families` offrent get() et l'itération d'une
+   * Map, mais ne
+   * décodent une entrée que lorsqu'elle est demandée (puis la gardent en
+   * cache).  `meta` contient les métadonnées du bundle.
+   */
+  function openDictionary(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < 8 || view.getUint32(0, true) !== DICT_MAGIC) {
+      throw new Error('Format de dictionnaire inconnu');
+    }
+    const version = view.getUint32(4, true);
+    if (version < 1 || version > DICT_BINARY_VERSION) {
+      throw new Error(`Version de dictionnaire non prise en charge : ${version}`);
+    }
+    const sectionNames = version === 1 ? DICT_SECTIONS.filter((name) => name !== 'families') : DICT_SECTIONS;
+    if (bytes.length < 8 + sectionNames.length * 8) throw new Error('Dictionnaire tronqué');
+    const sections = {};
+    sectionNames.forEach((name, index) => {
+      const start = view.getUint32(8 + index * 8, true);
+      const length = view.getUint32(12 + index * 8, true);
+      if (start + length > bytes.length) throw new Error('Dictionnaire tronqué');
+      sections[name] = start;
+      sections[`${name}Length`] = length;
+    });
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+    const meta = JSON.parse(decoder.decode(bytes.subarray(sections.meta, sections.meta + sections.metaLength)));
+    const posAt = openStringTable(bytes, view, sections.pos, decoder);
+    const lemmaAt = openStringTable(bytes, view, sections.lemmas, decoder);
+    const category = (id) => (id === 0 ? null : posAt(id - 1));
+    const formTable = openKeyTable(bytes, view, sections.forms);
+
+    const lazyMap = (table, decodeValues) => {
+      const cache = new Map();
+      return {
+        get size() { return table.count; },
+        get(key) {
+          if (!cache.has(key)) {
+            const values = table.find(encoder.encode(key));
+            cache.set(key, values ? decodeValues(values) : undefined);
+          }
+          return cache.get(key);
+        },
+        *[Symbol.iterator]() {
+          for (const [key, values] of table.entries()) yield [decoder.decode(key), decodeValues(values)];
+        }
+      };
+    };
+    const decodeCandidates = (values) => {
+      const candidates = [];
+      for (let i = 0; i < values.length; i += 2) candidates.push([lemmaAt(values[i]), category(values[i + 1])]);
+      return candidates;
+    };
+    const decodeVariants = (values) => values.map((index) => decoder.decode(formTable.keyAt(index)));
+    const decodeSenses = (values) => {
+      const senses = [];
+      for (let i = 0; i < values.length;) {
+        const senseCategory = category(values[i]);
+        const n = values[i + 1];
+        senses.push([senseCategory, values.slice(i + 2, i + 2 + n).map(lemmaAt)]);
+        i += 2 + n;
+      }
+      return senses;
+    };
+    return {
+      meta,
+      forms: lazyMap(formTable, decodeCandidates),
+      nosc: lazyMap(openKeyTable(bytes, view, sections.nosc), decodeVariants),
+      thesaurus: lazyMap(openKeyTable(bytes, view, sections.thesaurus), decodeSenses),
+      families: version === 1 ? new Map() : lazyMap(openKeyTable(bytes, view, sections.families), ([head]) => lemmaAt(head)),
+      lemmaForms: null
+    };
+  }
+
+  /**
+   * Renvoie les candidats d'une forme (en minuscules, accents compris).
+   * La forme exacte est cherchée en premier ; à défaut, on se replie sur
+   * toutes les formes accentuées partageant la même forme sans
+   * diacritiques (« peche » → pêche, péché, pêché).
+   */
+  function lookupCandidates(dict, form) {
+    const exact = dict.forms.get(form);
+    if (exact) return exact;
+    const key = normalize(form);
+    const variants = dict.nosc.get(key);
+    if (!variants) return dict.forms.get(key) || [];
+    const candidates = [];
+    for (const variant of variants) {
+      for (const [lemma, pos] of dict.forms.get(variant) || []) {
+        if (!candidates.some(([l, p]) => l === lemma && p === pos)) candidates.push([lemma, pos]);
+      }
+    }
+    return candidates;
+  }
+
+  // Lexique personnel : formes ajoutées ou redéfinies par l'utilisateur
+  // (néologismes, jargon, anglicismes...), saisies dans le panneau
+  // « Lexique personnel », persistées dans IndexedDB par le thread
+  // principal et transmises avec chaque analyse sous forme de triplets
+  // [forme, lemme, catégorie|null].  Une forme présente dans le lexique
+  // personnel remplace entièrement ses candidats LEFFF.
+
+  /**
+   * Construit le lexique personnel : forme (minuscules, NFC) → candidats
+   * [lemme, catégorie].
+   */
+  function buildUserLexicon(entries) {
+    const lexicon = new Map();
+    for (const [form, lemma, pos] of entries || []) {
+      const key = lowerForm(String(form || '').trim());
+      const value = lowerForm(String(lemma || '').trim());
+      if (!key || !value) continue;
+      if (!lexicon.has(key)) lexicon.set(key, []);
+      const candidates = lexicon.get(key);
+      if (!candidates.some(([l, p]) => l === value && p === (pos || null))) {
+        candidates.push([value, pos || null]);
+      }
+    }
+    return lexicon;
+  }
+
+  /**
+   * Renvoie les candidats d'une forme et leur provenance : 'user' (lexique
+   * personnel), 'dictionary' (LEFFF) ou 'fallback' (forme inconnue, qui
+   * servira de lemme).
+   */
+  function resolveCandidates(dict, userLexicon, form) {
+    const userCandidates = userLexicon.get(form);
+    if (userCandidates) return { candidates: userCandidates, source: 'user' };
+    const candidates = lookupCandidates(dict, form);
+    return { candidates, source: candidates.length > 0 ? 'dictionary' : 'fallback' };
+  }
+
+  /**
+   * Catégories préférées d'après le contexte gauche (`prev1` est le mot
+   * précédent, `prev2` celui d'avant) et les règles du pack de langue,
+   * ou null si aucune règle ne s'applique.
+   */
+  function preferredCategories(prev1, prev2, dict, pack = getLanguagePack()) {
+    if (!prev1) return null;
+    if (pack.objectDeterminers.has(prev1) && (pack.subjectPronouns.has(prev2) || pack.verbClitics.has(prev2))) {
+      // « il le couvent » : pronom complément devant un verbe
+      return ['VER'];
+    }
+    if (pack.determiners.has(prev1)) return ['NOM', 'ADJ'];
+    if (pack.subjectPronouns.has(prev1) || pack.verbClitics.has(prev1)) return ['VER'];
+    const prevCandidates = lookupCandidates(dict, prev1);
+    if (prevCandidates.some(([lemma, pos]) => pack.auxiliaryLemmas.has(lemma) && mainCategory(pos) === 'VER')) {
+      return ['VER', 'ADJ'];
+    }
+    return null;
+  }
+
+  /**
+   * Choisit le lemme d'une forme parmi ses candidats.  Renvoie
+   * { lemma, pos } ; la forme elle-même sert de lemme si elle est
+   * absente du dictionnaire.
+   */
+  function chooseLemma(form, candidates, prev1, prev2, dict, pack = getLanguagePack()) {
+    if (candidates.length === 0) return { lemma: form, pos: null };
+    if (candidates.length === 1) return { lemma: candidates[0][0], pos: candidates[0][1] };
+    const preferred = preferredCategories(prev1, prev2, dict, pack) || [];
+    const priority = pack.categoryPriority;
+    const rank = (pos) => {
+      const category = mainCategory(pos);
+      const preferredIndex = preferred.indexOf(category);
+      if (preferredIndex !== -1) return preferredIndex;
+      const priorityIndex = priority.indexOf(category);
+      return preferred.length + (priorityIndex === -1 ? priority.length : priorityIndex);
+    };
+    let best = null;
+    let bestScore = Infinity;
+    for (const [lemma, pos] of candidates) {
+      const score = rank(pos) * 2 + (lemma === form || !pack.preferIdenticalLemma ? 0 : 1);
+      if (score < bestScore) {
+        best = { lemma, pos };
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Met une forme en minuscules en conservant ses accents (composés en
+   * NFC, comme les clés du dictionnaire).
+   */
+  function lowerForm(str) {
+    return str.toLowerCase().normalize('NFC');
+  }
+
+  /**
+   * Normalise une chaîne : mise en minuscules et suppression des
+   * diacritiques (accents).  Sert uniquement au repli lorsque la forme
+   * accentuée est absente du dictionnaire.
+   */
+  function normalize(str) {
+    return str
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+  }
+
+  // Suggestions de synonymes.  Les synonymes d'un lemme viennent du
+  // thésaurus bundlé, filtrés sur la catégorie du lemme ciblé.  Pour
+  // remplacer une occurrence, chaque synonyme est fléchi comme la forme
+  // d'origine : d'abord par analogie de suffixe avec le lemme
+  // (chanter → chantons donne entonner → entonnons), puis, à défaut, en
+  // choisissant la forme du synonyme qui partage la plus longue
+  // terminaison avec la forme d'origine (finissons → achevons).
+
+  /**
+   * Renvoie les formes fléchies connues d'un lemme pour une catégorie
+   * donnée (toutes catégories si `category` est null).
+   */
+  function formsOfLemma(dict, lemma, category) {
+    if (!dict.lemmaForms) {
+      dict.lemmaForms = new Map();
+      for (const [form, candidates] of dict.forms) {
+        for (const [candidateLemma, pos] of candidates) {
+          if (!dict.lemmaForms.has(candidateLemma)) dict.lemmaForms.set(candidateLemma, []);
+          dict.lemmaForms.get(candidateLemma).push([form, mainCategory(pos)]);
+        }
+      }
+    }
+    return (dict.lemmaForms.get(lemma) || [])
+      .filter(([, formCategory]) => category === null || formCategory === category)
+      .map(([form]) => form);
+  }
+
+  /**
+   * Longueur de la terminaison commune à deux chaînes (le x final du
+   * pluriel, « beaux », est assimilé à un s).
+   */
+  function commonSuffixLength(a, b) {
+    a = a.replace(/x$/, 's');
+    b = b.replace(/x$/, 's');
+    let length = 0;
+    while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) {
+      length++;
+    }
+    return length;
+  }
+
+  /**
+   * Fléchit `synonym` comme `form` est fléchie par rapport à `lemma`.
+   */
+  function inflectLike(dict, form, lemma, synonym, category) {
+    const forms = formsOfLemma(dict, synonym, category);
+    if (form === lemma || forms.length === 0) return synonym;
+    let prefix = 0;
+    while (prefix < form.length && prefix < lemma.length && form[prefix] === lemma[prefix]) prefix++;
+    const lemmaEnding = lemma.slice(prefix);
+    if (synonym.endsWith(lemmaEnding)) {
+      const analog = synonym.slice(0, synonym.length - lemmaEnding.length) + form.slice(prefix);
+      if (forms.includes(analog)) return analog;
+    }
+    let best = synonym;
+    let bestScore = -Infinity;
+    for (const candidate of forms) {
+      const score = commonSuffixLength(candidate, form) * 100 - Math.abs(candidate.length - form.length);
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Synonymes d'un lemme pour la catégorie de `pos` (toutes catégories si
+   * `pos` est null), chacun avec sa flexion pour chacune des `forms`.
+   * Renvoie [{ lemma, pos, inflections: { forme: forme fléchie } }, ...].
+   */
+  function findSynonyms(dict, lemma, pos, forms) {
+    const category = mainCategory(pos);
+    const synonyms = [];
+    const seen = new Set([lemma]);
+    for (const [senseCategory, words] of dict.thesaurus.get(lemma) || []) {
+      if (category && senseCategory && senseCategory !== category) continue;
+      for (const word of words) {
+        if (seen.has(word)) continue;
+        seen.add(word);
+        const inflections = {};
+        for (const form of forms || []) {
+          inflections[form] = inflectLike(dict, form, lemma, word, senseCategory || category);
+        }
+        synonyms.push({ lemma: word, pos: senseCategory || category, inflections });
+      }
+    }
+    return synonyms;
+  }
+
+  /**
+   * Sélectionne les topN lemmes les plus fréquents atteignant le seuil.
+   * Avec `fallback`, s'il y en a moins de topN, les plus fréquents sont
+   * retenus quel que soit le seuil.
+   */
+  function selectTopLemmas(counts, baseThreshold, topN, fallback = true) {
+    const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    const eligible = entries.filter(([, freq]) => freq >= baseThreshold);
+    if (!fallback || eligible.length >= topN) return eligible.slice(0, topN);
+    return entries.slice(0, Math.min(topN, entries.length));
+  }
+
+  /**
+   * Seuil d'occurrences d'un lemme surligné selon la stratégie
+   * options.threshold (voir DEFAULT_HEATMAP_OPTIONS) ; `scanned` est le
+   * nombre de mots du texte.
+   */
+  function heatmapThreshold(counts, scanned, options = DEFAULT_HEATMAP_OPTIONS) {
+    switch (options.threshold) {
+      case 'count':
+        return Math.max(2, Math.ceil(options.minCount));
+      case 'density':
+        return Math.max(2, Math.ceil((options.perThousand * scanned) / 1000));
+      case 'rank':
+        return 2;
+      default: {
+        // Seuil basé sur la masse de répétition, min 2
+        const repetitionMass = Object.values(counts).reduce((acc, c) => acc + (c > 1 ? (c - 1) : 0), 0);
+        return repetitionMass > 0
+          ? Math.max(2, Math.ceil((HEATMAP_BASE_THRESHOLD * repetitionMass) / 200))
+          : Infinity;
+      }
+    }
+  }
+
+  /**
+   * Calcule les niveaux de chaleur (1 à options.levels) des lemmes
+   * retenus, d'après leur rang ou les quantiles de leur fréquence.
+   */
+  function calculateHeatLevels(counts, baseThreshold, options = DEFAULT_HEATMAP_OPTIONS) {
+    const heatMap = new Map();
+    const levels = Math.min(HEATMAP_MAX_LEVELS, Math.max(2, Math.round(options.levels) || HEATMAP_LEVELS));
+    const topLemmas = selectTopLemmas(counts, baseThreshold, options.topWords, options.threshold === 'auto');
+    if (topLemmas.length === 0) return heatMap;
+    const n = topLemmas.length;
+    for (let i = 0; i < n; i++) {
+      const [lemma, freq] = topLemmas[i];
+      let heatLevel;
+      if (options.mapping === 'quantile') {
+        // Quantile de la fréquence parmi les lemmes retenus (part des
+        // lemmes au plus aussi fréquents) : le plus fréquent est au
+        // niveau maximal
+        let first = i;
+        while (first > 0 && topLemmas[first - 1][1] === freq) first--;
+        heatLevel = Math.max(1, Math.ceil((levels * (n - first)) / n));
+      } else {
+        // Tranches égales du classement (le premier cinquième au niveau
+        // 5 avec cinq niveaux)
+        heatLevel = levels - Math.floor((i * levels) / n);
+      }
+      heatMap.set(lemma, heatLevel);
+    }
+    return heatMap;
+  }
+
+  // Options par défaut de l'analyse Markdown.  Le code (blocs et
+  // spans), les URL, les cibles de liens, les balises HTML et le front
+  // matter YAML ne sont jamais analysés ; les constructions ci-dessous
+  // peuvent être incluses ou exclues de l'analyse.
+  const DEFAULT_MARKDOWN_OPTIONS = {
+    headings: true,     // titres (# Titre, ou soulignés par === / ---)
+    lists: true,        // éléments de liste
+    blockquotes: true,  // citations (> ...)
+    linkText: true,     // texte des liens [texte](url)
+    imageAlt: false     // texte alternatif des images ![alt](src)
+  };
+
+  /**
+   * Remplace par des espaces les caractères des plages [start, end)
+   * données, en conservant les retours à la ligne.  La longueur du texte
+   * est préservée, ce qui garde les positions des tokens valables dans le
+   * texte d'origine.
+   */
+  function applyMask(text, ranges) {
+    if (ranges.length === 0) return text;
+    ranges.sort((a, b) => a[0] - b[0]);
+    let result = '';
+    let last = 0;
+    for (const [start, end] of ranges) {
+      const from = Math.max(start, last);
+      if (end <= from) continue;
+      result += text.slice(last, from) + text.slice(from, end).replace(/[^\n]/g, ' ');
+      last = end;
+    }
+    return result + text.slice(last);
+  }
+
+  /**
+   * Masque toutes les occurrences d'une regex.  `pick` renvoie, pour une
+   * occurrence, les sous-plages à masquer (relatives au début de celle-ci).
+   */
+  function maskMatches(text, regex, pick = (m) => [[0, m[0].length]]) {
+    const ranges = [];
+    for (const m of text.matchAll(regex)) {
+      for (const [start, end] of pick(m)) {
+        ranges.push([m.index + start, m.index + end]);
+      }
+    }
+    return applyMask(text, ranges);
+  }
+
+  // État du masquage au début d'un texte (voir maskMarkdownRange())
+  const INITIAL_MASK_STATE = {
+    start: true,                // le texte commence le document
+    fence: null,                // { char, length } du bloc de code ouvert
+    inFrontMatter: false,
+    prevBlank: true,
+    blockType: null,            // type du bloc courant
+    comment: false              // commentaire HTML ouvert
+  };
+
+  /**
+   * Masque les blocs Markdown qui ne sont pas de la prose (front matter,
+   * blocs de code, définitions de liens) ainsi que les titres, listes et
+   * citations lorsqu'ils sont exclus par les options.  Le masquage
+   * reprend l'état `state` ; renvoie { masked, state }, l'état à la fin
+   * du texte.
+   */
+  function maskMarkdownBlocks(text, opts, state) {
+    const ranges = [];
+    const lines = text.split('\n');
+    let offset = 0;
+    let { fence, inFrontMatter, prevBlank, blockType } = state;
+    let prevLine = null;        // [start, end) de la ligne précédente
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const lineRange = [offset, offset + line.length];
+      offset += line.length + 1;
+      const mask = () => ranges.push(lineRange);
+      const previous = prevLine;
+      prevLine = lineRange;
+
+      if (i === 0 && state.start && /^---\s*$/.test(line)) {
+        inFrontMatter = true;
+        mask();
+        continue;
+      }
+      if (inFrontMatter) {
+        mask();
+        if (/^(?:---|\.\.\.)\s*$/.test(line)) inFrontMatter = false;
+        continue;
+      }
+      if (fence) {
+        mask();
+        const close = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+        if (close && close[1][0] === fence.char && close[1].length >= fence.length) {
+          fence = null;
+        }
+        continue;
+      }
+      const open = line.match(/^ {0,3}(`{3,}|~{3,})/);
+      if (open) {
+        fence = { char: open[1][0], length: open[1].length };
+        blockType = 'code';
+        prevBlank = false;
+        mask();
+        continue;
+      }
+      if (/^\s*$/.test(line)) {
+        prevBlank = true;
+        continue;
+      }
+      const indented = /^(?: {4}|\t)/.test(line);
+      if (indented && (blockType === 'code' || (prevBlank && blockType !== 'list'))) {
+        // Bloc de code indenté
+        blockType = 'code';
+        prevBlank = false;
+        mask();
+        continue;
+      }
+
+      if (/^ {0,3}\[[^\]\n]+\]:\s*\S/.test(line)) {
+        // Définition de lien : [ref]: url "titre"
+        blockType = 'definition';
+        mask();
+      } else if (/^ {0,3}#{1,6}(?:\s|$)/.test(line)) {
+        blockType = 'heading';
+        if (!opts.headings) mask();
+      } else if (/^ {0,3}(?:=+|-+)\s*$/.test(line) && !prevBlank && blockType === 'paragraph') {
+        // Soulignement d'un titre setext : la ligne précédente est un titre
+        blockType = 'heading';
+        if (!opts.headings && previous) ranges.push(previous);
+      } else if (/^ {0,3}>/.test(line) || (blockType === 'quote' && !prevBlank)) {
+        blockType = 'quote';
+        if (!opts.blockquotes) mask();
+      } else {
+        const item = line.match(/^ {0,3}(?:[-*+]|\d{1,9}[.)])(?:\s+|$)(\[[ xX]\](?=\s))?/);
+        if (item || (blockType === 'list' && (!prevBlank || indented))) {
+          blockType = 'list';
+          if (!opts.lists) {
+            mask();
+          } else if (item && item[1]) {
+            // Case à cocher d'une liste de tâches
+            const boxStart = lineRange[0] + item[0].length - item[1].length;
+            ranges.push([boxStart, boxStart + item[1].length]);
+          }
+        } else {
+          blockType = 'paragraph';
+        }
+      }
+      prevBlank = false;
+    }
+    return {
+      masked: applyMask(text, ranges),
+      state: { ...state, start: false, fence, inFrontMatter, prevBlank, blockType }
+    };
+  }
+
+  /**
+   * Masque les constructions Markdown en ligne qui ne sont pas de la
+   * prose : code, commentaires et balises HTML, cibles de liens et
+   * d'images, appels de notes, URL, adresses e-mail et entités HTML.
+   * Aucune ne franchit une ligne vide, sauf les commentaires : `comment`
+   * indique qu'un commentaire ouvert avant le texte n'est pas encore
+   * fermé.  Renvoie { masked, comment }, où `comment` indique si un
+   * commentaire reste ouvert à la fin du texte.
+   */
+  function maskMarkdownInline(text, opts, comment) {
+    let masked = text;
+    if (comment) {
+      const close = masked.indexOf('-->');
+      if (close === -1) return { masked: applyMask(masked, [[0, masked.length]]), comment: true };
+      masked = applyMask(masked, [[0, close + 3]]);
+    }
+    // Commentaires HTML (éventuellement sur plusieurs lignes ; un
+    // commentaire non fermé s'étend jusqu'à la fin du document)
+    let open = false;
+    masked = maskMatches(masked, /<!--[\s\S]*?(-->|$)/g, (m) => {
+      open = m[1] === '';
+      return [[0, m[0].length]];
+    });
+    // Code en ligne : `code`, ``code avec ` dedans``
+    masked = maskMatches(masked, /(`+)(?!`)(?:(?!\n[ \t]*\n)[\s\S])*?[^`]\1(?!`)/g);
+    // Liens automatiques <https://...> et balises HTML
+    masked = maskMatches(masked, /<[A-Za-z][A-Za-z0-9+.-]*:[^\s<>]*>/g);
+    masked = maskMatches(masked, /<\/?[A-Za-z][A-Za-z0-9-]*(?:\s(?:(?!\n[ \t]*\n)[^<>])*)?\/?>/g);
+    // Liens et images en ligne : [texte](url "titre"), ![alt](src)
+    masked = maskMatches(masked, /(!?)\[([^\[\]\n]*)\]\(([^()\n]*(?:\([^()\n]*\)[^()\n]*)*)\)/g, (m) => {
+      const keepLabel = m[1] ? opts.imageAlt : opts.linkText;
+      const labelStart = m[1].length + 1;
+      const labelEnd = labelStart + m[2].length;
+      return keepLabel
+        ? [[0, labelStart], [labelEnd, m[0].length]]
+        : [[0, m[0].length]];
+    });
+    // Liens par référence : [texte][ref], ![alt][ref]
+    masked = maskMatches(masked, /(!?)\[([^\[\]\n]*)\]\[([^\[\]\n]*)\]/g, (m) => {
+      const keepLabel = m[1] ? opts.imageAlt : opts.linkText;
+      const labelStart = m[1].length + 1;
+      const labelEnd = labelStart + m[2].length;
+      return keepLabel
+        ? [[0, labelStart], [labelEnd, m[0].length]]
+        : [[0, m[0].length]];
+    });
+    // Appels de notes de bas de page : [^1], [^note]
+    masked = maskMatches(masked, /\[\^[^\]\s]+\]/g);
+    // URL et adresses e-mail nues
+    masked = maskMatches(masked, /\b(?:https?:\/\/|ftp:\/\/|www\.)[^\s<>()\[\]]+/gi);
+    masked = maskMatches(masked, /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g);
+    // Entités HTML : &nbsp; &eacute; &#233;
+    masked = maskMatches(masked, /&(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);/gi);
+    return { masked, comment: open };
+  }
+
+  /**
+   * Masque une suite de paragraphes (voir splitParagraphs()) en reprenant
+   * l'état du masquage à la fin des paragraphes qui précèdent (null au
+   * début du document).  Renvoie { masked, state } ; l'état est une
+   * chaîne opaque, et deux états égaux donnent le même masquage pour la
+   * suite du document, ce qui permet au worker de ne masquer à nouveau
+   * que les paragraphes modifiés.  Masquer les paragraphes l'un après
+   * l'autre donne le même résultat que maskMarkdown() sur tout le texte.
+   */
+  function maskMarkdownRange(text, options, state = null) {
+    const opts = { ...DEFAULT_MARKDOWN_OPTIONS, ...(options || {}) };
+    const current = state === null ? INITIAL_MASK_STATE : JSON.parse(state);
+    const blocks = maskMarkdownBlocks(text, opts, current);
+    const inline = maskMarkdownInline(blocks.masked, opts, current.comment);
+    return { masked: inline.masked, state: JSON.stringify({ ...blocks.state, comment: inline.comment }) };
+  }
+
+  /**
+   * Renvoie une copie du texte de même longueur dans laquelle tout ce qui
+   * n'est pas de la prose à analyser est remplacé par des espaces.
+   */
+  function maskMarkdown(text, options) {
+    return maskMarkdownRange(text, options).masked;
+  }
+
+  /**
+   * Découpe le texte en paragraphes (blocs séparés par au moins une ligne
+   * vide).  Chaque paragraphe conserve ses séparateurs de fin, de sorte que
+   * la concaténation des morceaux redonne exactement le texte d'origine.
+   * Le thread principal utilise le même découpage pour calculer les
+   * paragraphes modifiés en mode « analyse en direct ».
+   */
+  function splitParagraphs(text) {
+    const paragraphs = [];
+    const separatorRegex = /\n[ \t]*\n(?:[ \t]*\n)*/g;
+    let last = 0;
+    let match;
+    while ((match = separatorRegex.exec(text)) !== null) {
+      const end = match.index + match[0].length;
+      paragraphs.push(text.slice(last, end));
+      last = end;
+    }
+    paragraphs.push(text.slice(last));
+    return paragraphs;
+  }
+
+  /**
+   * Sépare un mot de ses élisions ou contractions selon le pack de
+   * langue.  Renvoie { offset, word, base, before, after } : `word` est
+   * le mot sans ses apostrophes de début et de fin (si le pack les
+   * retire), `offset` sa position dans le mot d'origine, `base` le mot
+   * principal à lemmatiser et `before` / `after` l'élision qui le précède
+   * (« l' ») ou la contraction qui le suit (« n't »), ou null.
+   */
+  function splitWord(rawWord, pack) {
+    let word = rawWord;
+    let offset = 0;
+    if (pack.trimApostrophes) {
+      const trimmed = word.replace(/^['’ʼ]+/, '');
+      offset = word.length - trimmed.length;
+      word = trimmed.replace(/['’ʼ]+$/, '');
+    }
+    if (pack.elision === 'suffix') {
+      const lower = lowerForm(word).replace(/['’ʼ]/g, "'");
+      const match = pack.contractionPattern && lower.match(pack.contractionPattern);
+      if (!match) return { offset, word, base: word, before: null, after: null };
+      return { offset, word, base: pack.contractions[lower] || match[1], before: null, after: match[2] };
+    }
+    const segments = word.split(/['’ʼ]/);
+    if (segments.length === 1) return { offset, word, base: word, before: null, after: null };
+    return {
+      offset,
+      word,
+      base: segments[segments.length - 1],
+      before: segments[segments.length - 2],
+      after: null
+    };
+  }
+
+  /**
+   * Découpe un texte en tokens lemmatisés.  Chaque token porte, en plus de
+   * sa position, l'index du mot (mots ignorés compris), de la phrase et du
+   * paragraphe dans le texte fourni, utilisés par la détection de proximité.
+   * Les formes et lemmes présents dans `ignoredLemmas` sont comptés comme
+   * ignorés ; les formes de `userLexicon` sont résolues avant le
+   * dictionnaire.  `source` indique d'où vient le lemme de chaque token.
+   * Les élisions, contractions et règles de désambiguïsation sont celles
+   * du pack de langue `pack`.
+   */
+  function tokenize(text, dict, ignoredLemmas, userLexicon = new Map(), pack = getLanguagePack()) {
+    // Regex Unicode: lettres + apostrophes courantes + traits d’union
+    const wordRegex = /[\p{L}'’ʼ\-\u2011]+/gu;
+    const tokens = [];
+    // Tous les mots, ignorés compris, pour la détection des expressions
+    const words = [];
+    let scanned = 0;
+    let ignored = 0;
+    let sentence = 0;
+    let paragraph = 0;
+    let lastEnd = 0;
+    // Contexte gauche pour la désambiguïsation (formes en minuscules)
+    let prev1 = null;
+    let prev2 = null;
+    for (const match of text.matchAll(wordRegex)) {
+      const gap = text.slice(lastEnd, match.index);
+      if (/\n[ \t]*\n/.test(gap)) { paragraph++; sentence++; prev1 = prev2 = null; }
+      else if (/[.!?…]/.test(gap)) { sentence++; prev1 = prev2 = null; }
+      lastEnd = match.index + match[0].length;
+      const word = scanned;
+      scanned++;
+      const { offset, word: rawWord, base, before, after } = splitWord(match[0], pack);
+      const start = match.index + offset;
+      const form = lowerForm(base);
+      if (before !== null) {
+        // L'élision (« c' », « l' », « qu' ») fait partie du contexte
+        prev2 = prev1;
+        prev1 = lowerForm(before) || prev1;
+      }
+      const context1 = prev1;
+      const context2 = prev2;
+      prev2 = prev1;
+      prev1 = form || prev1;
+      if (after !== null) {
+        // Idem pour la contraction (« n't », « 'll ») et le mot suivant
+        prev2 = prev1;
+        prev1 = after;
+      }
+      if (form.length === 0) { ignored++; continue; }
+      const end = start + rawWord.length;
+      const lowerWord = rawWord.toLowerCase();
+      if (ignoredLemmas.has(form)) {
+        ignored++;
+        words.push({ start, end, lemma: form, text: lowerWord, ignored: true, sentence });
+        continue;
+      }
+      const { candidates, source } = resolveCandidates(dict, userLexicon, form);
+      const { lemma, pos } = chooseLemma(form, candidates, context1, context2, dict, pack);
+      const isIgnored = ignoredLemmas.has(lemma);
+      words.push({ start, end, lemma, text: lowerWord, ignored: isIgnored, sentence });
+      if (isIgnored) { ignored++; continue; }
+      // Lemme de tête de la famille de mots (le lemme lui-même à défaut)
+      const family = (dict.families && dict.families.get(lemma)) || lemma;
+      tokens.push({ start, end, lemma, pos, source, word, sentence, paragraph, family });
+    }
+    return { tokens, words, scanned, ignored, sentences: sentence + 1, paragraphs: paragraph + 1 };
+  }
+
+  /**
+   * Détecte les lemmes qui réapparaissent à proximité l'un de l'autre.
+   * Renvoie les paires (triées de la plus proche à la plus éloignée) et
+   * les tokens concernés, avec pour chacun la plus petite distance à une
+   * autre occurrence et le meilleur score.
+   */
+  function detectProximity(tokens, options) {
+    const opts = { ...DEFAULT_PROXIMITY_OPTIONS, ...(options || {}) };
+    if (!opts.enabled) return { pairs: [], highlights: [] };
+    const lastByLemma = new Map();
+    const pairs = [];
+    const flagged = new Map(); // Map<token, {distance, score}>
+    const flag = (tok, distance, score) => {
+      const current = flagged.get(tok);
+      if (!current || distance < current.distance) flagged.set(tok, { distance, score });
+    };
+    for (const tok of tokens) {
+      const previous = lastByLemma.get(tok.lemma);
+      lastByLemma.set(tok.lemma, tok);
+      if (!previous) continue;
+      let near;
+      if (opts.unit === 'sentence') near = previous.sentence === tok.sentence;
+      else if (opts.unit === 'paragraph') near = previous.paragraph === tok.paragraph;
+      else near = tok.word - previous.word <= opts.window;
+      if (!near) continue;
+      const distance = tok.word - previous.word;
+      const score = Math.round((1 / distance) * 1000) / 1000;
+      pairs.push({
+        lemma: tok.lemma,
+        first: { start: previous.start, end: previous.end },
+        second: { start: tok.start, end: tok.end },
+        distance,
+        score
+      });
+      flag(previous, distance, score);
+      flag(tok, distance, score);
+    }
+    pairs.sort((a, b) => a.distance - b.distance || a.first.start - b.first.start);
+    const highlights = Array.from(flagged, ([tok, { distance, score }]) => ({
+      start: tok.start,
+      end: tok.end,
+      lemma: tok.lemma,
+      distance,
+      score
+    })).sort((a, b) => a.start - b.start);
+    return { pairs, highlights };
+  }
+
+  /**
+   * Détecte les expressions répétées (n-grammes de lemmes) dans la liste
+   * des mots renvoyée par tokenize.  Une expression ne franchit pas la fin
+   * d'une phrase et doit contenir au moins un mot non ignoré (deux si elle
+   * ne compte que deux mots, pour écarter « le chat », « il dit »…).
+   * Une expression dont toutes les occurrences sont contenues dans une
+   * expression plus longue retenue est écartée : « au bout du compte »
+   * masque « bout du compte » et « au bout du », mais « se mettre à »
+   * reste listé s'il apparaît aussi hors de « il se mettre à ».  Renvoie
+   * les expressions classées (nombre d'occurrences × longueur) et les
+   * plages à surligner.
+   */
+  function detectPhrases(words, options) {
+    const opts = { ...DEFAULT_PHRASE_OPTIONS, ...(options || {}) };
+    if (!opts.enabled || !words) return { phrases: [], highlights: [] };
+    const minLength = Math.max(2, opts.minLength);
+    const maxLength = Math.max(minLength, opts.maxLength);
+    const minCount = Math.max(2, opts.minCount);
+    // Indices de début de chaque n-gramme, par longueur puis par clé
+    const byLength = new Map(); // Map<n, Map<key, number[]>>
+    for (let n = minLength; n <= maxLength; n++) byLength.set(n, new Map());
+    for (let i = 0; i < words.length; i++) {
+      const sentence = words[i].sentence;
+      let key = words[i].lemma;
+      let content = words[i].ignored ? 0 : 1;
+      for (let n = 2; n <= maxLength; n++) {
+        const next = words[i + n - 1];
+        if (!next || next.sentence !== sentence) break;
+        key += ' ' + next.lemma;
+        if (!next.ignored) content++;
+        if (n < minLength || content === 0 || (n === 2 && content < 2)) continue;
+        const starts = byLength.get(n);
+        if (!starts.has(key)) starts.set(key, []);
+        starts.get(key).push(i);
+      }
+    }
+    // Des plus longues aux plus courtes : une expression n'est retenue que
+    // si l'une de ses occurrences (disjointes) déborde des expressions plus
+    // longues déjà retenues
+    const covered = new Uint8Array(words.length);
+    const found = [];
+    for (let n = maxLength; n >= minLength; n--) {
+      const candidates = [];
+      for (const [key, starts] of byLength.get(n)) {
+        if (starts.length < minCount) continue;
+        const kept = [];
+        let nextFree = 0;
+        let uncovered = false;
+        for (const i of starts) {
+          if (i < nextFree) continue;
+          kept.push(i);
+          nextFree = i + n;
+          for (let k = i; k < i + n && !uncovered; k++) if (!covered[k]) uncovered = true;
+        }
+        if (kept.length >= minCount && uncovered) candidates.push({ key, n, starts: kept });
+      }
+      for (const candidate of candidates) {
+        for (const i of candidate.starts) covered.fill(1, i, i + candidate.n);
+        found.push(candidate);
+      }
+    }
+    found.sort((a, b) => b.starts.length * b.n - a.starts.length * a.n
+      || b.n - a.n
+      || a.starts[0] - b.starts[0]);
+    const phrases = found.slice(0, PHRASE_MAX_RESULTS).map(({ key, n, starts }) => ({
+      phrase: key,
+      text: words.slice(starts[0], starts[0] + n).map((w) => w.text).join(' '),
+      length: n,
+      count: starts.length,
+      occurrences: starts.map((i) => ({ start: words[i].start, end: words[i + n - 1].end }))
+    }));
+    const highlights = [];
+    phrases.forEach(({ phrase, occurrences }, index) => {
+      for (const { start, end } of occurrences) highlights.push({ start, end, phrase, index });
+    });
+    highlights.sort((a, b) => a.start - b.start);
+    return { phrases, highlights };
+  }
+
+  /**
+   * Calcule les répétitions à partir d'une liste de tokens déjà lemmatisés.
+   * `words` (tous les mots, ignorés compris) sert à la détection des
+   * expressions répétées ; `heatmapOptions` et `familyOptions`
+   * surchargent DEFAULT_HEATMAP_OPTIONS et DEFAULT_FAMILY_OPTIONS.  Avec
+   * le regroupement par familles, le lemme des résultats est celui de
+   * tête de la famille et les entrées de `lemmaFrequencies` dont
+   * plusieurs lemmes sont présents dans le texte ont une liste `members`
+   * [{ lemma, frequency }].
+   */
+  function summarize(tokens, scanned, ignored, proximityOptions, words, phraseOptions, heatmapOptions, familyOptions) {
+    const heatmap = { ...DEFAULT_HEATMAP_OPTIONS, ...(heatmapOptions || {}) };
+    const families = { ...DEFAULT_FAMILY_OPTIONS, ...(familyOptions || {}) };
+    // Occurrences de chaque lemme par famille
+    const familyMembers = families.enabled ? new Map() : null; // Map<famille, Map<lemma, count>>
+    if (familyMembers) {
+      tokens = tokens.map((tok) => {
+        const family = tok.family || tok.lemma;
+        if (!familyMembers.has(family)) familyMembers.set(family, new Map());
+        const byLemma = familyMembers.get(family);
+        byLemma.set(tok.lemma, (byLemma.get(tok.lemma) || 0) + 1);
+        return family === tok.lemma ? tok : { ...tok, lemma: family };
+      });
+    }
+    const membersOf = (lemma) => {
+      const byLemma = familyMembers && familyMembers.get(lemma);
+      if (!byLemma || byLemma.size < 2) return null;
+      return [...byLemma].sort((a, b) => b[1] - a[1]).map(([member, frequency]) => ({ lemma: member, frequency }));
+    };
+    const total = tokens.length;
+    const counts = Object.create(null);
+    const posCounts = new Map(); // Map<lemma, Map<pos, count>>
+    const sourceCounts = { user: 0, dictionary: 0, fallback: 0 };
+    for (const tok of tokens) {
+      counts[tok.lemma] = (counts[tok.lemma] || 0) + 1;
+      if (tok.source in sourceCounts) sourceCounts[tok.source]++;
+      if (tok.pos) {
+        if (!posCounts.has(tok.lemma)) posCounts.set(tok.lemma, new Map());
+        const byPos = posCounts.get(tok.lemma);
+        byPos.set(tok.pos, (byPos.get(tok.pos) || 0) + 1);
+      }
+    }
+    // Catégorie la plus fréquente de chaque lemme
+    const dominantPos = (lemma) => {
+      const byPos = posCounts.get(lemma);
+      if (!byPos) return null;
+      let best = null;
+      for (const [pos, count] of byPos) {
+        if (best === null || count > byPos.get(best)) best = pos;
+      }
+      return best;
+    };
+    const baseThreshold = heatmapThreshold(counts, scanned, heatmap);
+    const heatLevelMap = calculateHeatLevels(counts, baseThreshold, heatmap);
+    const highlights = [];
+    for (const tok of tokens) {
+      const heat = heatLevelMap.get(tok.lemma) || 0;
+      if (heat > 0) {
+        highlights.push({ start: tok.start, end: tok.end, heat, lemma: tok.lemma, pos: tok.pos || null });
+      }
+    }
+    const selectedEntries = selectTopLemmas(counts, baseThreshold, heatmap.topWords, heatmap.threshold === 'auto');
+    const lemmaFrequencies = selectedEntries.map(([lemma, freq]) => {
+      const entry = {
+        lemma,
+        frequency: freq,
+        heat: heatLevelMap.get(lemma) || 0,
+        pos: dominantPos(lemma)
+      };
+      const members = membersOf(lemma);
+      if (members) entry.members = members;
+      return entry;
+    });
+    const distinctLemmaCount = Object.keys(counts).length;
+    let repeatedLemmaCount = 0;
+    let repeatedTokenCount = 0;
+    let eligibleLemmaCount = 0;
+    for (const c of Object.values(counts)) {
+      if (c >= 2) { repeatedLemmaCount++; repeatedTokenCount += c; }
+      if (c >= baseThreshold) eligibleLemmaCount++;
+    }
+    const stats = {
+      scannedWords: scanned,
+      ignoredWords: ignored,
+      analyzedTokens: total,
+      distinctLemmaCount,
+      repeatedLemmaCount,
+      repeatedTokenCount,
+      eligibleLemmaCount,
+      selectedLemmaCount: heatLevelMap.size,
+      highlightedTokenCount: highlights.length,
+      baseThreshold,
+      // Provenance des lemmes des tokens analysés
+      userLexiconTokenCount: sourceCounts.user,
+      dictionaryTokenCount: sourceCounts.dictionary,
+      fallbackTokenCount: sourceCounts.fallback
+    };
+    const proximity = detectProximity(tokens, proximityOptions);
+    stats.proximityPairCount = proximity.pairs.length;
+    stats.proximityTokenCount = proximity.highlights.length;
+    const phrases = detectPhrases(words, phraseOptions);
+    stats.phraseCount = phrases.phrases.length;
+    stats.phraseOccurrenceCount = phrases.highlights.length;
+    return {
+      highlights,
+      lemmaFrequencies,
+      stats,
+      heatLevelMap,
+      proximityHighlights: proximity.highlights,
+      proximityPairs: proximity.pairs.slice(0, PROXIMITY_MAX_PAIRS),
+      phraseHighlights: phrases.highlights,
+      repeatedPhrases: phrases.phrases
+    };
+  }
+
+  /**
+   * Analyse le texte et calcule les répétitions.  `options.language`
+   * choisit le pack de langue (DEFAULT_LANGUAGE par défaut) ; `dict`
+   * doit être le dictionnaire de cette langue.  `options.heatmap` et
+   * `options.families` surchargent DEFAULT_HEATMAP_OPTIONS et
+   * DEFAULT_FAMILY_OPTIONS.
+   */
+  function analyze(text, dict, options = {}) {
+    const pack = getLanguagePack(options.language);
+    const masked = maskMarkdown(text, options.markdown);
+    const { tokens, words, scanned, ignored } = tokenize(
+      masked, dict, buildIgnoredLemmas(options.ignore, pack), buildUserLexicon(options.lexicon), pack
+    );
+    return summarize(tokens, scanned, ignored, options.proximity, words, options.phrases, options.heatmap, options.families);
+  }
+
+  return {
+    HEATMAP_LEVELS,
+    HEATMAP_TOP_WORDS,
+    HEATMAP_BASE_THRESHOLD,
+    HEATMAP_MAX_LEVELS,
+    DEFAULT_HEATMAP_OPTIONS,
+    DEFAULT_PROXIMITY_OPTIONS,
+    PROXIMITY_MAX_PAIRS,
+    DEFAULT_PHRASE_OPTIONS,
+    DEFAULT_FAMILY_OPTIONS,
+    PHRASE_MAX_RESULTS,
+    STOP_LEMMAS,
+    DEFAULT_LANGUAGE,
+    LANGUAGE_PACKS,
+    DEFAULT_IGNORE_OPTIONS,
+    DEFAULT_MARKDOWN_OPTIONS,
+    getLanguagePack,
+    registerLanguagePack,
+    buildIgnoredLemmas,
+    createDictionary,
+    encodeDictionary,
+    openDictionary,
+    lookupCandidates,
+    buildUserLexicon,
+    resolveCandidates,
+    chooseLemma,
+    mainCategory,
+    lowerForm,
+    normalize,
+    findSynonyms,
+    selectTopLemmas,
+    heatmapThreshold,
+    calculateHeatLevels,
+    maskMarkdown,
+    maskMarkdownRange,
+    splitParagraphs,
+    splitWord,
+    tokenize,
+    detectProximity,
+    detectPhrases,
+    summarize,
+    analyze
+  };
+});
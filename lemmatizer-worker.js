@@ -0,0 +1,708 @@
+/*
+ * Web Worker chargé de la lemmatisation.  Ce script est exécuté dans un
+ * contexte distinct du thread principal afin de ne pas bloquer
+ * l'interface utilisateur lors du chargement des dictionnaires et de
+ * l'analyse du texte.  Il charge le dictionnaire bundlé (généré à build
+ * time) du pack de langue demandé par chaque analyse (dict-bundle.bin
+ * pour le français, dict-bundle.en.bin pour l'anglais...), dont les
+ * formes sont décodées à la demande, puis pour chaque texte reçu
+ * calcule les occurrences de chaque lemme et renvoie les plages à
+ * surligner.  L'analyse elle-même est fournie par lemmatizer-core.js,
+ * partagé avec la CLI ; ce script gère le chargement du dictionnaire,
+ * son cache IndexedDB et le cache de paragraphes de l'analyse en direct.
+ */
+
+// Dossier des dictionnaires bundlés (générés à build time : le bundle de
+// chaque pack de langue et sa description, version, empreinte SHA-256 et
+// taille) et chemin du cœur de l'analyse, relatifs à ce script : main.js
+// crée le worker depuis le dossier de l'éditeur (option baseUrl).
+const DICT_BASE_URL = new URL('./', self.location.href).href;
+const CORE_SCRIPT_URL = './lemmatizer-core.js';
+
+importScripts(CORE_SCRIPT_URL);
+const {
+  DEFAULT_MARKDOWN_OPTIONS,
+  DEFAULT_PROXIMITY_OPTIONS,
+  DEFAULT_PHRASE_OPTIONS,
+  DEFAULT_HEATMAP_OPTIONS,
+  DEFAULT_FAMILY_OPTIONS,
+  buildIgnoredLemmas,
+  buildUserLexicon,
+  findSynonyms,
+  getLanguagePack,
+  maskMarkdownRange,
+  openDictionary,
+  splitParagraphs,
+  tokenize,
+  summarize
+} = self.LemmatizerCore;
+
+// Configuration IndexedDB
+// La version et le schéma doivent rester identiques à ceux de main.js,
+// qui ouvre la même base pour les paramètres de l'utilisateur et les
+// documents.
+const DB_NAME = 'lemmatizer-dicts';
+const DB_VERSION = 3;
+const STORE_NAME = 'dictionaries';
+const SETTINGS_STORE_NAME = 'settings';
+const DOCUMENTS_STORE_NAME = 'documents';
+// Le cache contient le bundle binaire de chaque langue tel quel
+// (ArrayBuffer, voir openDictionary()) avec son empreinte SHA-256,
+// comparée à celle du bundle déployé (<bundle>.version.json) à chaque
+// chargement.  Un cache d'un autre format (anciens bundles JSON
+// convertis en tableaux) est ignoré.
+const DICT_FORMAT = 'binary-v1';
+
+// Promesses qui se résolvent lorsque le dictionnaire binaire d'une
+// langue est chargé et ouvert (voir openDictionary()), par code de
+// langue.  Le chargement est déclenché lors de la première requête qui
+// utilise la langue.
+const dictPromises = new Map();
+
+// État du dictionnaire chargé de chaque langue, envoyé au thread
+// principal (message { type: 'dictionary', state }) :
+// - language : code du pack de langue ;
+// - source : 'network' (téléchargé), 'cache' (cache à jour), 'offline'
+//   (cache utilisé sans pouvoir vérifier la version) ou 'stale' (cache
+//   utilisé car la nouvelle version n'a pas pu être téléchargée) ;
+// - version, timestamp et sha256 du bundle, size (octets), cachedAt.
+const dictionaryStates = new Map();
+
+/**
+ * Clé du dictionnaire d'une langue dans le cache IndexedDB (le français
+ * garde la clé des versions précédentes).
+ */
+function dictionaryCacheKey(pack) {
+  return pack.code === 'fr' ? 'dictionary-map' : `dictionary-map:${pack.code}`;
+}
+
+/**
+ * URL du bundle d'un pack de langue et de sa description.
+ */
+function bundleUrl(pack) {
+  return new URL(pack.bundle, DICT_BASE_URL).href;
+}
+
+function versionUrl(pack) {
+  return new URL(pack.bundle.replace(/\.bin$/, '.version.json'), DICT_BASE_URL).href;
+}
+
+/**
+ * Envoie un message de progression au thread principal (avec
+ * l'identifiant de l'analyse concernée, s'il y en a une).
+ */
+function sendProgress(progress, message, job) {
+  self.postMessage({ type: 'progress', job, progress, message });
+}
+
+/**
+ * Ouvre la base de données IndexedDB.
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME);
+      }
+      if (!db.objectStoreNames.contains(SETTINGS_STORE_NAME)) {
+        db.createObjectStore(SETTINGS_STORE_NAME);
+      }
+      if (!db.objectStoreNames.contains(DOCUMENTS_STORE_NAME)) {
+        db.createObjectStore(DOCUMENTS_STORE_NAME, { keyPath: 'id' });
+      }
+    };
+  });
+}
+
+/**
+ * Charge l'entrée du cache d'une langue (bundle binaire et sa
+ * description) depuis IndexedDB (null si elle est absente).
+ */
+async function loadFromIndexedDB(pack) {
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction([STORE_NAME], 'readonly');
+    const store = transaction.objectStore(STORE_NAME);
+    const request = store.get(dictionaryCacheKey(pack));
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => {
+        const data = request.result;
+        if (data && data.buffer && data.format === DICT_FORMAT) {
+          resolve(data);
+        } else {
+          resolve(null);
+        }
+      };
+      request.onerror = () => reject(request.error);
+    });
+  } catch (err) {
+    console.warn('Erreur lors du chargement depuis IndexedDB:', err);
+    return null;
+  }
+}
+
+/**
+ * Sauvegarde le bundle binaire d'une langue et sa description dans
+ * IndexedDB.
+ */
+async function saveToIndexedDB(pack, buffer, info) {
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const data = {
+      format: DICT_FORMAT,
+      buffer,
+      version: info.version,
+      timestamp: info.timestamp,
+      sha256: info.sha256,
+      cachedAt: Date.now()
+    };
+    await new Promise((resolve, reject) => {
+      const request = store.put(data, dictionaryCacheKey(pack));
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  } catch (err) {
+    console.warn('Erreur lors de la sauvegarde dans IndexedDB:', err);
+  }
+}
+
+/**
+ * Supprime le dictionnaire d'une langue du cache IndexedDB.
+ */
+async function clearIndexedDB(pack) {
+  const db = await openDatabase();
+  const transaction = db.transaction([STORE_NAME], 'readwrite');
+  await new Promise((resolve, reject) => {
+    const request = transaction.objectStore(STORE_NAME).delete(dictionaryCacheKey(pack));
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Récupère la description du bundle déployé (version, timestamp,
+ * sha256, size), ou null si elle est inaccessible (hors ligne, ancien
+ * déploiement sans ce fichier).
+ */
+async function fetchDeployedVersion(pack) {
+  try {
+    const response = await fetch(versionUrl(pack), { cache: 'no-store' });
+    if (!response.ok) return null;
+    const info = await response.json();
+    return info && info.sha256 ? info : null;
+  } catch (err) {
+    console.warn('Version du dictionnaire déployé inaccessible:', err);
+    return null;
+  }
+}
+
+/**
+ * Empreinte SHA-256 (hexadécimale) d'un ArrayBuffer, ou null si l'API
+ * WebCrypto n'est pas disponible (page servie hors contexte sécurisé).
+ */
+async function sha256(buffer) {
+  if (!self.crypto || !self.crypto.subtle) return null;
+  const digest = await self.crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Mémorise l'état du dictionnaire chargé d'une langue et l'envoie au
+ * thread principal.
+ */
+function setDictionaryState(pack, source, dict, record, extra = {}) {
+  const state = {
+    language: pack.code,
+    source,
+    version: dict.meta.version || null,
+    timestamp: dict.meta.timestamp || null,
+    sha256: record.sha256 || null,
+    size: record.buffer.byteLength,
+    cachedAt: record.cachedAt || null,
+    ...extra
+  };
+  dictionaryStates.set(pack.code, state);
+  self.postMessage({ type: 'dictionary', state });
+}
+
+/**
+ * Télécharge le bundle et vérifie son empreinte lorsque la version
+ * déployée est connue.
+ */
+async function downloadBundle(pack, deployed) {
+  // L'empreinte dans l'URL contourne un éventuel cache HTTP de l'ancien
+  // bundle
+  const url = deployed ? `${bundleUrl(pack)}?v=${deployed.sha256.slice(0, 16)}` : bundleUrl(pack);
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Impossible de charger ${pack.bundle}: HTTP ${response.status}`);
+  }
+  const buffer = await response.arrayBuffer();
+  const hash = await sha256(buffer);
+  if (deployed && hash && hash !== deployed.sha256) {
+    throw new Error(`Empreinte du dictionnaire inattendue (${hash}, attendu ${deployed.sha256})`);
+  }
+  return { buffer, sha256: hash || (deployed && deployed.sha256) || null };
+}
+
+/**
+ * Charge le dictionnaire bundlé d'une langue (fichier binaire généré à
+ * build time).  Le fichier n'est pas décodé : les formes sont lues à la
+ * demande pendant l'analyse.  Le cache est utilisé tant que son
+ * empreinte est celle du bundle déployé, ou si la version déployée ne
+ * peut pas être vérifiée ou téléchargée (hors ligne).
+ */
+async function loadDictionaries(pack) {
+  sendProgress(10, 'Vérification du cache...');
+  const [cached, deployed] = await Promise.all([loadFromIndexedDB(pack), fetchDeployedVersion(pack)]);
+  let cachedDict = null;
+  if (cached) {
+    try {
+      cachedDict = openDictionary(cached.buffer);
+    } catch (err) {
+      console.warn('Cache du dictionnaire illisible, rechargement:', err);
+    }
+  }
+  if (cachedDict && (!deployed || deployed.sha256 === cached.sha256)) {
+    setDictionaryState(pack, deployed ? 'cache' : 'offline', cachedDict, cached);
+    sendProgress(100, 'Dictionnaires chargés depuis le cache');
+    return cachedDict;
+  }
+  sendProgress(30, cachedDict ? 'Mise à jour du dictionnaire...' : `Chargement du dictionnaire (${pack.name})...`);
+  try {
+    const { buffer, sha256: hash } = await downloadBundle(pack, deployed);
+    sendProgress(70, 'Ouverture du dictionnaire...');
+    const dict = openDictionary(buffer);
+    sendProgress(90, 'Sauvegarde dans le cache...');
+    const record = { buffer, sha256: hash, cachedAt: Date.now() };
+    await saveToIndexedDB(pack, buffer, { version: dict.meta.version, timestamp: dict.meta.timestamp, sha256: hash });
+    setDictionaryState(pack, 'network', dict, record);
+    sendProgress(100, 'Dictionnaires chargés');
+    return dict;
+  } catch (err) {
+    if (cachedDict) {
+      // Mieux vaut l'ancienne version que pas de dictionnaire du tout
+      console.warn('Mise à jour du dictionnaire impossible, utilisation du cache:', err);
+      setDictionaryState(pack, 'stale', cachedDict, cached, { error: err.message });
+      sendProgress(100, 'Dictionnaires chargés depuis le cache');
+      return cachedDict;
+    }
+    console.error('Erreur lors du chargement du dictionnaire:', err);
+    throw err;
+  }
+}
+
+/**
+ * Renvoie le dictionnaire d'une langue, chargé lors du premier appel.
+ */
+function getDictionary(pack) {
+  if (!dictPromises.has(pack.code)) {
+    const promise = loadDictionaries(pack);
+    // Un échec n'est pas mis en cache : la requête suivante réessaie
+    promise.catch(() => dictPromises.delete(pack.code));
+    dictPromises.set(pack.code, promise);
+  }
+  return dictPromises.get(pack.code);
+}
+
+/**
+ * État du dictionnaire d'une langue avant son chargement, d'après le
+ * cache.
+ */
+async function cachedDictionaryState(pack) {
+  const cached = await loadFromIndexedDB(pack);
+  if (!cached) return { language: pack.code, source: 'none' };
+  return {
+    language: pack.code,
+    source: 'cache',
+    loaded: false,
+    version: cached.version || null,
+    timestamp: cached.timestamp || null,
+    sha256: cached.sha256 || null,
+    size: cached.buffer.byteLength,
+    cachedAt: cached.cachedAt || null
+  };
+}
+
+/**
+ * Vide le cache d'une langue et recharge son dictionnaire depuis le
+ * réseau.
+ */
+async function resetDictionaries(pack) {
+  await clearIndexedDB(pack);
+  dictionaryStates.delete(pack.code);
+  dictPromises.delete(pack.code);
+  return getDictionary(pack);
+}
+
+
+// Cache des paragraphes pour l'analyse incrémentale.  Chaque entrée
+// conserve le texte du paragraphe, l'état du masquage Markdown avant et
+// après lui (voir maskMarkdownRange()), sa version masquée (prose seule)
+// et ses morceaux tokenisés (voir paragraphChunks()), afin de ne
+// masquer à nouveau que les paragraphes modifiés et ceux dont l'état
+// d'entrée a changé, et de ne re-tokeniser que les morceaux dont la
+// prose a changé.
+// `lastHeatLevelMap` permet de repérer les lemmes dont le niveau de
+// chaleur a changé entre deux analyses.  Le cache décrit le texte dans
+// la langue `languagePack` : un changement de langue passe par une
+// nouvelle analyse complète.  Il vaut null lorsque l'analyse complète
+// qui le construisait a été interrompue.
+let paragraphCache = [];
+let lastHeatLevelMap = new Map();
+let languagePack = getLanguagePack();
+let markdownOptions = { ...DEFAULT_MARKDOWN_OPTIONS };
+let proximityOptions = { ...DEFAULT_PROXIMITY_OPTIONS };
+let phraseOptions = { ...DEFAULT_PHRASE_OPTIONS };
+let heatmapOptions = { ...DEFAULT_HEATMAP_OPTIONS };
+let familyOptions = { ...DEFAULT_FAMILY_OPTIONS };
+let ignoredLemmas = buildIgnoredLemmas();
+let userLexicon = buildUserLexicon();
+
+// Les analyses complètes et les patchs sont exécutés l'un après l'autre
+// (un patch envoyé pendant une analyse complète s'applique au cache
+// qu'elle construit).  `currentJob` identifie la dernière analyse
+// complète demandée : une analyse s'interrompt à la tranche suivante si
+// une autre la remplace ou si elle est annulée.  Entre deux tranches de
+// ANALYSIS_CHUNK_SIZE caractères, le worker envoie la progression et
+// traite les messages reçus entre-temps.
+const ANALYSIS_CHUNK_SIZE = 50000;
+// Longueur au-delà de laquelle un paragraphe (un long texte sans ligne
+// vide) est tokenisé par morceaux, coupés après une fin de phrase
+// lorsque c'est possible
+const PARAGRAPH_CHUNK_SIZE = 10000;
+let analysisQueue = Promise.resolve();
+let currentJob = null;
+
+function enqueueAnalysis(task) {
+  const run = analysisQueue.then(task);
+  analysisQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Exécute une analyse (générateur, voir analyzeFromCache()) d'une seule
+ * traite, pour les patchs de l'analyse en direct.
+ */
+function runToCompletion(steps) {
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+}
+
+/**
+ * Exécute une analyse complète tranche par tranche en rendant la main
+ * entre deux tranches.  Renvoie null si l'analyse `job` a été annulée
+ * ou remplacée entre-temps.
+ */
+async function runAnalysisJob(job, steps) {
+  let step = steps.next();
+  while (!step.done) {
+    const { done, total } = step.value;
+    if (done < total) {
+      const percent = total > 0 ? Math.round((100 * done) / total) : 0;
+      sendProgress(10 + Math.round(0.8 * percent), `Analyse du texte (${percent} %)...`, job);
+    } else {
+      sendProgress(90, 'Calcul des répétitions...', job);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    if (job !== currentJob) return null;
+    step = steps.next();
+  }
+  return step.value;
+}
+
+/**
+ * Réinitialise le cache des paragraphes à partir du texte complet et
+ * renvoie le résultat de l'analyse, ou null si elle a été interrompue.
+ */
+async function analyzeAndCache(job, text, dict, options = {}) {
+  languagePack = getLanguagePack(options.language);
+  markdownOptions = { ...DEFAULT_MARKDOWN_OPTIONS, ...(options.markdown || {}) };
+  proximityOptions = { ...DEFAULT_PROXIMITY_OPTIONS, ...(options.proximity || {}) };
+  phraseOptions = { ...DEFAULT_PHRASE_OPTIONS, ...(options.phrases || {}) };
+  heatmapOptions = { ...DEFAULT_HEATMAP_OPTIONS, ...(options.heatmap || {}) };
+  familyOptions = { ...DEFAULT_FAMILY_OPTIONS, ...(options.families || {}) };
+  ignoredLemmas = buildIgnoredLemmas(options.ignore, languagePack);
+  userLexicon = buildUserLexicon(options.lexicon);
+  paragraphCache = splitParagraphs(text).map(createParagraphEntry);
+  const result = await runAnalysisJob(job, analyzeFromCache(dict));
+  if (result === null) paragraphCache = null;
+  return result;
+}
+
+/**
+ * Remplace `removeCount` paragraphes à partir de `index` par les
+ * paragraphes fournis, puis recalcule l'analyse à partir du cache.
+ * Renvoie null si le cache a été abandonné avec une analyse interrompue
+ * (le thread principal a alors oublié ce patch).
+ */
+function patchAndAnalyze(index, removeCount, paragraphs, dict) {
+  if (paragraphCache === null) return null;
+  paragraphCache.splice(index, removeCount, ...paragraphs.map(createParagraphEntry));
+  return runToCompletion(analyzeFromCache(dict, index));
+}
+
+function createParagraphEntry(text) {
+  return { text, length: text.length, stateBefore: null, stateAfter: null, masked: null, chunks: [] };
+}
+
+/**
+ * Découpe un paragraphe masqué en morceaux d'au plus
+ * PARAGRAPH_CHUNK_SIZE caractères, sans couper de mot (sauf un mot plus
+ * long que la limite, gardé entier).  Renvoie des [start, end,
+ * sentenceBreak], où sentenceBreak indique que le morceau suivant
+ * commence une nouvelle phrase.
+ */
+function paragraphChunks(masked) {
+  const chunks = [];
+  let start = 0;
+  while (masked.length - start > PARAGRAPH_CHUNK_SIZE) {
+    const window = masked.slice(start, start + PARAGRAPH_CHUNK_SIZE);
+    const sentence = window.match(/^[\s\S]*[.!?…]\s+/);
+    let end = sentence ? start + sentence[0].length : start + window.search(/\s\S*$/) + 1;
+    if (end <= start) {
+      const space = masked.slice(start + PARAGRAPH_CHUNK_SIZE).search(/\s/);
+      if (space === -1) break;
+      end = start + PARAGRAPH_CHUNK_SIZE + space + 1;
+    }
+    chunks.push([start, end, Boolean(sentence)]);
+    start = end;
+  }
+  chunks.push([start, masked.length, true]);
+  return chunks;
+}
+
+/**
+ * Masque les paragraphes à partir de l'indice `from` en reprenant l'état
+ * du masquage du paragraphe précédent (un bloc de code, un front matter
+ * ou un commentaire peut s'étendre sur plusieurs paragraphes), jusqu'au
+ * premier paragraphe déjà masqué avec le même état d'entrée : les
+ * suivants sont inchangés.  Re-tokenise uniquement les morceaux dont la
+ * version masquée a changé.  Générateur : produit l'avancement
+ * { done, total } (en caractères) au départ puis tous les
+ * ANALYSIS_CHUNK_SIZE caractères re-tokenisés, et renvoie la plage
+ * [dirtyStart, dirtyEnd) couvrant les morceaux re-tokenisés.
+ */
+function* refreshParagraphCache(dict, from = 0) {
+  const total = paragraphCache.reduce((acc, entry) => acc + entry.length, 0);
+  let offset = paragraphCache.slice(0, from).reduce((acc, entry) => acc + entry.length, 0);
+  let state = from > 0 ? paragraphCache[from - 1].stateAfter : null;
+  let dirtyStart = -1;
+  let dirtyEnd = -1;
+  let work = 0;
+  yield { done: offset, total };
+  for (let i = from; i < paragraphCache.length; i++) {
+    const entry = paragraphCache[i];
+    if (entry.masked !== null && entry.stateBefore === state) break;
+    const { masked, state: stateAfter } = maskMarkdownRange(entry.text, markdownOptions, state);
+    Object.assign(entry, { stateBefore: state, stateAfter });
+    state = stateAfter;
+    if (masked !== entry.masked) {
+      // Les morceaux inchangés (même prose) sont repris tels quels
+      const previous = new Map(entry.chunks.map((chunk) => [chunk.masked, chunk]));
+      const chunks = [];
+      for (const [start, end, sentenceBreak] of paragraphChunks(masked)) {
+        if (work >= ANALYSIS_CHUNK_SIZE) {
+          yield { done: offset + start, total };
+          work = 0;
+        }
+        const text = masked.slice(start, end);
+        let chunk = previous.get(text);
+        if (!chunk) {
+          chunk = { masked: text, ...tokenize(text, dict, ignoredLemmas, userLexicon, languagePack) };
+          if (dirtyStart === -1) dirtyStart = offset + start;
+          dirtyEnd = offset + end;
+          work += text.length;
+        }
+        chunks.push({ ...chunk, start, sentenceBreak });
+      }
+      Object.assign(entry, { masked, chunks });
+    }
+    offset += entry.length;
+  }
+  return { dirtyStart, dirtyEnd };
+}
+
+/**
+ * Agrège les tokens et les mots de tous les paragraphes en cache (en recalculant
+ * les positions absolues) et détermine les lemmes dont le niveau de
+ * chaleur a changé depuis la dernière analyse.  Générateur, comme
+ * refreshParagraphCache(), qui commence au paragraphe `from` :
+ * l'avancement { done: total, total } précède le calcul des répétitions.
+ */
+function* analyzeFromCache(dict, from = 0) {
+  const { dirtyStart, dirtyEnd } = yield* refreshParagraphCache(dict, from);
+  const total = paragraphCache.reduce((acc, entry) => acc + entry.length, 0);
+  yield { done: total, total };
+  const tokens = [];
+  const words = [];
+  let scanned = 0;
+  let ignored = 0;
+  let offset = 0;
+  let sentences = 0;
+  let paragraphs = 0;
+  for (const entry of paragraphCache) {
+    entry.chunks.forEach((chunk, index) => {
+      // Un morceau continue le paragraphe du précédent, et sa phrase si
+      // la coupure n'est pas une fin de phrase
+      if (index > 0) {
+        paragraphs--;
+        if (!entry.chunks[index - 1].sentenceBreak) sentences--;
+      }
+      const chunkOffset = offset + chunk.start;
+      for (const tok of chunk.tokens) {
+        tokens.push({
+          start: tok.start + chunkOffset,
+          end: tok.end + chunkOffset,
+          lemma: tok.lemma,
+          pos: tok.pos,
+          source: tok.source,
+          word: tok.word + scanned,
+          sentence: tok.sentence + sentences,
+          paragraph: tok.paragraph + paragraphs,
+          family: tok.family
+        });
+      }
+      for (const word of chunk.words) {
+        words.push({ ...word, start: word.start + chunkOffset, end: word.end + chunkOffset, sentence: word.sentence + sentences });
+      }
+      scanned += chunk.scanned;
+      ignored += chunk.ignored;
+      sentences += chunk.sentences;
+      paragraphs += chunk.paragraphs;
+    });
+    offset += entry.length;
+  }
+  const result = summarize(tokens, scanned, ignored, proximityOptions, words, phraseOptions, heatmapOptions, familyOptions);
+  const changedLemmas = [];
+  for (const [lemma, heat] of result.heatLevelMap) {
+    if (lastHeatLevelMap.get(lemma) !== heat) changedLemmas.push(lemma);
+  }
+  for (const lemma of lastHeatLevelMap.keys()) {
+    if (!result.heatLevelMap.has(lemma)) changedLemmas.push(lemma);
+  }
+  lastHeatLevelMap = result.heatLevelMap;
+  return { ...result, changedLemmas, dirtyStart, dirtyEnd };
+}
+
+// Gestionnaire de messages
+// - { type: 'analyze', job, text, options } : analyse complète
+//   (réinitialise le cache), par tranches, avec des messages
+//   { type: 'progress', job, progress, message } puis un message
+//   { type: 'complete', job, ... }, dont les statistiques (stats)
+//   indiquent la langue analysée ; elle remplace l'analyse en cours
+//   éventuelle, qui se termine par { type: 'cancelled', job } ;
+//   `options.language` choisit le pack de langue,
+//   `options.markdown`, `options.proximity`, `options.phrases`,
+//   `options.heatmap`, `options.families` et `options.ignore`
+//   surchargent DEFAULT_MARKDOWN_OPTIONS, DEFAULT_PROXIMITY_OPTIONS,
+//   DEFAULT_PHRASE_OPTIONS, DEFAULT_HEATMAP_OPTIONS,
+//   DEFAULT_FAMILY_OPTIONS et DEFAULT_IGNORE_OPTIONS, `options.lexicon`
+//   fournit le lexique personnel
+// - { type: 'cancel', job } : interrompt l'analyse complète `job`
+// - { type: 'patch', revision, index, removeCount, paragraphs } :
+//   analyse incrémentale après modification de quelques paragraphes
+//   (dans la langue de la dernière analyse complète)
+// - { type: 'synonyms', language, lemma, pos, forms } : synonymes du
+//   lemme et leur flexion pour chacune des formes rencontrées dans le
+//   texte
+// - { type: 'dictionary-status', language } : état du dictionnaire de la
+//   langue (sans le charger), renvoyé dans un message
+//   { type: 'dictionary', state }
+// - { type: 'reset-dictionary', language } : vide le cache et recharge
+//   le dictionnaire de la langue ; le nouvel état est envoyé de la même
+//   façon
+self.onmessage = async (e) => {
+  const { type = 'analyze' } = e.data;
+  const startTime = performance.now();
+  const pack = type === 'patch' ? languagePack
+    : getLanguagePack(type === 'analyze' ? (e.data.options || {}).language : e.data.language);
+  if (type === 'cancel') {
+    if (e.data.job === currentJob) currentJob = null;
+    return;
+  }
+  if (type === 'analyze') currentJob = e.data.job;
+  if (type === 'dictionary-status') {
+    self.postMessage({ type: 'dictionary', state: dictionaryStates.get(pack.code) || await cachedDictionaryState(pack) });
+    return;
+  }
+  if (type === 'reset-dictionary') {
+    try {
+      await resetDictionaries(pack);
+    } catch (err) {
+      self.postMessage({
+        type: 'dictionary',
+        state: { language: pack.code, source: 'none' },
+        error: err.message || 'Erreur inconnue'
+      });
+    }
+    return;
+  }
+  try {
+    const dict = await getDictionary(pack);
+    if (type === 'patch') {
+      const { revision, index, removeCount, paragraphs } = e.data;
+      const result = await enqueueAnalysis(() => patchAndAnalyze(index, removeCount, paragraphs, dict));
+      if (result === null) return;
+      const duration = Math.round(performance.now() - startTime);
+      self.postMessage({
+        type: 'patch',
+        revision,
+        highlights: result.highlights,
+        lemmaFrequencies: result.lemmaFrequencies,
+        changedLemmas: result.changedLemmas,
+        dirtyStart: result.dirtyStart,
+        dirtyEnd: result.dirtyEnd,
+        proximityHighlights: result.proximityHighlights,
+        proximityPairs: result.proximityPairs,
+        phraseHighlights: result.phraseHighlights,
+        repeatedPhrases: result.repeatedPhrases,
+        stats: { duration, language: pack.code, ...(result.stats || {}) }
+      });
+      return;
+    }
+    if (type === 'synonyms') {
+      const { lemma, pos, forms } = e.data;
+      self.postMessage({
+        type: 'synonyms',
+        lemma,
+        pos,
+        synonyms: findSynonyms(dict, lemma, pos || null, forms)
+      });
+      return;
+    }
+    const { job, text, options = {} } = e.data;
+    const result = await enqueueAnalysis(() => (job === currentJob ? analyzeAndCache(job, text, dict, options) : null));
+    if (result === null) {
+      self.postMessage({ type: 'cancelled', job });
+      return;
+    }
+    const duration = Math.round(performance.now() - startTime);
+    self.postMessage({
+      type: 'complete',
+      job,
+      highlights: result.highlights,
+      lemmaFrequencies: result.lemmaFrequencies,
+      proximityHighlights: result.proximityHighlights,
+      proximityPairs: result.proximityPairs,
+      phraseHighlights: result.phraseHighlights,
+      repeatedPhrases: result.repeatedPhrases,
+      stats: { duration, language: pack.code, ...(result.stats || {}) }
+    });
+  } catch (err) {
+    console.error('Erreur d\'analyse :', err);
+    self.postMessage({
+      type: 'error',
+      job: e.data.job,
+      error: err.message || 'Erreur inconnue',
+      highlights: []
+    });
+  }
+};
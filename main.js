@@ -1,16 +1,296 @@
 /*
  * Script principal pour l'éditeur Markdown avec lemmatisation et
- * mise en évidence des répétitions.  Ce script installe un
- * éditeur CodeMirror 5 dans un conteneur, crée un Web Worker à
- * partir du code inclus dans un élément <script id="worker-code">
- * de la page et gère l'échange de messages pour mettre en surbrillance
- * les mots dont le lemme apparaît trop souvent.
+ * mise en évidence des répétitions.  createLemmatizerEditor() installe
+ * un éditeur complet (barre d'outils, éditeur CodeMirror 5, minimap et
+ * sidebar) dans un conteneur, crée son Web Worker (lemmatizer-worker.js)
+ * et gère l'échange de messages pour mettre en surbrillance les mots dont
+ * le lemme apparaît trop souvent.  Chaque instance a son propre worker :
+ * une page peut en intégrer plusieurs et les piloter par leur API.
+ * index.html crée une instance au chargement dans l'élément
+ * #lemmatizer-app.
  */
 
-// Attendre que le DOM soit prêt pour que l'élément <script id="worker-code">
-// soit présent dans la page.  L'ensemble du code d'initialisation est
-// encapsulé dans cet écouteur.
-window.addEventListener('DOMContentLoaded', () => {
+// Dossier de main.js, d'où sont chargés par défaut le worker
+// (lemmatizer-worker.js), lemmatizer-core.js et les bundles de
+// dictionnaire
+const LEMMATIZER_BASE_URL = document.currentScript
+  ? new URL('./', document.currentScript.src).href
+  : window.location.href;
+
+// Nombre d'instances créées ; chaque instance porte la classe
+// lemmatizer-editor-N, qui limite à son éditeur les règles .heat-N de sa
+// palette
+let lemmatizerEditorCount = 0;
+
+// Interface d'une instance.  Les éléments sont repérés par leur attribut
+// data-ref (voir ref()) plutôt que par un id, pour que plusieurs
+// instances puissent coexister ; ceux marqués data-documents ne sont
+// affichés qu'avec l'option documents.
+const LEMMATIZER_EDITOR_TEMPLATE = `
+  <div class="controls">
+    <div class="document-controls">
+      <select data-documents data-ref="documentSelect" title="Documents enregistrés"></select>
+      <select data-ref="languageSelect" title="Langue du document">
+        <option value="fr" selected>Français</option>
+        <option value="en">English</option>
+      </select>
+      <details class="options-panel" data-documents>
+        <summary>Document</summary>
+        <div class="options-panel-body">
+          <div class="document-actions">
+            <button type="button" data-ref="newDocumentBtn">Nouveau</button>
+            <button type="button" data-ref="renameDocumentBtn">Renommer…</button>
+            <button type="button" data-ref="deleteDocumentBtn">Supprimer</button>
+          </div>
+          <div class="document-actions">
+            <button type="button" data-ref="openFileBtn">Ouvrir un fichier…</button>
+            <button type="button" data-ref="saveFileBtn" title="Ctrl+S">Enregistrer le fichier</button>
+            <input type="file" data-ref="documentFileInput" accept=".md,.markdown,.txt,text/markdown,text/plain" hidden />
+          </div>
+          <p class="options-panel-note">Le document courant est enregistré automatiquement dans le navigateur, avec les résultats de sa dernière analyse.</p>
+        </div>
+      </details>
+      <span data-documents data-ref="documentStatus" class="document-status"></span>
+    </div>
+    <button data-ref="analyzeBtn" class="analysis-button">Analyser le texte</button>
+    <button data-ref="cancelAnalysisBtn" class="analysis-button cancel-button" title="Interrompre l'analyse en cours" hidden>Annuler</button>
+    <label class="live-toggle" title="Réanalyse automatiquement les paragraphes modifiés pendant la saisie">
+      <input type="checkbox" data-ref="liveModeToggle" />
+      Analyse en direct
+    </label>
+    <details class="options-panel">
+      <summary>Options Markdown</summary>
+      <div class="options-panel-body">
+        <label><input type="checkbox" data-md-option="headings" checked /> Analyser les titres</label>
+        <label><input type="checkbox" data-md-option="lists" checked /> Analyser les listes</label>
+        <label><input type="checkbox" data-md-option="blockquotes" checked /> Analyser les citations</label>
+        <label><input type="checkbox" data-md-option="linkText" checked /> Analyser le texte des liens</label>
+        <label><input type="checkbox" data-md-option="imageAlt" /> Analyser le texte alternatif des images</label>
+        <p class="options-panel-note">Le code, les URL, les balises HTML et le front matter ne sont jamais analysés.</p>
+      </div>
+    </details>
+    <details class="options-panel">
+      <summary>Proximité</summary>
+      <div class="options-panel-body">
+        <label><input type="checkbox" data-ref="proximityEnabled" checked /> Signaler les répétitions proches</label>
+        <label>
+          Fenêtre :
+          <select data-ref="proximityUnit">
+            <option value="words" selected>N mots</option>
+            <option value="sentence">Même phrase</option>
+            <option value="paragraph">Même paragraphe</option>
+          </select>
+        </label>
+        <label>Nombre de mots : <input type="number" data-ref="proximityWindow" min="1" max="500" value="20" /></label>
+      </div>
+    </details>
+    <details class="options-panel">
+      <summary>Expressions</summary>
+      <div class="options-panel-body">
+        <label><input type="checkbox" data-ref="phrasesEnabled" checked /> Signaler les expressions répétées</label>
+        <label>Longueur maximale : <input type="number" data-ref="phraseMaxLength" min="2" max="5" value="5" /> mots</label>
+        <label>Occurrences minimales : <input type="number" data-ref="phraseMinCount" min="2" max="50" value="2" /></label>
+        <p class="options-panel-note">Suites de 2 à 5 mots répétées dans le texte (« au bout du compte »). Les mots outils peuvent en faire partie sans suffire à les former.</p>
+      </div>
+    </details>
+    <details class="options-panel">
+      <summary>Heatmap</summary>
+      <div class="options-panel-body">
+        <label><input type="checkbox" data-ref="heatmapFamilies" /> Regrouper les familles de mots (rapide, rapidement, rapidité)</label>
+        <label>Lemmes affichés : <input type="number" data-ref="heatmapTopWords" min="1" max="200" value="20" /></label>
+        <label>
+          Seuil :
+          <select data-ref="heatmapThreshold">
+            <option value="auto" selected>Automatique</option>
+            <option value="count">Nombre d'occurrences</option>
+            <option value="density">Occurrences pour 1000 mots</option>
+            <option value="rank">Classement seul</option>
+          </select>
+        </label>
+        <label>Occurrences minimales : <input type="number" data-ref="heatmapMinCount" min="2" max="1000" value="2" /></label>
+        <label>Pour 1000 mots : <input type="number" data-ref="heatmapPerThousand" min="0.1" max="100" step="0.1" value="1" /></label>
+        <label>Niveaux : <input type="number" data-ref="heatmapLevels" min="2" max="10" value="5" /></label>
+        <label>
+          Répartition :
+          <select data-ref="heatmapMapping">
+            <option value="rank" selected>Par rang</option>
+            <option value="quantile">Par quantiles de fréquence</option>
+          </select>
+        </label>
+        <label>
+          Palette :
+          <select data-ref="heatmapPalette">
+            <option value="warm" selected>Jaune → rouge</option>
+            <option value="viridis">Viridis (daltoniens)</option>
+            <option value="blues">Bleus (daltoniens)</option>
+          </select>
+        </label>
+        <div data-ref="heatmapPreview" class="heatmap-preview" aria-hidden="true"></div>
+        <p class="options-panel-note">Le seuil automatique retient les lemmes qui concentrent l'essentiel des répétitions. Pour un poème, préférez un petit nombre d'occurrences ; pour un roman, une densité.</p>
+      </div>
+    </details>
+    <details class="options-panel">
+      <summary>Mots ignorés</summary>
+      <div class="options-panel-body">
+        <label><input type="checkbox" data-ref="useStopWords" checked /> Ignorer les mots outils (le, de, et, ...)</label>
+        <form data-ref="ignoreForm" class="ignore-form">
+          <input type="text" data-ref="ignoreInput" placeholder="Lemme ou mot à ignorer" />
+          <button type="submit">Ajouter</button>
+        </form>
+        <div data-ref="ignoreList" class="ignore-list"></div>
+        <div class="ignore-actions">
+          <button type="button" data-ref="ignoreImportBtn">Importer…</button>
+          <button type="button" data-ref="ignoreExportBtn">Exporter</button>
+          <input type="file" data-ref="ignoreFileInput" accept=".txt,text/plain" hidden />
+        </div>
+      </div>
+    </details>
+    <details class="options-panel">
+      <summary>Lexique personnel</summary>
+      <div class="options-panel-body">
+        <form data-ref="lexiconForm" class="lexicon-form">
+          <input type="text" data-ref="lexiconForms" placeholder="Formes (crafte, craftons, ...)" required />
+          <input type="text" data-ref="lexiconLemma" placeholder="Lemme (crafter)" required />
+          <select data-ref="lexiconPos" title="Catégorie grammaticale">
+            <option value="">—</option>
+            <option value="VER">Verbe</option>
+            <option value="NOM">Nom</option>
+            <option value="ADJ">Adjectif</option>
+            <option value="ADV">Adverbe</option>
+          </select>
+          <button type="submit">Ajouter</button>
+        </form>
+        <ul data-ref="lexiconList" class="lexicon-list"></ul>
+        <p data-ref="lexiconStats" class="options-panel-note"></p>
+      </div>
+    </details>
+    <details class="options-panel">
+      <summary>Dictionnaire</summary>
+      <div class="options-panel-body">
+        <p data-ref="dictionaryStatus" class="options-panel-note">État du dictionnaire inconnu.</p>
+        <button type="button" data-ref="resetDictionaryBtn">Réinitialiser le cache du dictionnaire</button>
+        <p class="options-panel-note">Dictionnaire de la langue du document. Sa version est vérifiée à la première analyse dans cette langue après l'ouverture de la page ; le cache est mis à jour automatiquement après un déploiement.</p>
+      </div>
+    </details>
+    <details class="options-panel">
+      <summary>Rapport</summary>
+      <div class="options-panel-body">
+        <div class="document-actions">
+          <button type="button" data-report-format="json">JSON</button>
+          <button type="button" data-report-format="csv">CSV</button>
+          <button type="button" data-report-format="html">HTML annoté</button>
+        </div>
+        <p class="options-panel-note">Exporte les résultats de la dernière analyse : statistiques, lemmes répétés et positions (ligne:colonne).</p>
+      </div>
+    </details>
+    <div class="progress-container">
+      <div class="progress-bar">
+        <div data-ref="progressFill" class="progress-fill"></div>
+      </div>
+      <div data-ref="statusText" class="status-text">Prêt</div>
+      <div data-ref="errorMessage" class="error-message"></div>
+    </div>
+    <div data-ref="stats" class="stats">Mots: 0 | Répétitions: 0</div>
+    <div class="app-status" data-ref="appStatus" hidden>
+      <span data-ref="connectionStatus" class="connection-status" title="État de la connexion"></span>
+      <button type="button" data-ref="updateAppBtn" class="update-button" title="Recharger la page avec la nouvelle version de l'application" hidden>Mise à jour disponible</button>
+    </div>
+    <button data-ref="previewToggleBtn" class="analysis-button" style="margin-left: auto;" title="Afficher le Markdown rendu à côté de l'éditeur">Afficher l'aperçu</button>
+    <button data-ref="sidebarToggleBtn" class="analysis-button">Afficher les répétitions</button>
+  </div>
+
+  <style data-ref="heatmapStyle"></style>
+  <div data-ref="lemmaTooltip" class="lemma-tooltip" role="tooltip" hidden></div>
+
+  <div class="main-container">
+    <div class="editor-wrapper">
+      <div class="editor" data-ref="editor"></div>
+      <div data-ref="minimap" class="minimap" title="Répétitions dans le document (cliquer pour y aller)">
+        <canvas data-ref="minimapCanvas"></canvas>
+        <div data-ref="minimapViewport" class="minimap-viewport"></div>
+      </div>
+    </div>
+    <div data-ref="markdownPreview" class="markdown-preview" title="Cliquer sur un mot surligné pour cibler son lemme" hidden></div>
+
+    <div data-ref="sidebar" class="sidebar hidden">
+      <div class="sidebar-header">
+        <h2>Répétitions</h2>
+        <button data-ref="sidebarCloseBtn" class="sidebar-toggle" aria-label="Fermer">×</button>
+      </div>
+      <div data-ref="sidebarContent" class="sidebar-content">
+        <p style="padding: 1rem; color: #6c757d; text-align: center;">
+          Analysez le texte pour voir les répétitions
+        </p>
+      </div>
+    </div>
+  </div>
+`;
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
+/**
+ * Crée un éditeur dans `container` et renvoie son API.
+ *
+ * Options :
+ * - documents : enregistre les documents dans le navigateur, avec leur
+ *   liste et le menu « Document » (false par défaut : le texte est fourni
+ *   par `value` ou setValue() et n'est pas enregistré) ;
+ * - value, name, language : texte, nom et langue du document sans
+ *   l'option documents ;
+ * - liveMode : active l'analyse en direct dès la création ;
+ * - persistSettings : lit et enregistre les réglages (heatmap, mots
+ *   ignorés, lexique personnel) dans IndexedDB, partagés par toutes les
+ *   instances de l'origine (true par défaut) ;
+ * - baseUrl : dossier de lemmatizer-worker.js, de lemmatizer-core.js et
+ *   des bundles de dictionnaire (dossier de main.js par défaut), de même
+ *   origine que la page ;
+ * - serviceWorker : URL du service worker à enregistrer, avec
+ *   l'indicateur de connexion et de mise à jour (application hors ligne).
+ *
+ * Événements (on(type, listener)) : 'analysis-complete' ({ results,
+ * live }), 'progress' ({ percent, status }) et 'error' ({ message,
+ * error }).
+ */
+function createLemmatizerEditor(container, options = {}) {
+  if (!container) throw new Error('createLemmatizerEditor : conteneur manquant');
+  const baseUrl = new URL(options.baseUrl || LEMMATIZER_BASE_URL, window.location.href).href;
+  const instanceClass = `lemmatizer-editor-${++lemmatizerEditorCount}`;
+  const root = document.createElement('div');
+  root.className = `lemmatizer-editor ${instanceClass}`;
+  root.innerHTML = LEMMATIZER_EDITOR_TEMPLATE;
+  container.appendChild(root);
+  let destroyed = false;
+
+  // Élément de l'interface de cette instance
+  function ref(name) {
+    return root.querySelector(`[data-ref="${name}"]`);
+  }
+
+  // Écouteurs des événements de l'API, par type
+  const eventListeners = new Map(); // Map<type, Set<listener>>
+
+  function emit(type, detail) {
+    (eventListeners.get(type) || []).forEach((listener) => {
+      try {
+        listener(detail);
+      } catch (err) {
+        logWarn(`Listener of "${type}" failed`, err);
+      }
+    });
+  }
+
+  // Écouteurs posés sur le document ou la fenêtre, retirés par destroy()
+  const globalListeners = [];
+
+  function listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    globalListeners.push([target, type, handler]);
+  }
+
   // Système de logging amélioré avec niveaux de log
   const LogLevel = {
     INFO: 'INFO',
@@ -41,12 +321,14 @@ window.addEventListener('DOMContentLoaded', () => {
       /* la console peut ne pas être disponible */
     }
 
-    // Afficher les erreurs dans l'interface utilisateur
+    // Afficher les erreurs dans l'interface utilisateur et les signaler
+    // à la page (événement 'error')
     if (level === LogLevel.ERROR) {
-      const errorEl = document.getElementById('errorMessage');
+      const errorEl = ref('errorMessage');
       if (errorEl) {
         errorEl.textContent = msg;
       }
+      emit('error', { message: msg, error: data });
     }
   }
 
@@ -57,15 +339,16 @@ window.addEventListener('DOMContentLoaded', () => {
 
   // Fonctions de gestion de l'interface utilisateur
   function updateProgress(percent, status) {
-    const progressFill = document.getElementById('progressFill');
-    const statusText = document.getElementById('statusText');
+    const progressFill = ref('progressFill');
+    const statusText = ref('statusText');
     if (progressFill) progressFill.style.width = `${percent}%`;
     if (statusText) statusText.textContent = status;
     logDebug(`Progress: ${percent}% - ${status}`);
+    emit('progress', { percent, status });
   }
 
   function updateStats(wordCount, highlightCount) {
-    const statsEl = document.getElementById('stats');
+    const statsEl = ref('stats');
     if (statsEl) {
       statsEl.textContent = `Mots: ${wordCount} | Répétitions: ${highlightCount}`;
     }
@@ -73,49 +356,97 @@ window.addEventListener('DOMContentLoaded', () => {
   }
 
   function clearError() {
-    const errorEl = document.getElementById('errorMessage');
+    const errorEl = ref('errorMessage');
     if (errorEl) errorEl.textContent = '';
   }
 
-  function setButtonEnabled(enabled) {
-    const analyzeBtn = document.getElementById('analyzeBtn');
-    if (analyzeBtn) analyzeBtn.disabled = !enabled;
+  // Affiche le bouton d'annulation pendant une analyse complète
+  function setAnalyzing(active) {
+    isAnalyzing = active;
+    if (progressResetTimer) {
+      clearTimeout(progressResetTimer);
+      progressResetTimer = null;
+    }
+    const cancelBtn = ref('cancelAnalysisBtn');
+    if (cancelBtn) cancelBtn.hidden = !active;
   }
 
-  // Validation de la taille du texte pour éviter les stack overflows
-  function validateTextSize(text) {
-    const MAX_CHARS = 100000; // 100k caractères
-    const MAX_WORDS = 50000;  // 50k mots
+  // Taille du texte.  Elle n'est pas limitée : le worker analyse les
+  // longs textes par tranches, sans bloquer l'interface.
+  function measureText(text) {
+    const wordCount = text.split(/\s+/).filter(word => word.length > 0).length;
+    logInfo(`Text size: ${text.length} chars, ${wordCount} words`);
+    return { charCount: text.length, wordCount };
+  }
 
-    logDebug(`Validating text size: ${text.length} characters`);
+  // Base IndexedDB partagée avec le worker : le worker y met en cache le
+  // dictionnaire, le thread principal y enregistre les paramètres de
+  // l'utilisateur et les documents.  Le nom, la version et le schéma
+  // doivent rester identiques à ceux déclarés dans le code du worker.
+  const DB_NAME = 'lemmatizer-dicts';
+  const DB_VERSION = 3;
+  const DICT_STORE_NAME = 'dictionaries';
+  const SETTINGS_STORE_NAME = 'settings';
+  const DOCUMENTS_STORE_NAME = 'documents';
 
-    if (text.length > MAX_CHARS) {
-      const error = `Texte trop long (${text.length} caractères). Maximum autorisé: ${MAX_CHARS}`;
-      logError(error);
-      throw new Error(error);
-    }
+  function openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(DICT_STORE_NAME)) {
+          db.createObjectStore(DICT_STORE_NAME);
+        }
+        if (!db.objectStoreNames.contains(SETTINGS_STORE_NAME)) {
+          db.createObjectStore(SETTINGS_STORE_NAME);
+        }
+        if (!db.objectStoreNames.contains(DOCUMENTS_STORE_NAME)) {
+          db.createObjectStore(DOCUMENTS_STORE_NAME, { keyPath: 'id' });
+        }
+      };
+    });
+  }
 
-    const wordCount = text.split(/\s+/).filter(word => word.length > 0).length;
-    if (wordCount > MAX_WORDS) {
-      const error = `Trop de mots (${wordCount}). Maximum autorisé: ${MAX_WORDS}`;
-      logError(error);
-      throw new Error(error);
+  // Exécute une requête sur un object store et renvoie son résultat
+  async function storeRequest(storeName, mode, makeRequest) {
+    const db = await openDatabase();
+    const request = makeRequest(db.transaction([storeName], mode).objectStore(storeName));
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Lit un paramètre persisté (undefined s'il n'existe pas, si
+  // IndexedDB n'est pas disponible ou sans l'option persistSettings).
+  const persistSettings = options.persistSettings !== false;
+
+  async function loadSetting(key) {
+    if (!persistSettings) return undefined;
+    try {
+      return await storeRequest(SETTINGS_STORE_NAME, 'readonly', (store) => store.get(key));
+    } catch (err) {
+      logWarn(`Failed to load setting "${key}" from IndexedDB`, err);
+      return undefined;
     }
+  }
 
-    logInfo(`Text validation passed: ${text.length} chars, ${wordCount} words`);
-    return { charCount: text.length, wordCount };
+  async function saveSetting(key, value) {
+    if (!persistSettings) return;
+    try {
+      await storeRequest(SETTINGS_STORE_NAME, 'readwrite', (store) => store.put(value, key));
+    } catch (err) {
+      logWarn(`Failed to save setting "${key}" to IndexedDB`, err);
+    }
   }
 
-  logInfo('DOM loaded, initializing application');
+  logInfo(`Creating editor ${instanceClass}`);
 
-  // Créer et insérer un textarea dans le conteneur #editor.  Ce
+  // Créer et insérer un textarea dans le conteneur de l'éditeur.  Ce
   // textarea est transformé en une instance CodeMirror.
-  const editorContainer = document.getElementById('editor');
-  if (!editorContainer) {
-    logError('Editor container not found');
-    return;
-  }
-
+  const editorContainer = ref('editor');
   const textarea = document.createElement('textarea');
   textarea.style.height = '100%';
   textarea.style.width = '100%';
@@ -125,8 +456,23 @@ window.addEventListener('DOMContentLoaded', () => {
 
   const CodeMirrorInstance = window.CodeMirror;
   if (!CodeMirrorInstance) {
-    logError('CodeMirror not available on window');
-    return;
+    root.remove();
+    throw new Error('CodeMirror n\'est pas chargé (window.CodeMirror)');
+  }
+
+  // Cœur de l'analyse, chargé par la page avant main.js comme par le
+  // worker avec importScripts()
+  const core = window.LemmatizerCore;
+  if (!core) {
+    root.remove();
+    throw new Error('lemmatizer-core.js n\'est pas chargé (window.LemmatizerCore)');
+  }
+
+  // Rendu de l'aperçu Markdown, chargé par la page avant main.js
+  const markdownPreviewRenderer = window.MarkdownPreview;
+  if (!markdownPreviewRenderer) {
+    root.remove();
+    throw new Error('markdown-preview.js n\'est pas chargé (window.MarkdownPreview)');
   }
 
   const editor = CodeMirrorInstance.fromTextArea(textarea, {
@@ -141,50 +487,719 @@ window.addEventListener('DOMContentLoaded', () => {
 
   logInfo('CodeMirror editor instantiated successfully');
 
-  // Construction du Web Worker à partir du contenu textuel d'un
-  // élément <script id="worker-code">.  Cela évite les
-  // problèmes de chargement avec le schéma file:// ou les CORS.
-  const workerScriptEl = document.getElementById('worker-code');
+  // Web Worker de l'analyse.  Le worker charge lemmatizer-core.js et les
+  // bundles de dictionnaire relativement à son propre script, dans le
+  // dossier baseUrl.
   let worker = null;
 
-  if (workerScriptEl) {
-    const workerCode = workerScriptEl.textContent;
+  function startWorker() {
     try {
-      logDebug('Creating Web Worker from embedded code');
-      // Replace relative URL with absolute URL for dict-bundle.json
-      // This is necessary because Blob URLs don't resolve relative paths correctly
-      const dictBundleUrl = new URL('./dict-bundle.json', window.location.href).href;
-      const modifiedWorkerCode = workerCode.replace(
-        /const DICT_BUNDLE_URL = ['"]\.\/dict-bundle\.json['"];/,
-        `const DICT_BUNDLE_URL = '${dictBundleUrl}';`
-      );
-      const blob = new Blob([modifiedWorkerCode], { type: 'application/javascript' });
-      const url = URL.createObjectURL(blob);
-      worker = new Worker(url);
+      worker = new Worker(new URL('lemmatizer-worker.js', baseUrl).href);
+      configureWorker();
       logInfo('Web Worker initialized successfully');
+      // État du dictionnaire de la langue courante
+      worker.postMessage({ type: 'dictionary-status', language: currentLanguage() });
     } catch (err) {
       logError('Failed to create Web Worker', err);
     }
-  } else {
-    logError('Element <script id="worker-code"> not found');
   }
 
   // Tableau de marques courantes pour pouvoir les effacer avant de
   // créer de nouvelles surbrillances.
   let currentMarks = [];
+  // Analyse complète en cours : `analysisJob` identifie la dernière
+  // analyse envoyée au worker, dont seuls les messages sont pris en compte
   let isAnalyzing = false;
+  let analysisJob = 0;
+  let progressResetTimer = null;
   
   // Stocker les données d'analyse pour la gestion du focus
   let allHighlights = []; // [{start, end, heat, lemma}, ...]
   let lemmaToMarksMap = new Map(); // Map<lemma, Array<mark>>
   let focusedLemma = null; // Lemme actuellement mis en focus (null = tous visibles)
+
+  // Répétitions proches (détection par fenêtre glissante), affichées en
+  // plus de la heatmap avec leurs propres marques.
+  let allProximityHighlights = []; // [{start, end, lemma, distance, score}, ...]
+  let proximityPairs = []; // [{lemma, first, second, distance, score}, ...]
+  let proximityMarks = [];
+
+  // Expressions répétées (n-grammes de lemmes), avec leur propre style
+  // de marque et leur section dans la sidebar
+  let allPhraseHighlights = []; // [{start, end, phrase, index}, ...]
+  let repeatedPhrases = []; // [{phrase, text, length, count, occurrences}, ...]
+  let phraseMarks = [];
+
+  // Mots ignorés gérés par l'utilisateur (persistés sous la clé
+  // 'ignore-list' et transmis au worker avec chaque analyse)
+  const IGNORE_SETTINGS_KEY = 'ignore-list';
+  let ignoreSettings = { useStopWords: true, lemmas: [] };
+
+  // Lexique personnel : triplets [forme, lemme, catégorie|null] persistés
+  // sous la clé 'user-lexicon' et prioritaires sur le dictionnaire de la
+  // langue
+  const USER_LEXICON_KEY = 'user-lexicon';
+  let userLexicon = [];
+
+  // Réglages de la heatmap (persistés sous la clé 'heatmap') : ceux de
+  // DEFAULT_HEATMAP_OPTIONS dans lemmatizer-core.js, transmis au worker
+  // avec chaque analyse, le regroupement par familles de mots
+  // (DEFAULT_FAMILY_OPTIONS, options.families) et la palette, qui ne
+  // sert qu'à l'affichage
+  const HEATMAP_SETTINGS_KEY = 'heatmap';
+  const { HEATMAP_MAX_LEVELS } = core;
+  const DEFAULT_HEATMAP_SETTINGS = {
+    ...core.DEFAULT_HEATMAP_OPTIONS,
+    families: core.DEFAULT_FAMILY_OPTIONS.enabled,
+    palette: 'warm'
+  };
+  let heatmapSettings = { ...DEFAULT_HEATMAP_SETTINGS };
+  // Familles dont les lemmes sont affichés dans la sidebar
+  const expandedFamilies = new Set();
+
+  // Suggestions de synonymes pour le lemme ciblé : { lemma, pos,
+  // synonyms: [{ lemma, pos, inflections }] } (null tant que le worker
+  // n'a pas répondu)
+  let synonymSuggestions = null;
+
+  // Documents enregistrés dans IndexedDB : { id, name, language, text,
+  // updatedAt, analysis }.  `language` est le code du pack de langue de
+  // lemmatizer-core.js (DEFAULT_LANGUAGE pour les documents enregistrés
+  // avant l'ajout des langues).  Le document courant est sauvegardé AUTOSAVE_DELAY ms
+  // après la dernière modification et son identifiant est mémorisé sous
+  // la clé 'current-document' pour être rouvert au chargement de la page.
+  const AUTOSAVE_DELAY = 1000;
+  const CURRENT_DOCUMENT_KEY = 'current-document';
+  const DEFAULT_LANGUAGE = 'fr';
+  let documentList = []; // [{ id, name, updatedAt }, ...], du plus récent au plus ancien
+  let currentDocument = null;
+  let autosaveTimer = null;
+  let analysisDocumentId = null; // document dont l'analyse est en cours
+  const fileHandles = new Map(); // Map<id, FileSystemFileHandle> (File System Access API)
+  // Sans l'option documents (éditeur intégré à une autre page), le
+  // document courant n'existe qu'en mémoire et n'est jamais enregistré
+  const documentsEnabled = options.documents === true;
+  root.querySelectorAll('[data-documents]').forEach((element) => { element.hidden = !documentsEnabled; });
+
+  // Derniers résultats du worker et révision du texte qu'ils décrivent :
+  // ils ne sont enregistrés avec le document que s'ils correspondent
+  // encore au texte de l'éditeur.
+  let lastResults = null;
+  let resultsDocRevision = -1;
+
+  // État de l'analyse en direct.  `paragraphMirror` reflète le découpage
+  // en paragraphes connu du worker (null tant qu'aucune analyse complète
+  // n'a initialisé son cache) ; `docRevision` est incrémenté à chaque
+  // modification pour détecter les résultats devenus obsolètes.
+  const LIVE_ANALYSIS_DELAY = 400; // ms d'inactivité avant l'envoi d'un patch
+  let liveMode = false;
+  let liveTimer = null;
+  let paragraphMirror = null;
+  let docRevision = 0;
+  let patchRevision = 0;
+  let analysisDocRevision = 0;
+  let pendingPatches = new Map(); // Map<revision, {start, end, docRevision}>
+  let needsFullRender = false;
   
   // Références aux éléments de la sidebar
-  const sidebar = document.getElementById('sidebar');
-  const sidebarContent = document.getElementById('sidebarContent');
-  const sidebarToggleBtn = document.getElementById('sidebarToggleBtn');
-  const sidebarCloseBtn = document.getElementById('sidebarCloseBtn');
+  const sidebar = ref('sidebar');
+  const sidebarContent = ref('sidebarContent');
+  const sidebarToggleBtn = ref('sidebarToggleBtn');
+  const sidebarCloseBtn = ref('sidebarCloseBtn');
   
+  // Découpage en paragraphes du worker (lemmatizer-core.js) : les
+  // patchs de l'analyse en direct supposent que les deux threads
+  // découpent le texte de la même façon
+  const { splitParagraphs } = core;
+
+  // Libellés des catégories grammaticales LEFFF (partie avant « : »)
+  const POS_LABELS = {
+    ADJ: 'adjectif',
+    ADV: 'adverbe',
+    ART: 'article',
+    CON: 'conjonction',
+    NOM: 'nom',
+    ONO: 'onomatopée',
+    PRE: 'préposition',
+    PRO: 'pronom',
+    VER: 'verbe'
+  };
+
+  function posLabel(pos) {
+    if (!pos) return '';
+    return POS_LABELS[pos.split(':')[0]] || pos;
+  }
+
+  // Palettes de la heatmap : couleurs de référence, du niveau le plus bas
+  // au plus haut, interpolées selon le nombre de niveaux, et opacité du
+  // fond aux deux extrémités.  La bordure des lemmes de la sidebar et
+  // les traits de la minimap sont plus opaques que le fond.  Avec 5
+  // niveaux, 'warm' redonne les couleurs d'origine ; 'viridis' et
+  // 'blues' restent lisibles pour les daltoniens.
+  const HEATMAP_PALETTES = {
+    warm: { colors: [[255, 255, 0], [255, 200, 0], [255, 165, 0], [255, 100, 0], [255, 50, 0]], alpha: [0.4, 0.8] },
+    viridis: { colors: [[253, 231, 37], [94, 201, 98], [33, 145, 140], [59, 82, 139], [68, 1, 84]], alpha: [0.35, 0.65] },
+    blues: { colors: [[198, 219, 239], [107, 174, 214], [33, 113, 181], [8, 48, 107]], alpha: [0.45, 0.75] }
+  };
+  const HEATMAP_BORDER_ALPHA = 0.2;
+
+  // Niveau de chaleur affichable (les résultats enregistrés avec un
+  // autre nombre de niveaux sont ramenés au niveau maximal)
+  function clampHeat(heat) {
+    return Math.min(Math.max(heat || 1, 1), heatmapSettings.levels);
+  }
+
+  // Couleur rgba() du niveau `level` dans la palette courante
+  function heatColor(level, border = false) {
+    const { colors, alpha } = HEATMAP_PALETTES[heatmapSettings.palette] || HEATMAP_PALETTES.warm;
+    const levels = heatmapSettings.levels;
+    const t = levels > 1 ? (clampHeat(level) - 1) / (levels - 1) : 1;
+    const position = t * (colors.length - 1);
+    const index = Math.min(Math.floor(position), colors.length - 2);
+    const fraction = position - index;
+    const rgb = colors[index].map((value, i) => Math.round(value + (colors[index + 1][i] - value) * fraction));
+    const opacity = Math.min(1, alpha[0] + t * (alpha[1] - alpha[0]) + (border ? HEATMAP_BORDER_ALPHA : 0));
+    return `rgba(${rgb.join(', ')}, ${Math.round(opacity * 100) / 100})`;
+  }
+
+  // Génère les règles .heat-N de l'éditeur et de la sidebar et l'aperçu
+  // du panneau « Heatmap » ; un changement de palette est ainsi appliqué
+  // sans relancer l'analyse.
+  function applyHeatmapStyle() {
+    const levels = Array.from({ length: heatmapSettings.levels }, (_, i) => i + 1);
+    const styleEl = ref('heatmapStyle');
+    if (styleEl) {
+      styleEl.textContent = levels.map((level) => (
+        `.${instanceClass} .CodeMirror .heat-${level}, .${instanceClass} .markdown-preview .heat-${level} { background: ${heatColor(level)}; }\n`
+        + `.${instanceClass} .lemma-item.heat-${level} { border-left-color: ${heatColor(level, true)}; }`
+      )).join('\n');
+    }
+    const previewEl = ref('heatmapPreview');
+    if (previewEl) {
+      previewEl.innerHTML = levels
+        .map((level) => `<span style="background: ${heatColor(level)}">${level}</span>`)
+        .join('');
+    }
+    scheduleMinimapRender();
+  }
+
+  // Crée la marque CodeMirror d'un highlight et l'enregistre dans
+  // currentMarks et lemmaToMarksMap.  Le lemme et la catégorie choisis
+  // par le worker sont exposés en attributs, lus par l'infobulle des
+  // mots surlignés (voir showLemmaTooltip()).
+  function createHighlightMark({ start, end, heat, lemma, pos }) {
+    try {
+      const from = editor.posFromIndex(start);
+      const to = editor.posFromIndex(end);
+      const className = `heat-${clampHeat(heat)}`;
+      const attributes = {};
+      if (lemma) attributes['data-lemma'] = lemma;
+      if (pos) attributes['data-pos'] = pos;
+      const mark = editor.markText(from, to, { className, attributes });
+      currentMarks.push(mark);
+      if (lemma) {
+        if (!lemmaToMarksMap.has(lemma)) {
+          lemmaToMarksMap.set(lemma, []);
+        }
+        lemmaToMarksMap.get(lemma).push(mark);
+      }
+    } catch (err) {
+      logError(`Failed to apply highlight at position ${start}-${end}`, err);
+    }
+  }
+
+  // Recrée les marques de proximité (limitées au lemme ciblé s'il y en
+  // a un).  Elles sont peu nombreuses et sont donc toujours redessinées
+  // entièrement, y compris en analyse en direct.
+  function renderProximityMarks() {
+    proximityMarks.forEach((mark) => mark.clear());
+    proximityMarks = [];
+    allProximityHighlights.forEach(({ start, end, lemma, distance }) => {
+      if (focusedLemma !== null && lemma !== focusedLemma) return;
+      try {
+        const from = editor.posFromIndex(start);
+        const to = editor.posFromIndex(end);
+        const title = `« ${lemma} » répété à ${distance} mot${distance > 1 ? 's' : ''}`;
+        proximityMarks.push(editor.markText(from, to, { className: 'proximity', title }));
+      } catch (err) {
+        logError(`Failed to apply proximity mark at position ${start}-${end}`, err);
+      }
+    });
+  }
+
+  // Recrée les marques des expressions répétées.  Avec un lemme ciblé,
+  // seules les expressions qui le contiennent restent visibles.
+  function renderPhraseMarks() {
+    phraseMarks.forEach((mark) => mark.clear());
+    phraseMarks = [];
+    allPhraseHighlights.forEach(({ start, end, phrase, index }) => {
+      if (focusedLemma !== null && !phrase.split(' ').includes(focusedLemma)) return;
+      const entry = repeatedPhrases[index];
+      try {
+        const from = editor.posFromIndex(start);
+        const to = editor.posFromIndex(end);
+        const title = entry ? `« ${entry.text} » répété ${entry.count} fois` : phrase;
+        phraseMarks.push(editor.markText(from, to, { className: 'phrase', title }));
+      } catch (err) {
+        logError(`Failed to apply phrase mark at position ${start}-${end}`, err);
+      }
+    });
+  }
+
+  // Mémorise et affiche les expressions répétées
+  function applyPhraseResults(data) {
+    allPhraseHighlights = data.phraseHighlights || [];
+    repeatedPhrases = data.repeatedPhrases || [];
+    renderPhraseMarks();
+    displayRepeatedPhrases();
+  }
+
+  // Mémorise et affiche les résultats de la détection de proximité
+  function applyProximityResults(data) {
+    allProximityHighlights = data.proximityHighlights || [];
+    proximityPairs = data.proximityPairs || [];
+    renderProximityMarks();
+    displayProximityPairs();
+  }
+
+  // Minimap des répétitions, à droite de l'éditeur : un trait par ligne
+  // contenant des occurrences surlignées (couleur du niveau de chaleur le
+  // plus élevé) et, à gauche, une bande de densité par paragraphe (part
+  // des mots surlignés).  Elle est dessinée d'après les marques
+  // courantes : elle suit le lemme ciblé et les modifications du texte.
+  // Un clic ou un glissé fait défiler l'éditeur jusqu'au passage.  Les
+  // couleurs sont celles des bordures de la sidebar (voir heatColor()).
+  const MINIMAP_DENSITY_WIDTH = 8; // px
+  const MINIMAP_DENSITY_MAX = 0.25; // part de mots surlignés du niveau de densité maximal
+  const minimapEl = ref('minimap');
+  const minimapCanvas = ref('minimapCanvas');
+  const minimapViewport = ref('minimapViewport');
+  let minimapFrame = null;
+
+  function scheduleMinimapRender() {
+    if (!minimapCanvas || minimapFrame !== null) return;
+    minimapFrame = requestAnimationFrame(() => {
+      minimapFrame = null;
+      renderMinimap();
+    });
+  }
+
+  function renderMinimap() {
+    updateMinimapViewport();
+    const width = minimapCanvas.clientWidth;
+    const height = minimapCanvas.clientHeight;
+    const ratio = window.devicePixelRatio || 1;
+    minimapCanvas.width = Math.round(width * ratio);
+    minimapCanvas.height = Math.round(height * ratio);
+    const ctx = minimapCanvas.getContext('2d');
+    if (!ctx) return;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    // Hauteur du document (les lignes hors de la zone visible ont une
+    // hauteur estimée par CodeMirror)
+    const total = Math.max(1, editor.heightAtLine(editor.lineCount(), 'local'));
+    const lineY = (line) => (editor.heightAtLine(line, 'local') / total) * height;
+
+    // Occurrences surlignées de chaque ligne
+    const lines = new Map(); // Map<line, {heat, count}>
+    currentMarks.forEach((mark) => {
+      const range = mark.find();
+      if (!range) return;
+      const heat = clampHeat(Number(String(mark.className).replace('heat-', '')));
+      const entry = lines.get(range.from.line) || { heat: 0, count: 0 };
+      entry.heat = Math.max(entry.heat, heat);
+      entry.count++;
+      lines.set(range.from.line, entry);
+    });
+
+    // Bande de densité : un paragraphe est une suite de lignes non vides
+    const fillParagraph = (first, end, words, highlighted) => {
+      if (words === 0 || highlighted === 0) return;
+      const density = Math.min(1, highlighted / words / MINIMAP_DENSITY_MAX);
+      ctx.fillStyle = heatColor(Math.ceil(density * heatmapSettings.levels), true);
+      const top = lineY(first);
+      ctx.fillRect(0, top, MINIMAP_DENSITY_WIDTH, Math.max(1, lineY(end) - top));
+    };
+    let line = 0;
+    let paragraphStart = 0;
+    let words = 0;
+    let highlighted = 0;
+    editor.eachLine((handle) => {
+      if (handle.text.trim() === '') {
+        fillParagraph(paragraphStart, line, words, highlighted);
+        paragraphStart = line + 1;
+        words = 0;
+        highlighted = 0;
+      } else {
+        words += countWords(handle.text);
+        highlighted += lines.has(line) ? lines.get(line).count : 0;
+      }
+      line++;
+    });
+    fillParagraph(paragraphStart, line, words, highlighted);
+
+    // Traits des occurrences, les plus chauds par-dessus
+    [...lines].sort((a, b) => a[1].heat - b[1].heat).forEach(([lineNumber, { heat }]) => {
+      ctx.fillStyle = heatColor(heat, true);
+      ctx.fillRect(MINIMAP_DENSITY_WIDTH + 2, Math.round(lineY(lineNumber)), width - MINIMAP_DENSITY_WIDTH - 2, 2);
+    });
+  }
+
+  // Cadre de la partie du document visible dans l'éditeur
+  function updateMinimapViewport() {
+    if (!minimapEl || !minimapViewport) return;
+    const info = editor.getScrollInfo();
+    const height = minimapEl.clientHeight;
+    const total = Math.max(1, info.height);
+    minimapViewport.style.top = `${(info.top / total) * height}px`;
+    minimapViewport.style.height = `${Math.max(4, (info.clientHeight / total) * height)}px`;
+  }
+
+  // Fait défiler l'éditeur pour centrer le passage sous le pointeur
+  function scrollFromMinimap(event) {
+    const rect = minimapEl.getBoundingClientRect();
+    if (rect.height === 0) return;
+    const info = editor.getScrollInfo();
+    const y = ((event.clientY - rect.top) / rect.height) * info.height;
+    editor.scrollTo(null, y - info.clientHeight / 2);
+  }
+
+  if (minimapEl) {
+    let dragging = false;
+    minimapEl.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      dragging = true;
+      scrollFromMinimap(e);
+    });
+    listen(document, 'mousemove', (e) => {
+      if (dragging) scrollFromMinimap(e);
+    });
+    listen(document, 'mouseup', () => { dragging = false; });
+    editor.on('scroll', updateMinimapViewport);
+    editor.on('refresh', scheduleMinimapRender);
+    listen(window, 'resize', scheduleMinimapRender);
+  }
+
+  function countWords(text) {
+    return (text.match(/[\p{L}\p{N}]+/gu) || []).length;
+  }
+
+  // Aperçu Markdown, à côté de l'éditeur : le texte rendu par
+  // markdown-preview.js avec les surbrillances des marques courantes (il
+  // suit donc le lemme ciblé et les modifications du texte).  Il n'est
+  // rendu que s'il est affiché, et seuls les blocs modifiés sont
+  // reconstruits.  Son défilement est synchronisé avec celui de
+  // l'éditeur d'après les lignes source des blocs, et un clic sur un mot
+  // surligné cible son lemme comme dans la sidebar.
+  const PREVIEW_RENDER_DELAY = 300; // ms après la dernière modification du texte
+  const markdownPreview = ref('markdownPreview');
+  const previewToggleBtn = ref('previewToggleBtn');
+  let previewTimer = null;
+  let previewScrollFrame = null;
+  let expectedScroll = null; // { pane, top } : défilement provoqué par la synchronisation
+  let previewBlocks = []; // blocs affichés : { key, line, start, element }
+
+  function previewVisible() {
+    return Boolean(markdownPreview) && !markdownPreview.hidden;
+  }
+
+  function schedulePreviewRender(delay = 0) {
+    if (!previewVisible()) return;
+    if (previewTimer) clearTimeout(previewTimer);
+    previewTimer = setTimeout(() => {
+      previewTimer = null;
+      renderPreview();
+    }, delay);
+  }
+
+  function renderPreview() {
+    const highlights = [];
+    currentMarks.forEach((mark) => {
+      const range = mark.find();
+      if (!range) return;
+      highlights.push({
+        start: editor.indexFromPos(range.from),
+        end: editor.indexFromPos(range.to),
+        heat: clampHeat(Number(String(mark.className).replace('heat-', ''))),
+        lemma: (mark.attributes && mark.attributes['data-lemma']) || null
+      });
+    });
+    highlights.sort((a, b) => a.start - b.start);
+    const blocks = markdownPreviewRenderer.renderMarkdownPreviewBlocks(editor.getValue(), highlights);
+    // Les blocs inchangés du début et de la fin sont gardés ; seuls ceux
+    // qui les séparent sont remplacés
+    let head = 0;
+    while (head < blocks.length && head < previewBlocks.length && blocks[head].key === previewBlocks[head].key) head++;
+    let tail = 0;
+    while (tail < blocks.length - head && tail < previewBlocks.length - head
+      && blocks[blocks.length - 1 - tail].key === previewBlocks[previewBlocks.length - 1 - tail].key) {
+      tail++;
+    }
+    const following = previewBlocks.slice(previewBlocks.length - tail);
+    previewBlocks.slice(head, previewBlocks.length - tail).forEach((shown) => shown.element.remove());
+    const template = document.createElement('template');
+    const inserted = blocks.slice(head, blocks.length - tail).map((block) => {
+      template.innerHTML = block.html;
+      const element = template.content.firstElementChild;
+      markdownPreview.insertBefore(element, following.length > 0 ? following[0].element : null);
+      return { key: block.key, line: block.line, start: block.start, element };
+    });
+    previewBlocks = [...previewBlocks.slice(0, head), ...inserted, ...following];
+    previewBlocks.forEach((shown, index) => shiftPreviewBlock(shown, blocks[index]));
+    syncScroll('editor');
+  }
+
+  // Reporte sur un bloc gardé le déplacement de son source (lignes
+  // insérées ou supprimées avant lui)
+  function shiftPreviewBlock(shown, block) {
+    const lines = block.line - shown.line;
+    const offset = block.start - shown.start;
+    if (lines !== 0) {
+      [shown.element, ...shown.element.querySelectorAll('[data-line]')].forEach((element) => {
+        if (element.dataset.line !== undefined) element.dataset.line = Number(element.dataset.line) + lines;
+      });
+    }
+    if (offset !== 0) {
+      shown.element.querySelectorAll('mark[data-start]').forEach((mark) => {
+        mark.dataset.start = Number(mark.dataset.start) + offset;
+      });
+    }
+    shown.line = block.line;
+    shown.start = block.start;
+  }
+
+  // Points de correspondance entre les deux volets : position de la
+  // ligne source de chaque bloc dans l'éditeur et du bloc dans l'aperçu,
+  // du début à la fin des deux défilements
+  function scrollAnchors() {
+    const info = editor.getScrollInfo();
+    const end = {
+      editor: Math.max(0, info.height - info.clientHeight),
+      preview: Math.max(0, markdownPreview.scrollHeight - markdownPreview.clientHeight)
+    };
+    const anchors = [{ editor: 0, preview: 0 }];
+    markdownPreview.querySelectorAll('[data-line]').forEach((element) => {
+      const line = Number(element.dataset.line);
+      if (line >= editor.lineCount()) return;
+      const anchor = { editor: editor.heightAtLine(line, 'local'), preview: element.offsetTop };
+      const previous = anchors[anchors.length - 1];
+      if (anchor.editor > previous.editor && anchor.preview > previous.preview
+        && anchor.editor < end.editor && anchor.preview < end.preview) {
+        anchors.push(anchor);
+      }
+    });
+    anchors.push(end);
+    return anchors;
+  }
+
+  // Fait défiler l'autre volet jusqu'au passage affiché en haut de
+  // `source` ('editor' ou 'preview')
+  function syncScroll(source) {
+    if (!previewVisible()) return;
+    const target = source === 'editor' ? 'preview' : 'editor';
+    const value = source === 'editor' ? editor.getScrollInfo().top : markdownPreview.scrollTop;
+    const anchors = scrollAnchors();
+    let k = anchors.length - 1;
+    while (k > 0 && anchors[k][source] > value) k--;
+    const from = anchors[k];
+    const to = anchors[k + 1];
+    const top = !to || to[source] === from[source]
+      ? from[target]
+      : from[target] + ((value - from[source]) / (to[source] - from[source])) * (to[target] - from[target]);
+    const current = target === 'editor' ? editor.getScrollInfo().top : markdownPreview.scrollTop;
+    if (Math.abs(current - top) < 1) return;
+    expectedScroll = { pane: target, top: Math.round(top) };
+    if (target === 'editor') {
+      editor.scrollTo(null, top);
+    } else {
+      markdownPreview.scrollTop = top;
+    }
+  }
+
+  function scheduleScrollSync(source) {
+    const top = source === 'editor' ? editor.getScrollInfo().top : markdownPreview.scrollTop;
+    // Défilement provoqué par syncScroll() : l'autre volet est déjà en place
+    if (expectedScroll && expectedScroll.pane === source && Math.abs(expectedScroll.top - top) <= 1) {
+      expectedScroll = null;
+      return;
+    }
+    expectedScroll = null;
+    if (previewScrollFrame !== null) cancelAnimationFrame(previewScrollFrame);
+    previewScrollFrame = requestAnimationFrame(() => {
+      previewScrollFrame = null;
+      syncScroll(source);
+    });
+  }
+
+  function togglePreview() {
+    if (!markdownPreview) return;
+    markdownPreview.hidden = !markdownPreview.hidden;
+    if (previewToggleBtn) {
+      previewToggleBtn.textContent = markdownPreview.hidden ? 'Afficher l\'aperçu' : 'Masquer l\'aperçu';
+    }
+    // La largeur de l'éditeur a changé
+    editor.refresh();
+    if (markdownPreview.hidden) {
+      if (previewTimer) clearTimeout(previewTimer);
+      previewTimer = null;
+      markdownPreview.innerHTML = '';
+      previewBlocks = [];
+    } else {
+      renderPreview();
+    }
+  }
+
+  if (markdownPreview) {
+    editor.on('scroll', () => scheduleScrollSync('editor'));
+    markdownPreview.addEventListener('scroll', () => scheduleScrollSync('preview'));
+    markdownPreview.addEventListener('click', (e) => {
+      const mark = e.target.closest('mark[data-lemma]');
+      if (!mark) return;
+      // Un mot surligné dans un lien cible son lemme sans suivre le lien
+      e.preventDefault();
+      const { lemma } = mark.dataset;
+      const start = Number(mark.dataset.start);
+      if (focusedLemma !== lemma) focusLemma(lemma);
+      const occurrence = focusedOccurrences().find((range) => editor.indexFromPos(range.from) === start);
+      if (occurrence) selectRange(occurrence);
+    });
+  }
+  if (previewToggleBtn) previewToggleBtn.addEventListener('click', togglePreview);
+
+  // Infobulle des mots surlignés : lemme, catégorie, fréquence, niveau
+  // de chaleur, formes rencontrées dans le texte et distance aux
+  // occurrences voisines, avec des actions rapides (cibler, ignorer,
+  // synonymes).
+  const TOOLTIP_SHOW_DELAY = 300; // ms de survol avant l'affichage
+  const TOOLTIP_HIDE_DELAY = 200; // ms laissées pour atteindre l'infobulle
+  const lemmaTooltip = ref('lemmaTooltip');
+  let tooltipTimer = null;
+
+  function hideLemmaTooltip() {
+    if (tooltipTimer) clearTimeout(tooltipTimer);
+    tooltipTimer = null;
+    if (lemmaTooltip) lemmaTooltip.hidden = true;
+  }
+
+  function scheduleTooltipHide() {
+    if (tooltipTimer) clearTimeout(tooltipTimer);
+    tooltipTimer = setTimeout(hideLemmaTooltip, TOOLTIP_HIDE_DELAY);
+  }
+
+  // Distance en mots entre deux occurrences, pour l'infobulle
+  function describeNeighbour(label, range, between) {
+    if (!range) return `${label} : aucune`;
+    const words = countWords(between);
+    return `${label} : ${words} mot${words > 1 ? 's' : ''}, ligne ${range.from.line + 1}`;
+  }
+
+  // Affiche l'infobulle du mot surligné `target` (élément de la marque),
+  // survolé au point (x, y) de la fenêtre
+  function showLemmaTooltip(target, x, y) {
+    const lemma = target.getAttribute('data-lemma');
+    const pos = target.getAttribute('data-pos');
+    const heat = (target.className.match(/\bheat-(\d+)/) || [])[1] || '1';
+    const occurrences = lemmaOccurrences(lemma);
+    if (!lemmaTooltip || occurrences.length === 0) return;
+    const at = editor.coordsChar({ left: x, top: y }, 'window');
+    let index = occurrences.findIndex(({ from, to }) => (
+      CodeMirrorInstance.cmpPos(from, at) <= 0 && CodeMirrorInstance.cmpPos(at, to) <= 0
+    ));
+    if (index === -1) index = 0;
+    const current = occurrences[index];
+    const previous = occurrences[index - 1];
+    const next = occurrences[index + 1];
+
+    // Formes rencontrées dans le texte, des plus fréquentes aux plus rares
+    const forms = new Map();
+    occurrences.forEach(({ from, to }) => {
+      const form = splitOccurrence(editor.getRange(from, to)).word.toLowerCase().normalize('NFC');
+      forms.set(form, (forms.get(form) || 0) + 1);
+    });
+    const formList = [...forms].sort((a, b) => b[1] - a[1])
+      .map(([form, count]) => `${escapeHtml(form)}${forms.size > 1 ? ` (${count})` : ''}`)
+      .join(', ');
+
+    const focused = focusedLemma === lemma;
+    lemmaTooltip.innerHTML = `
+      <div class="lemma-tooltip-title">
+        <strong>${escapeHtml(lemma)}</strong>
+        ${pos ? `<span class="lemma-pos" title="${escapeHtml(pos)}">${escapeHtml(posLabel(pos))}</span>` : ''}
+      </div>
+      <div class="lemma-tooltip-line">${occurrences.length} occurrence${occurrences.length > 1 ? 's' : ''} · chaleur ${heat} / ${heatmapSettings.levels}</div>
+      <div class="lemma-tooltip-line">Formes : ${formList}</div>
+      <div class="lemma-tooltip-line">${describeNeighbour('Précédente', previous, previous ? editor.getRange(previous.to, current.from) : '')}</div>
+      <div class="lemma-tooltip-line">${describeNeighbour('Suivante', next, next ? editor.getRange(current.to, next.from) : '')}</div>
+      <div class="lemma-tooltip-actions">
+        <button type="button" data-action="focus">${focused ? 'Afficher tous les mots' : 'Cibler'}</button>
+        <button type="button" data-action="ignore">Ignorer</button>
+        <button type="button" data-action="synonyms">Synonymes</button>
+      </div>
+    `;
+    lemmaTooltip.querySelectorAll('[data-action]').forEach((button) => {
+      button.addEventListener('click', () => {
+        hideLemmaTooltip();
+        const action = button.dataset.action;
+        if (action === 'ignore') {
+          if (focusedLemma === lemma) clearFocus();
+          addIgnoredLemmas([lemma]);
+          return;
+        }
+        if (action === 'focus' && focused) {
+          clearFocus();
+          return;
+        }
+        // Cibler le lemme à partir de l'occurrence survolée
+        editor.setCursor(current.from);
+        if (focusedLemma === lemma) selectOccurrence(0); else focusLemma(lemma, true);
+        if (action === 'synonyms') {
+          if (sidebar && sidebar.classList.contains('hidden')) toggleSidebar();
+          const section = ref('synonymSection');
+          if (section && section.scrollIntoView) section.scrollIntoView({ block: 'nearest' });
+        }
+      });
+    });
+
+    // Sous le mot, ou au-dessus s'il n'y a pas la place
+    lemmaTooltip.hidden = false;
+    const rect = target.getBoundingClientRect();
+    const width = lemmaTooltip.offsetWidth;
+    const height = lemmaTooltip.offsetHeight;
+    const top = rect.bottom + 4 + height > window.innerHeight ? rect.top - 4 - height : rect.bottom + 4;
+    lemmaTooltip.style.left = `${Math.max(4, Math.min(rect.left, window.innerWidth - width - 4))}px`;
+    lemmaTooltip.style.top = `${Math.max(4, top)}px`;
+  }
+
+  if (lemmaTooltip) {
+    const wrapper = editor.getWrapperElement();
+    wrapper.addEventListener('mouseover', (e) => {
+      const target = e.target.closest('[data-lemma]');
+      if (!target) return;
+      if (tooltipTimer) clearTimeout(tooltipTimer);
+      const { clientX, clientY } = e;
+      const show = () => showLemmaTooltip(target, clientX, clientY);
+      if (lemmaTooltip.hidden) {
+        tooltipTimer = setTimeout(show, TOOLTIP_SHOW_DELAY);
+      } else {
+        tooltipTimer = null;
+        show();
+      }
+    });
+    wrapper.addEventListener('mouseout', (e) => {
+      if (e.target.closest('[data-lemma]')) scheduleTooltipHide();
+    });
+    lemmaTooltip.addEventListener('mouseenter', () => {
+      if (tooltipTimer) clearTimeout(tooltipTimer);
+      tooltipTimer = null;
+    });
+    lemmaTooltip.addEventListener('mouseleave', scheduleTooltipHide);
+    editor.on('scroll', hideLemmaTooltip);
+    editor.on('change', hideLemmaTooltip);
+    listen(document, 'keydown', (e) => {
+      if (e.key === 'Escape') hideLemmaTooltip();
+    });
+  }
+
   // Fonction pour basculer la sidebar
   function toggleSidebar() {
     if (sidebar) {
@@ -197,8 +1212,10 @@ window.addEventListener('DOMContentLoaded', () => {
     }
   }
   
-  // Fonction pour mettre en focus un lemme spécifique (masquer les autres)
-  function focusLemma(lemma) {
+  // Fonction pour mettre en focus un lemme spécifique (masquer les autres).
+  // Avec `fromCursor`, l'occurrence sous le curseur est sélectionnée au
+  // lieu de la première.
+  function focusLemma(lemma, fromCursor = false) {
     focusedLemma = lemma;
     
     // Effacer tous les marks
@@ -207,41 +1224,109 @@ window.addEventListener('DOMContentLoaded', () => {
     lemmaToMarksMap.clear();
     
     // Recréer uniquement les marks du lemme ciblé
-    allHighlights.forEach(({ start, end, heat, lemma: highlightLemma }) => {
-      if (highlightLemma === lemma) {
-        try {
-          const from = editor.posFromIndex(start);
-          const to = editor.posFromIndex(end);
-          const heatLevel = Math.min(heat || 1, 5);
-          const className = `heat-${heatLevel}`;
-          const mark = editor.markText(from, to, { className });
-          currentMarks.push(mark);
-          
-          if (!lemmaToMarksMap.has(lemma)) {
-            lemmaToMarksMap.set(lemma, []);
-          }
-          lemmaToMarksMap.get(lemma).push(mark);
-        } catch (err) {
-          logError(`Failed to restore highlight at position ${start}-${end}`, err);
-        }
+    allHighlights.forEach((highlight) => {
+      if (highlight.lemma === lemma) {
+        createHighlightMark(highlight);
       }
     });
     
+    renderProximityMarks();
+    renderPhraseMarks();
+    scheduleMinimapRender();
+    schedulePreviewRender();
+
+    // Demander au worker les synonymes du lemme ciblé
+    requestSynonyms(lemma);
+
     // Mettre à jour l'apparence des items de la sidebar
     updateSidebarItemStates();
     
-    // Naviguer vers la première occurrence
-    const firstHighlight = allHighlights.find(h => h.lemma === lemma);
-    if (firstHighlight) {
-      const pos = editor.posFromIndex(firstHighlight.start);
-      editor.setCursor(pos);
-      editor.scrollIntoView(pos);
+    // Naviguer vers l'occurrence sous le curseur ou la première
+    if (fromCursor) {
+      selectOccurrence(0);
+    } else {
+      const [first] = focusedOccurrences();
+      if (first) selectRange(first);
+    }
+  }
+
+  // Lemme surligné sous le curseur : d'après les marques, qui suivent
+  // les modifications du texte, sinon d'après les surbrillances de la
+  // dernière analyse (les lemmes masqués par le focus n'ont pas de marque)
+  function lemmaAtCursor() {
+    const cursor = editor.getCursor();
+    const mark = editor.findMarksAt(cursor).find((m) => m.attributes && m.attributes['data-lemma']);
+    if (mark) return mark.attributes['data-lemma'];
+    const index = editor.indexFromPos(cursor);
+    const highlight = allHighlights.find(({ start, end, lemma }) => lemma && start <= index && index <= end);
+    return highlight ? highlight.lemma : null;
+  }
+
+  // Cible le lemme du mot sous le curseur (Ctrl+F3)
+  function focusLemmaAtCursor() {
+    const lemma = lemmaAtCursor();
+    if (lemma === null) {
+      logInfo('No repeated lemma under the cursor');
+      return false;
     }
+    if (lemma === focusedLemma) {
+      selectOccurrence(0);
+    } else {
+      focusLemma(lemma, true);
+    }
+    return true;
+  }
+
+  function selectRange({ from, to }) {
+    editor.setSelection(from, to);
+    editor.scrollIntoView({ from, to }, 50);
+    editor.focus();
+  }
+
+  // Sélectionne une occurrence du lemme ciblé : la suivante (direction
+  // 1) ou la précédente (-1) par rapport à la sélection, en revenant au
+  // début (ou à la fin) du texte, ou celle qui contient le curseur (0,
+  // sinon la suivante)
+  function selectOccurrence(direction) {
+    const occurrences = focusedOccurrences();
+    if (occurrences.length === 0) return false;
+    const cursor = editor.indexFromPos(editor.getCursor('from'));
+    const starts = occurrences.map((range) => editor.indexFromPos(range.from));
+    let index = -1;
+    if (direction > 0) {
+      index = starts.findIndex((start) => start > cursor);
+      if (index === -1) index = 0;
+    } else if (direction < 0) {
+      for (let i = starts.length - 1; i >= 0 && index === -1; i--) {
+        if (starts[i] < cursor) index = i;
+      }
+      if (index === -1) index = occurrences.length - 1;
+    } else {
+      index = occurrences.findIndex((range) => editor.indexFromPos(range.to) >= cursor);
+      if (index === -1) index = 0;
+    }
+    selectRange(occurrences[index]);
+    return true;
+  }
+
+  // Position de la sélection parmi les occurrences du lemme ciblé
+  // (« 3 / 12 », « – / 12 » hors d'une occurrence)
+  function updateOccurrencePosition() {
+    const label = ref('occurrencePosition');
+    if (!label) return;
+    const occurrences = focusedOccurrences();
+    const from = editor.indexFromPos(editor.getCursor('from'));
+    const to = editor.indexFromPos(editor.getCursor('to'));
+    const index = occurrences.findIndex((range) => (
+      editor.indexFromPos(range.from) <= from && editor.indexFromPos(range.to) >= to
+    ));
+    label.textContent = `${index === -1 ? '–' : index + 1} / ${occurrences.length}`;
   }
   
   // Fonction pour restaurer tous les highlights
   function clearFocus() {
     focusedLemma = null;
+    synonymSuggestions = null;
     
     // Effacer tous les marks actuels
     currentMarks.forEach(mark => mark.clear());
@@ -249,30 +1334,13 @@ window.addEventListener('DOMContentLoaded', () => {
     lemmaToMarksMap.clear();
     
     // Restaurer tous les highlights
-    allHighlights.forEach(({ start, end, heat }) => {
-      try {
-        const from = editor.posFromIndex(start);
-        const to = editor.posFromIndex(end);
-        const heatLevel = Math.min(heat || 1, 5);
-        const className = `heat-${heatLevel}`;
-        const mark = editor.markText(from, to, { className });
-        currentMarks.push(mark);
-        
-        // Ajouter à la map par lemme
-        const highlight = allHighlights.find(h => 
-          h.start === start && h.end === end
-        );
-        if (highlight && highlight.lemma) {
-          if (!lemmaToMarksMap.has(highlight.lemma)) {
-            lemmaToMarksMap.set(highlight.lemma, []);
-          }
-          lemmaToMarksMap.get(highlight.lemma).push(mark);
-        }
-      } catch (err) {
-        logError(`Failed to restore highlight at position ${start}-${end}`, err);
-      }
-    });
-    
+    allHighlights.forEach(createHighlightMark);
+
+    renderProximityMarks();
+    renderPhraseMarks();
+    scheduleMinimapRender();
+    schedulePreviewRender();
+
     // Mettre à jour l'apparence des items de la sidebar
     updateSidebarItemStates();
   }
@@ -295,12 +1363,12 @@ window.addEventListener('DOMContentLoaded', () => {
     });
     
     // Mettre à jour le bouton de réinitialisation
-    const clearBtn = document.getElementById('clearFocusBtn');
+    const clearBtn = ref('clearFocusBtn');
     if (focusedLemma !== null) {
       if (!clearBtn) {
         // Créer le bouton s'il n'existe pas
         const button = document.createElement('button');
-        button.id = 'clearFocusBtn';
+        button.dataset.ref = 'clearFocusBtn';
         button.className = 'clear-focus-button';
         button.textContent = 'Afficher tous les mots';
         button.addEventListener('click', (e) => {
@@ -309,37 +1377,234 @@ window.addEventListener('DOMContentLoaded', () => {
         });
         sidebarContent.insertBefore(button, sidebarContent.firstChild);
       }
+      // Navigation entre les occurrences du lemme ciblé
+      if (!ref('occurrenceNav')) {
+        const nav = document.createElement('div');
+        nav.dataset.ref = 'occurrenceNav';
+        nav.className = 'occurrence-nav';
+        nav.innerHTML = `
+          <button type="button" data-direction="-1" title="Occurrence précédente (Maj+F3)" aria-label="Occurrence précédente">‹</button>
+          <span data-ref="occurrencePosition" class="occurrence-position"></span>
+          <button type="button" data-direction="1" title="Occurrence suivante (F3)" aria-label="Occurrence suivante">›</button>
+        `;
+        nav.querySelectorAll('button').forEach((button) => {
+          button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            selectOccurrence(Number(button.dataset.direction));
+          });
+        });
+        const clearFocusBtn = ref('clearFocusBtn');
+        sidebarContent.insertBefore(nav, clearFocusBtn.nextSibling);
+      }
+      updateOccurrencePosition();
     } else {
-      // Supprimer le bouton s'il existe
+      // Supprimer le bouton et la navigation s'ils existent
       if (clearBtn) {
         clearBtn.remove();
       }
+      const nav = ref('occurrenceNav');
+      if (nav) nav.remove();
     }
+
+    renderSynonymSection();
   }
-  
-  // Fonction pour afficher les fréquences de lemmes dans la sidebar
-  function displayLemmaFrequencies(lemmaFrequencies) {
+
+  // Découpe le texte d'une occurrence en préfixe élidé (« l' », « qu' »)
+  // et forme, comme le fait le worker
+  function splitOccurrence(text) {
+    const match = text.match(/^(.*['’ʼ])(.*)$/);
+    return match ? { prefix: match[1], word: match[2] } : { prefix: '', word: text };
+  }
+
+  // Occurrences surlignées d'un lemme, dans l'ordre du texte (les
+  // marques suivent les modifications faites depuis l'analyse)
+  function lemmaOccurrences(lemma) {
+    return (lemmaToMarksMap.get(lemma) || [])
+      .map((mark) => mark.find())
+      .filter(Boolean)
+      .sort((a, b) => editor.indexFromPos(a.from) - editor.indexFromPos(b.from));
+  }
+
+  function focusedOccurrences() {
+    return focusedLemma === null ? [] : lemmaOccurrences(focusedLemma);
+  }
+
+  // Occurrence à remplacer : celle qui contient le curseur, sinon la
+  // suivante, sinon la première
+  function targetOccurrence() {
+    const occurrences = focusedOccurrences();
+    if (occurrences.length === 0) return null;
+    const cursor = editor.indexFromPos(editor.getCursor());
+    return occurrences.find((range) => editor.indexFromPos(range.to) >= cursor) || occurrences[0];
+  }
+
+  function requestSynonyms(lemma) {
+    synonymSuggestions = null;
+    if (!worker) return;
+    const occurrences = allHighlights.filter((h) => h.lemma === lemma);
+    const posCounts = new Map();
+    occurrences.forEach(({ pos }) => {
+      if (pos) posCounts.set(pos, (posCounts.get(pos) || 0) + 1);
+    });
+    const pos = [...posCounts].sort((a, b) => b[1] - a[1]).map(([p]) => p)[0] || null;
+    const forms = new Set(focusedOccurrences().map(({ from, to }) => (
+      splitOccurrence(editor.getRange(from, to)).word.toLowerCase().normalize('NFC')
+    )));
+    worker.postMessage({ type: 'synonyms', language: currentLanguage(), lemma, pos, forms: [...forms] });
+  }
+
+  // Reproduit la casse du mot remplacé (« Chantons » → « Entonnons »)
+  function matchCase(replacement, original) {
+    if (original.length > 1 && original === original.toUpperCase()) return replacement.toUpperCase();
+    if (original[0] !== original[0].toLowerCase()) return replacement[0].toUpperCase() + replacement.slice(1);
+    return replacement;
+  }
+
+  // Élisions à défaire devant un synonyme commençant par une consonne
+  // (« l' » est laissé tel quel : le genre du synonyme n'est pas connu)
+  const ELISIONS = { d: 'de', j: 'je', m: 'me', t: 'te', s: 'se', n: 'ne', c: 'ce', qu: 'que' };
+
+  function replaceOccurrence(range, synonym) {
+    const original = editor.getRange(range.from, range.to);
+    const { prefix, word } = splitOccurrence(original);
+    const form = word.toLowerCase().normalize('NFC');
+    const inflected = synonym.inflections[form] || synonym.lemma;
+    let replacementPrefix = prefix;
+    const elided = prefix.slice(0, -1).toLowerCase();
+    if (elided in ELISIONS && !/^[aeiouyhàâäéèêëîïôöùûü]/i.test(inflected)) {
+      const article = ELISIONS[elided];
+      replacementPrefix = (prefix[0] !== prefix[0].toLowerCase() ? article[0].toUpperCase() + article.slice(1) : article) + ' ';
+    }
+    const replacement = replacementPrefix + matchCase(inflected, prefix ? word : original);
+    editor.replaceRange(replacement, range.from, range.to, '+synonym');
+    const end = editor.posFromIndex(editor.indexFromPos(range.from) + replacement.length);
+    editor.setCursor(end);
+    logInfo(`Replaced "${original}" with "${replacement}"`);
+    renderSynonymSection();
+  }
+
+  // Section « Synonymes » de la sidebar, affichée au-dessus des lemmes
+  // lorsqu'un lemme est ciblé.  Chaque synonyme est présenté sous la
+  // forme fléchie qui remplacerait l'occurrence courante.
+  function renderSynonymSection() {
     if (!sidebarContent) return;
-    
+    const previous = ref('synonymSection');
+    if (previous) previous.remove();
+    if (focusedLemma === null) return;
+
+    const section = document.createElement('div');
+    section.dataset.ref = 'synonymSection';
+    section.className = 'synonym-section';
+    const target = targetOccurrence();
+    const ready = synonymSuggestions && synonymSuggestions.lemma === focusedLemma;
+    const synonyms = ready ? synonymSuggestions.synonyms : [];
+    const original = target ? editor.getRange(target.from, target.to) : '';
+    const form = splitOccurrence(original).word.toLowerCase().normalize('NFC');
+    let body;
+    if (!ready) {
+      body = '<p class="synonym-note">Recherche de synonymes…</p>';
+    } else if (synonyms.length === 0) {
+      body = '<p class="synonym-note">Aucun synonyme trouvé</p>';
+    } else {
+      body = `
+        <p class="synonym-note">${target ? `Remplacer « ${escapeHtml(original)} » (ligne ${target.from.line + 1}) par :` : 'Aucune occurrence à remplacer'}</p>
+        <div class="synonym-list">
+          ${synonyms.map((synonym, index) => `
+            <button type="button" class="synonym-item" data-index="${index}" title="${escapeHtml(synonym.lemma)}"${target ? '' : ' disabled'}>
+              ${escapeHtml(synonym.inflections[form] || synonym.lemma)}
+            </button>
+          `).join('')}
+        </div>
+      `;
+    }
+    section.innerHTML = `<h3 class="sidebar-section-title">Synonymes de « ${escapeHtml(focusedLemma)} »</h3>${body}`;
+    const anchor = ref('occurrenceNav') || ref('clearFocusBtn');
+    sidebarContent.insertBefore(section, anchor ? anchor.nextSibling : sidebarContent.firstChild);
+
+    section.querySelectorAll('.synonym-item').forEach((button) => {
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const range = targetOccurrence();
+        const synonym = synonyms[Number(button.dataset.index)];
+        if (range && synonym) replaceOccurrence(range, synonym);
+      });
+    });
+  }
+
+  // Fonction pour afficher les fréquences de lemmes dans la sidebar
+  // Lemmes d'une famille de mots et leurs occurrences, sous l'entrée de
+  // la famille dans la sidebar
+  function familyMembersHtml(members) {
+    return `
+      <div class="lemma-family-members">
+        ${members.map((member) => `<div class="lemma-family-member"><span>${escapeHtml(member.lemma)}</span><span class="lemma-frequency">${member.frequency}</span></div>`).join('')}
+      </div>
+    `;
+  }
+
+  function displayLemmaFrequencies(lemmaFrequencies) {
+    if (!sidebarContent) return;
+    
     if (!lemmaFrequencies || lemmaFrequencies.length === 0) {
       sidebarContent.innerHTML = '<p style="padding: 1rem; color: #6c757d; text-align: center;">Aucune répétition détectée</p>';
       return;
     }
     
-    const html = lemmaFrequencies.map(({ lemma, frequency, heat }) => {
-      const heatLevel = Math.min(heat || 1, 5);
+    const html = lemmaFrequencies.map(({ lemma, frequency, heat, pos, members }) => {
+      const heatLevel = clampHeat(heat);
       const focusedClass = focusedLemma === lemma ? ' focused' : '';
       const dimmedClass = focusedLemma !== null && focusedLemma !== lemma ? ' dimmed' : '';
+      const posBadge = pos ? `<span class="lemma-pos" title="${escapeHtml(pos)}">${escapeHtml(posLabel(pos))}</span>` : '';
+      // Famille de mots : le bouton affiche ou masque ses lemmes
+      const expanded = Boolean(members) && expandedFamilies.has(lemma);
+      const familyToggle = members
+        ? `<button class="lemma-family-toggle" aria-expanded="${expanded}" title="Lemmes de la famille">${expanded ? '▾' : '▸'} ${members.length}</button>`
+        : '';
+      const memberList = expanded ? familyMembersHtml(members) : '';
       return `
-        <div class="lemma-item heat-${heatLevel}${focusedClass}${dimmedClass}" data-lemma="${lemma}">
-          <span class="lemma-text">${lemma}</span>
+        <div class="lemma-item heat-${heatLevel}${focusedClass}${dimmedClass}" data-lemma="${escapeHtml(lemma)}">
+          <span class="lemma-text">${escapeHtml(lemma)}</span>
+          ${posBadge}
+          ${familyToggle}
           <span class="lemma-frequency">${frequency}</span>
+          <button class="lemma-ignore-button" title="Ignorer ce lemme" aria-label="Ignorer ce lemme">⊘</button>
         </div>
+        ${memberList}
       `;
     }).join('');
     
     sidebarContent.innerHTML = html;
+
+    sidebarContent.querySelectorAll('.lemma-family-toggle').forEach((button) => {
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const item = button.closest('.lemma-item');
+        const entry = lemmaFrequencies.find(({ lemma }) => lemma === item.dataset.lemma);
+        const expanded = !expandedFamilies.has(entry.lemma);
+        if (expanded) {
+          expandedFamilies.add(entry.lemma);
+          item.insertAdjacentHTML('afterend', familyMembersHtml(entry.members));
+        } else {
+          expandedFamilies.delete(entry.lemma);
+          const list = item.nextElementSibling;
+          if (list && list.classList.contains('lemma-family-members')) list.remove();
+        }
+        button.setAttribute('aria-expanded', String(expanded));
+        button.textContent = `${expanded ? '▾' : '▸'} ${entry.members.length}`;
+      });
+    });
     
+    // Action « ignorer ce lemme » : ajoute le lemme à la liste de
+    // l'utilisateur et relance l'analyse
+    sidebarContent.querySelectorAll('.lemma-ignore-button').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const lemma = button.closest('.lemma-item').dataset.lemma;
+        if (focusedLemma === lemma) clearFocus();
+        addIgnoredLemmas([lemma]);
+      });
+    });
+
     // Ajouter des écouteurs de clic pour naviguer vers les occurrences et mettre en focus
     sidebarContent.querySelectorAll('.lemma-item').forEach(item => {
       item.addEventListener('click', () => {
@@ -358,15 +1623,1125 @@ window.addEventListener('DOMContentLoaded', () => {
     updateSidebarItemStates();
   }
 
-  // Fonction d'analyse explicite
-  function performAnalysis() {
-    if (isAnalyzing) {
-      logWarn('Analysis already in progress, ignoring request');
+  // Ajoute à la sidebar la section des expressions répétées, juste après
+  // la liste des lemmes.  Un clic sélectionne l'occurrence suivante de
+  // l'expression (après le curseur, en revenant au début du texte).
+  function displayRepeatedPhrases() {
+    if (!sidebarContent) return;
+    const previous = ref('phraseSection');
+    if (previous) previous.remove();
+    if (repeatedPhrases.length === 0) return;
+
+    const section = document.createElement('div');
+    section.dataset.ref = 'phraseSection';
+    section.innerHTML = `
+      <h3 class="sidebar-section-title">Expressions répétées (${repeatedPhrases.length})</h3>
+      ${repeatedPhrases.map(({ text, count, phrase }, index) => `
+        <div class="proximity-item phrase-item" data-index="${index}" title="${escapeHtml(phrase)}">
+          <span class="lemma-text">${escapeHtml(text)}</span>
+          <span class="proximity-distance">${count} fois</span>
+        </div>
+      `).join('')}
+    `;
+    sidebarContent.insertBefore(section, ref('proximitySection'));
+
+    section.querySelectorAll('.phrase-item').forEach((item) => {
+      item.addEventListener('click', () => {
+        const entry = repeatedPhrases[Number(item.dataset.index)];
+        if (!entry) return;
+        const cursor = editor.indexFromPos(editor.getCursor('to'));
+        const next = entry.occurrences.find(({ start }) => start >= cursor) || entry.occurrences[0];
+        const from = editor.posFromIndex(next.start);
+        const to = editor.posFromIndex(next.end);
+        editor.setSelection(from, to);
+        editor.scrollIntoView({ from, to });
+        editor.focus();
+      });
+    });
+  }
+
+  // Ajoute à la sidebar la section des répétitions proches, de la paire
+  // la plus serrée à la plus éloignée.  Un clic sélectionne la paire
+  // dans l'éditeur.
+  function displayProximityPairs() {
+    if (!sidebarContent) return;
+    const previous = ref('proximitySection');
+    if (previous) previous.remove();
+    if (proximityPairs.length === 0) return;
+
+    const section = document.createElement('div');
+    section.dataset.ref = 'proximitySection';
+    section.innerHTML = `
+      <h3 class="sidebar-section-title">Répétitions proches (${proximityPairs.length})</h3>
+      ${proximityPairs.map(({ lemma, distance, score }, index) => `
+        <div class="proximity-item" data-index="${index}" title="Score de proximité : ${score}">
+          <span class="lemma-text">${escapeHtml(lemma)}</span>
+          <span class="proximity-distance">à ${distance} mot${distance > 1 ? 's' : ''}</span>
+        </div>
+      `).join('')}
+    `;
+    sidebarContent.appendChild(section);
+
+    section.querySelectorAll('.proximity-item').forEach((item) => {
+      item.addEventListener('click', () => {
+        const pair = proximityPairs[Number(item.dataset.index)];
+        if (!pair) return;
+        const from = editor.posFromIndex(pair.first.start);
+        const to = editor.posFromIndex(pair.second.end);
+        editor.setSelection(from, to);
+        editor.scrollIntoView({ from, to });
+        editor.focus();
+      });
+    });
+  }
+
+  // Calcule les paragraphes modifiés depuis le dernier envoi au worker
+  // et lui transmet uniquement ceux-ci.
+  function sendLivePatch() {
+    liveTimer = null;
+    if (!liveMode || !worker) return;
+    if (paragraphMirror === null) {
+      // Le cache du worker n'est pas encore initialisé
+      performAnalysis();
+      return;
+    }
+
+    const paragraphs = splitParagraphs(editor.getValue());
+    const oldCount = paragraphMirror.length;
+    const newCount = paragraphs.length;
+    let prefix = 0;
+    while (prefix < oldCount && prefix < newCount && paragraphMirror[prefix] === paragraphs[prefix]) {
+      prefix++;
+    }
+    let suffix = 0;
+    while (
+      suffix < oldCount - prefix &&
+      suffix < newCount - prefix &&
+      paragraphMirror[oldCount - 1 - suffix] === paragraphs[newCount - 1 - suffix]
+    ) {
+      suffix++;
+    }
+    const removeCount = oldCount - prefix - suffix;
+    const inserted = paragraphs.slice(prefix, newCount - suffix);
+    if (removeCount === 0 && inserted.length === 0) return;
+
+    // Plage (en index de caractères) couverte par les paragraphes modifiés
+    let start = 0;
+    for (let i = 0; i < prefix; i++) start += paragraphs[i].length;
+    const end = start + inserted.reduce((acc, p) => acc + p.length, 0);
+
+    paragraphMirror = paragraphs;
+    patchRevision++;
+    pendingPatches.set(patchRevision, { start, end, docRevision });
+    logDebug(`Sending live patch #${patchRevision}: ${removeCount} removed, ${inserted.length} inserted at ${prefix}`);
+    worker.postMessage({
+      type: 'patch',
+      revision: patchRevision,
+      index: prefix,
+      removeCount,
+      paragraphs: inserted
+    });
+  }
+
+  function scheduleLivePatch() {
+    if (liveTimer) clearTimeout(liveTimer);
+    liveTimer = setTimeout(sendLivePatch, LIVE_ANALYSIS_DELAY);
+  }
+
+  // Applique le résultat d'une analyse incrémentale : seules les marques
+  // situées dans les paragraphes modifiés ou appartenant à un lemme dont
+  // le niveau de chaleur a changé sont recréées.  Les autres marques ont
+  // suivi le texte grâce à CodeMirror et restent valables.
+  function applyLivePatch(data) {
+    const patch = pendingPatches.get(data.revision);
+    pendingPatches.delete(data.revision);
+    if (!patch || data.revision !== patchRevision || patch.docRevision !== docRevision) {
+      // Un patch plus récent est en cours ou le texte a changé depuis :
+      // la plage de ce patch ne sera pas couverte par le suivant.
+      logDebug(`Discarding stale live patch #${data.revision}`);
+      needsFullRender = true;
+      return;
+    }
+
+    const highlights = data.highlights || [];
+    const changedLemmas = new Set(data.changedLemmas || []);
+    // Le worker peut avoir re-tokenisé d'autres paragraphes que ceux
+    // envoyés (ouverture d'un bloc de code, par exemple)
+    if (typeof data.dirtyStart === 'number' && data.dirtyStart >= 0) {
+      patch.start = Math.min(patch.start, data.dirtyStart);
+      patch.end = Math.max(patch.end, data.dirtyEnd);
+    }
+    const isVisible = (lemma) => focusedLemma === null || lemma === focusedLemma;
+
+    if (needsFullRender) {
+      currentMarks.forEach((mark) => mark.clear());
+      currentMarks = [];
+      lemmaToMarksMap.clear();
+    } else {
+      const keptMarks = new Map();
+      lemmaToMarksMap.forEach((marks, lemma) => {
+        marks.forEach((mark) => {
+          const range = mark.find();
+          if (!range) return;
+          const from = editor.indexFromPos(range.from);
+          const to = editor.indexFromPos(range.to);
+          if (changedLemmas.has(lemma) || (from < patch.end && to > patch.start)) {
+            mark.clear();
+            return;
+          }
+          if (!keptMarks.has(lemma)) keptMarks.set(lemma, []);
+          keptMarks.get(lemma).push(mark);
+        });
+      });
+      lemmaToMarksMap = keptMarks;
+      currentMarks = [].concat(...keptMarks.values());
+    }
+
+    highlights.forEach((highlight) => {
+      if (!isVisible(highlight.lemma)) return;
+      const inPatch = highlight.start < patch.end && highlight.end > patch.start;
+      if (needsFullRender || inPatch || changedLemmas.has(highlight.lemma)) {
+        createHighlightMark(highlight);
+      }
+    });
+    needsFullRender = false;
+    scheduleMinimapRender();
+    schedulePreviewRender();
+    allHighlights = highlights.map(({ start, end, heat, lemma, pos }) => ({ start, end, heat, lemma: lemma || null, pos: pos || null }));
+
+    if (focusedLemma !== null && !(data.lemmaFrequencies || []).some((f) => f.lemma === focusedLemma)) {
+      // Le lemme ciblé n'est plus répété : revenir à l'affichage complet
+      clearFocus();
+    }
+    displayLemmaFrequencies(data.lemmaFrequencies || []);
+    applyPhraseResults(data);
+    applyProximityResults(data);
+
+    const stats = data.stats || {};
+    const wordCount = editor.getValue().split(/\s+/).filter(word => word.length > 0).length;
+    const repetitionsDisplay = (typeof stats.repeatedTokenCount === 'number')
+      ? stats.repeatedTokenCount
+      : highlights.length;
+    updateStats(wordCount, repetitionsDisplay);
+    displayLexiconStats(stats);
+    rememberResults(data, patch.docRevision);
+    emit('analysis-complete', { results: lastResults, live: true });
+    logDebug(`Live patch #${data.revision} applied in ${stats.duration || 'N/A'}ms`, stats);
+  }
+
+  function setLiveMode(enabled) {
+    liveMode = enabled;
+    logInfo(`Live analysis ${enabled ? 'enabled' : 'disabled'}`);
+    if (liveTimer) {
+      clearTimeout(liveTimer);
+      liveTimer = null;
+    }
+    if (enabled) {
+      // Une analyse complète initialise le cache de paragraphes du worker
+      performAnalysis();
+    }
+  }
+
+  // Lit les options Markdown (constructions à inclure dans l'analyse)
+  // depuis les cases à cocher du panneau d'options.
+  function getMarkdownOptions() {
+    const options = {};
+    root.querySelectorAll('[data-md-option]').forEach((input) => {
+      options[input.dataset.mdOption] = input.checked;
+    });
+    return options;
+  }
+
+  // Lit les options de la détection de proximité
+  function getProximityOptions() {
+    const enabledInput = ref('proximityEnabled');
+    const unitSelect = ref('proximityUnit');
+    const windowInput = ref('proximityWindow');
+    const windowSize = windowInput ? parseInt(windowInput.value, 10) : NaN;
+    return {
+      enabled: enabledInput ? enabledInput.checked : true,
+      unit: unitSelect ? unitSelect.value : 'words',
+      window: Number.isFinite(windowSize) && windowSize > 0 ? windowSize : 20
+    };
+  }
+
+  // Lit les options de la détection des expressions répétées
+  function getPhraseOptions() {
+    const enabledInput = ref('phrasesEnabled');
+    const maxLengthInput = ref('phraseMaxLength');
+    const minCountInput = ref('phraseMinCount');
+    const maxLength = maxLengthInput ? parseInt(maxLengthInput.value, 10) : NaN;
+    const minCount = minCountInput ? parseInt(minCountInput.value, 10) : NaN;
+    return {
+      enabled: enabledInput ? enabledInput.checked : true,
+      maxLength: Number.isFinite(maxLength) ? Math.min(5, Math.max(2, maxLength)) : 5,
+      minCount: Number.isFinite(minCount) && minCount >= 2 ? minCount : 2
+    };
+  }
+
+  // Lit les réglages de la heatmap depuis le panneau « Heatmap »
+  function readHeatmapSettings() {
+    const value = (id) => {
+      const input = ref(id);
+      return input ? input.value : '';
+    };
+    const number = (id, min, max, fallback) => {
+      const n = parseFloat(value(id));
+      return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+    };
+    const choice = (id, allowed, fallback) => (allowed.includes(value(id)) ? value(id) : fallback);
+    return {
+      topWords: Math.round(number('heatmapTopWords', 1, 200, DEFAULT_HEATMAP_SETTINGS.topWords)),
+      threshold: choice('heatmapThreshold', ['auto', 'count', 'density', 'rank'], DEFAULT_HEATMAP_SETTINGS.threshold),
+      minCount: Math.round(number('heatmapMinCount', 2, 1000, DEFAULT_HEATMAP_SETTINGS.minCount)),
+      perThousand: number('heatmapPerThousand', 0.1, 100, DEFAULT_HEATMAP_SETTINGS.perThousand),
+      levels: Math.round(number('heatmapLevels', 2, HEATMAP_MAX_LEVELS, DEFAULT_HEATMAP_SETTINGS.levels)),
+      mapping: choice('heatmapMapping', ['rank', 'quantile'], DEFAULT_HEATMAP_SETTINGS.mapping),
+      families: Boolean(ref('heatmapFamilies') && ref('heatmapFamilies').checked),
+      palette: choice('heatmapPalette', Object.keys(HEATMAP_PALETTES), DEFAULT_HEATMAP_SETTINGS.palette)
+    };
+  }
+
+  // Options de la heatmap transmises au worker (sans la palette ni le
+  // regroupement par familles)
+  function getHeatmapOptions() {
+    const { palette, families, ...options } = heatmapSettings;
+    return options;
+  }
+
+  // Options du regroupement par familles de mots
+  function getFamilyOptions() {
+    return { enabled: heatmapSettings.families };
+  }
+
+  // Reporte les réglages de la heatmap dans le panneau ; seul le champ
+  // du seuil choisi est actif
+  function renderHeatmapSettings() {
+    const levelsInput = ref('heatmapLevels');
+    if (levelsInput) levelsInput.max = HEATMAP_MAX_LEVELS;
+    Object.entries({
+      heatmapTopWords: heatmapSettings.topWords,
+      heatmapThreshold: heatmapSettings.threshold,
+      heatmapMinCount: heatmapSettings.minCount,
+      heatmapPerThousand: heatmapSettings.perThousand,
+      heatmapLevels: heatmapSettings.levels,
+      heatmapMapping: heatmapSettings.mapping,
+      heatmapPalette: heatmapSettings.palette
+    }).forEach(([id, value]) => {
+      const input = ref(id);
+      if (input) input.value = value;
+    });
+    const familiesInput = ref('heatmapFamilies');
+    if (familiesInput) familiesInput.checked = heatmapSettings.families;
+    const minCountInput = ref('heatmapMinCount');
+    const perThousandInput = ref('heatmapPerThousand');
+    if (minCountInput) minCountInput.disabled = heatmapSettings.threshold !== 'count';
+    if (perThousandInput) perThousandInput.disabled = heatmapSettings.threshold !== 'density';
+  }
+
+  // Applique les réglages du panneau : la palette est appliquée
+  // immédiatement, les autres réglages relancent l'analyse.
+  function updateHeatmapSettings() {
+    const previous = heatmapSettings;
+    heatmapSettings = readHeatmapSettings();
+    renderHeatmapSettings();
+    applyHeatmapStyle();
+    saveSetting(HEATMAP_SETTINGS_KEY, heatmapSettings);
+    logInfo('Heatmap settings changed', heatmapSettings);
+    const withoutPalette = ({ palette, ...settings }) => JSON.stringify(settings);
+    if (withoutPalette(previous) !== withoutPalette(heatmapSettings)) refreshAnalysis();
+  }
+
+  async function loadHeatmapSettings() {
+    const stored = await loadSetting(HEATMAP_SETTINGS_KEY);
+    if (stored && typeof stored === 'object') {
+      heatmapSettings = { ...DEFAULT_HEATMAP_SETTINGS, ...stored };
+      renderHeatmapSettings();
+      // Revalide les réglages enregistrés par une version précédente
+      heatmapSettings = readHeatmapSettings();
+      logInfo('Loaded heatmap settings from IndexedDB', heatmapSettings);
+    }
+    renderHeatmapSettings();
+    applyHeatmapStyle();
+  }
+
+  // Relance l'analyse complète si des résultats sont déjà affichés (après
+  // un changement d'option ou de liste de mots ignorés).
+  function refreshAnalysis() {
+    if (paragraphMirror !== null) performAnalysis();
+  }
+
+  // Affiche la liste des mots ignorés dans le panneau de paramètres
+  function renderIgnoreList() {
+    const listEl = ref('ignoreList');
+    const stopWordsInput = ref('useStopWords');
+    if (stopWordsInput) stopWordsInput.checked = ignoreSettings.useStopWords;
+    if (!listEl) return;
+    listEl.innerHTML = '';
+    if (ignoreSettings.lemmas.length === 0) {
+      listEl.innerHTML = '<span class="options-panel-note">Aucun mot ignoré</span>';
+      return;
+    }
+    ignoreSettings.lemmas.forEach((lemma) => {
+      const chip = document.createElement('span');
+      chip.className = 'ignore-chip';
+      chip.textContent = lemma;
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.textContent = '×';
+      removeBtn.title = 'Ne plus ignorer';
+      removeBtn.addEventListener('click', () => removeIgnoredLemma(lemma));
+      chip.appendChild(removeBtn);
+      listEl.appendChild(chip);
+    });
+  }
+
+  function updateIgnoreSettings(changes) {
+    ignoreSettings = { ...ignoreSettings, ...changes };
+    renderIgnoreList();
+    saveSetting(IGNORE_SETTINGS_KEY, ignoreSettings);
+    logInfo('Ignore list updated', ignoreSettings);
+    refreshAnalysis();
+  }
+
+  function addIgnoredLemmas(lemmas) {
+    const existing = new Set(ignoreSettings.lemmas);
+    const added = lemmas
+      .map((lemma) => lemma.trim().toLowerCase().normalize('NFC'))
+      .filter((lemma) => lemma && !existing.has(lemma) && existing.add(lemma));
+    if (added.length === 0) return;
+    updateIgnoreSettings({
+      lemmas: [...ignoreSettings.lemmas, ...added].sort((a, b) => a.localeCompare(b, currentLanguage()))
+    });
+  }
+
+  function removeIgnoredLemma(lemma) {
+    updateIgnoreSettings({ lemmas: ignoreSettings.lemmas.filter((l) => l !== lemma) });
+  }
+
+  // Format d'échange : un mot par ligne, les lignes vides et celles
+  // commençant par # sont ignorées.
+  function parseIgnoreFile(text) {
+    return text
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith('#'));
+  }
+
+  // Propose le téléchargement d'un contenu texte sous le nom donné
+  function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  function exportIgnoreList() {
+    const content = ['# Mots ignorés — un mot par ligne', ...ignoreSettings.lemmas].join('\n') + '\n';
+    downloadFile(content, 'mots-ignores.txt', 'text/plain;charset=utf-8');
+  }
+
+  async function loadIgnoreSettings() {
+    const stored = await loadSetting(IGNORE_SETTINGS_KEY);
+    if (stored && Array.isArray(stored.lemmas)) {
+      ignoreSettings = { useStopWords: stored.useStopWords !== false, lemmas: stored.lemmas };
+      logInfo(`Loaded ${stored.lemmas.length} ignored lemmas from IndexedDB`);
+    }
+    renderIgnoreList();
+  }
+
+  // Affiche le lexique personnel, regroupé par lemme
+  function renderUserLexicon() {
+    const listEl = ref('lexiconList');
+    if (!listEl) return;
+    listEl.innerHTML = '';
+    const groups = new Map();
+    userLexicon.forEach(([form, lemma, pos]) => {
+      const key = `${lemma}\u0000${pos || ''}`;
+      if (!groups.has(key)) groups.set(key, { lemma, pos, forms: [] });
+      groups.get(key).forms.push(form);
+    });
+    if (groups.size === 0) {
+      listEl.innerHTML = '<li class="options-panel-note">Lexique vide</li>';
+      return;
+    }
+    groups.forEach(({ lemma, pos, forms }) => {
+      const item = document.createElement('li');
+      const lemmaEl = document.createElement('strong');
+      lemmaEl.textContent = lemma;
+      item.appendChild(lemmaEl);
+      if (pos) {
+        const posEl = document.createElement('span');
+        posEl.className = 'lemma-pos';
+        posEl.title = pos;
+        posEl.textContent = posLabel(pos);
+        item.appendChild(posEl);
+      }
+      const formsEl = document.createElement('span');
+      formsEl.className = 'lexicon-forms';
+      formsEl.textContent = `← ${forms.join(', ')}`;
+      item.appendChild(formsEl);
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.textContent = '×';
+      removeBtn.title = 'Retirer du lexique';
+      removeBtn.addEventListener('click', () => removeLexiconLemma(lemma, pos));
+      item.appendChild(removeBtn);
+      listEl.appendChild(item);
+    });
+  }
+
+  // Provenance des lemmes lors de la dernière analyse ; le dictionnaire
+  // est nommé d'après le pack de la langue de cette analyse
+  // (stats.language ; à défaut, celle du document)
+  function displayLexiconStats(stats) {
+    const statsEl = ref('lexiconStats');
+    if (!statsEl || typeof stats.userLexiconTokenCount !== 'number') return;
+    const { dictionary } = core.getLanguagePack(stats.language || currentLanguage());
+    statsEl.textContent = `Dernière analyse : ${stats.userLexiconTokenCount} mots résolus par le lexique personnel, `
+      + `${stats.dictionaryTokenCount} par ${dictionary || 'le dictionnaire'}, ${stats.fallbackTokenCount} inconnus.`;
+  }
+
+  // État du cache du dictionnaire, envoyé par le worker (message
+  // { type: 'dictionary', state }) au démarrage, après chaque chargement
+  // et après une réinitialisation
+  const DICTIONARY_SOURCES = {
+    network: 'téléchargé',
+    cache: 'chargé depuis le cache (à jour)',
+    offline: 'chargé depuis le cache (hors ligne : version non vérifiée)',
+    stale: 'chargé depuis le cache (la nouvelle version n\'a pas pu être téléchargée)'
+  };
+
+  function formatSize(bytes) {
+    return bytes >= 1024 * 1024
+      ? `${(bytes / (1024 * 1024)).toLocaleString('fr-FR', { maximumFractionDigits: 1 })} Mo`
+      : `${Math.round(bytes / 1024)} Ko`;
+  }
+
+  function formatDate(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toLocaleString('fr-FR');
+  }
+
+  function displayDictionaryState(state, error) {
+    // État du dictionnaire d'une autre langue que celle du document
+    if (state && state.language && state.language !== currentLanguage()) return;
+    const statusEl = ref('dictionaryStatus');
+    const resetBtn = ref('resetDictionaryBtn');
+    if (resetBtn) resetBtn.disabled = false;
+    if (!statusEl) return;
+    if (error) {
+      statusEl.textContent = `Échec du chargement du dictionnaire : ${error}`;
+      return;
+    }
+    if (!state || state.source === 'none') {
+      statusEl.textContent = 'Aucun dictionnaire en cache : il sera téléchargé à la prochaine analyse.';
+      return;
+    }
+    const details = [
+      state.size ? formatSize(state.size) : null,
+      state.sha256 ? `empreinte ${state.sha256.slice(0, 8)}` : null
+    ].filter(Boolean).join(', ');
+    const built = state.timestamp && formatDate(state.timestamp);
+    const description = `Bundle ${languageName(state.language || currentLanguage())} ${state.version || '?'}`
+      + `${built ? ` du ${built}` : ''}${details ? ` (${details})` : ''}`;
+    const cachedAt = state.cachedAt && formatDate(state.cachedAt);
+    if (state.loaded === false) {
+      statusEl.textContent = `${description} en cache${cachedAt ? ` depuis le ${cachedAt}` : ''} ; `
+        + 'sa version sera vérifiée à la prochaine analyse.';
       return;
     }
+    statusEl.textContent = `${description} ${DICTIONARY_SOURCES[state.source] || ''}`
+      + `${cachedAt && state.source !== 'network' ? `, mis en cache le ${cachedAt}` : ''}.`;
+    if (state.source === 'stale') logError('Dictionary update failed, using cache', state.error);
+  }
 
+  // Vide le cache du dictionnaire ; le worker le télécharge à nouveau
+  function resetDictionaryCache() {
+    if (!worker) return;
+    const statusEl = ref('dictionaryStatus');
+    const resetBtn = ref('resetDictionaryBtn');
+    if (resetBtn) resetBtn.disabled = true;
+    if (statusEl) statusEl.textContent = 'Réinitialisation du cache…';
+    logInfo('Resetting dictionary cache');
+    worker.postMessage({ type: 'reset-dictionary', language: currentLanguage() });
+  }
+
+  function updateUserLexicon(entries) {
+    userLexicon = entries;
+    renderUserLexicon();
+    saveSetting(USER_LEXICON_KEY, { entries: userLexicon });
+    logInfo(`User lexicon updated (${userLexicon.length} forms)`);
+    refreshAnalysis();
+  }
+
+  // Ajoute (ou redéfinit) les formes données pour un lemme
+  function addLexiconEntries(forms, lemma, pos) {
+    const normalizedLemma = lemma.trim().toLowerCase().normalize('NFC');
+    const normalizedForms = forms
+      .map((form) => form.trim().toLowerCase().normalize('NFC'))
+      .filter(Boolean);
+    if (!normalizedLemma || normalizedForms.length === 0) return;
+    if (!normalizedForms.includes(normalizedLemma)) normalizedForms.unshift(normalizedLemma);
+    const formSet = new Set(normalizedForms);
+    const kept = userLexicon.filter(([form, l, p]) => !(formSet.has(form) && l === normalizedLemma && p === (pos || null)));
+    updateUserLexicon([...kept, ...normalizedForms.map((form) => [form, normalizedLemma, pos || null])]);
+  }
+
+  function removeLexiconLemma(lemma, pos) {
+    updateUserLexicon(userLexicon.filter(([, l, p]) => !(l === lemma && p === (pos || null))));
+  }
+
+  async function loadUserLexicon() {
+    const stored = await loadSetting(USER_LEXICON_KEY);
+    if (stored && Array.isArray(stored.entries)) {
+      userLexicon = stored.entries;
+      logInfo(`Loaded ${userLexicon.length} user lexicon forms from IndexedDB`);
+    }
+    renderUserLexicon();
+  }
+
+  // Remplace toutes les marques par les résultats d'une analyse complète
+  // (reçue du worker ou restaurée avec un document)
+  function renderAnalysisResults(data) {
+    const highlights = data.highlights || [];
+    const lemmaFrequencies = data.lemmaFrequencies || [];
+    const statsFromWorker = data.stats || {};
+
+    // Effacer les marques existantes et réinitialiser le focus
+    logDebug(`Clearing ${currentMarks.length} existing marks`);
+    currentMarks.forEach((mark) => mark.clear());
+    currentMarks = [];
+    lemmaToMarksMap.clear();
+    allHighlights = [];
+    focusedLemma = null;
+    synonymSuggestions = null;
+    // Les marques de proximité et d'expressions sont redessinées par
+    // applyProximityResults() et applyPhraseResults()
+
+    // Le worker envoie maintenant le lemme avec chaque highlight
+    const editorText = editor.getValue();
+
+    // Appliquer les nouvelles surbrillances avec niveaux de chaleur et lemmes
+    logDebug(`Applying ${highlights.length} new highlights`);
+    highlights.forEach(({ start, end, heat, lemma, pos }) => {
+      // Stocker avec le lemme et la catégorie (qui viennent directement du worker)
+      const highlight = { start, end, heat, lemma: lemma || null, pos: pos || null };
+      createHighlightMark(highlight);
+      allHighlights.push(highlight);
+    });
+    scheduleMinimapRender();
+    schedulePreviewRender();
+
+    // Afficher les fréquences de lemmes dans la sidebar
+    displayLemmaFrequencies(lemmaFrequencies);
+    applyPhraseResults(data);
+    applyProximityResults(data);
+
+    // Mettre à jour l'interface
+    const wordCount = editorText.split(/\s+/).filter(word => word.length > 0).length;
+    const repetitionsDisplay = (typeof statsFromWorker.repeatedTokenCount === 'number')
+      ? statsFromWorker.repeatedTokenCount
+      : highlights.length;
+    updateStats(wordCount, repetitionsDisplay);
+    displayLexiconStats(statsFromWorker);
+
+    const duration = statsFromWorker.duration || 'N/A';
+    logInfo(`Analysis completed: ${wordCount} words, ${repetitionsDisplay} repeated tokens (highlighted: ${highlights.length}) in ${duration}ms`, statsFromWorker);
+  }
+
+  function rememberResults(data, revision) {
+    lastResults = {
+      highlights: data.highlights || [],
+      lemmaFrequencies: data.lemmaFrequencies || [],
+      proximityHighlights: data.proximityHighlights || [],
+      proximityPairs: data.proximityPairs || [],
+      phraseHighlights: data.phraseHighlights || [],
+      repeatedPhrases: data.repeatedPhrases || [],
+      stats: data.stats || {}
+    };
+    resultsDocRevision = revision;
+    scheduleAutosave();
+  }
+
+  // Efface les marques et la sidebar (document jamais analysé)
+  function resetAnalysisView() {
+    currentMarks.forEach((mark) => mark.clear());
+    currentMarks = [];
+    lemmaToMarksMap.clear();
+    allHighlights = [];
+    focusedLemma = null;
+    synonymSuggestions = null;
+    scheduleMinimapRender();
+    schedulePreviewRender();
+    applyPhraseResults({});
+    applyProximityResults({});
+    if (sidebarContent) {
+      sidebarContent.innerHTML = '<p style="padding: 1rem; color: #6c757d; text-align: center;">Analysez le texte pour voir les répétitions</p>';
+    }
+    const wordCount = editor.getValue().split(/\s+/).filter(word => word.length > 0).length;
+    updateStats(wordCount, 0);
+  }
+
+  // Langue du document courant (code d'un pack de langue)
+  function currentLanguage() {
+    return (currentDocument && currentDocument.language) || DEFAULT_LANGUAGE;
+  }
+
+  // Nom d'une langue d'après le sélecteur de la barre d'outils
+  function languageName(code) {
+    const option = root.querySelector(`[data-ref="languageSelect"] option[value="${code}"]`);
+    return option ? option.textContent : code;
+  }
+
+  // Reporte la langue du document courant dans le sélecteur et sur
+  // l'éditeur (attribut lang, utilisé par la correction orthographique
+  // et les lecteurs d'écran), puis affiche l'état de son dictionnaire
+  function applyDocumentLanguage() {
+    const language = currentLanguage();
+    const languageSelect = ref('languageSelect');
+    if (languageSelect) languageSelect.value = language;
+    editor.getWrapperElement().setAttribute('lang', language);
+    if (worker) worker.postMessage({ type: 'dictionary-status', language });
+  }
+
+  // Change la langue du document courant ; les résultats affichés, qui
+  // décrivent l'ancienne langue, sont recalculés
+  async function changeDocumentLanguage(language) {
+    if (!currentDocument || language === currentLanguage()) return;
+    currentDocument = { ...currentDocument, language };
+    applyDocumentLanguage();
+    logInfo(`Document language set to ${language}`);
+    if (documentsEnabled) {
+      try {
+        await storeRequest(DOCUMENTS_STORE_NAME, 'readwrite', (store) => store.put(currentDocument));
+      } catch (err) {
+        logError('Impossible d\'enregistrer la langue du document', err);
+      }
+    }
+    // Le cache de paragraphes du worker décrit l'ancienne langue
+    paragraphMirror = null;
+    pendingPatches.clear();
+    if (lastResults) performAnalysis();
+  }
+
+  function setDocumentStatus(status) {
+    const statusEl = ref('documentStatus');
+    if (statusEl) statusEl.textContent = status;
+  }
+
+  function createDocumentId() {
+    return `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  // Nom de fichier proposé pour un document (extension .md ajoutée si besoin)
+  function documentFileName(name) {
+    const safeName = (name || 'document').replace(/[\\/:*?"<>|]/g, '-').trim() || 'document';
+    return /\.(md|markdown|txt)$/i.test(safeName) ? safeName : `${safeName}.md`;
+  }
+
+  async function refreshDocumentList() {
+    try {
+      const docs = await storeRequest(DOCUMENTS_STORE_NAME, 'readonly', (store) => store.getAll());
+      documentList = docs
+        .map(({ id, name, updatedAt }) => ({ id, name, updatedAt }))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+    } catch (err) {
+      logWarn('Failed to list documents from IndexedDB', err);
+    }
+    const select = ref('documentSelect');
+    if (!select) return;
+    select.innerHTML = '';
+    documentList.forEach(({ id, name }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = name;
+      option.selected = currentDocument !== null && id === currentDocument.id;
+      select.appendChild(option);
+    });
+  }
+
+  // Enregistre le document courant si son texte ou son analyse ont changé
+  async function saveCurrentDocument() {
+    if (autosaveTimer) {
+      clearTimeout(autosaveTimer);
+      autosaveTimer = null;
+    }
+    if (!currentDocument || !documentsEnabled) return;
+    const text = editor.getValue();
+    const analysis = resultsDocRevision === docRevision ? lastResults : null;
+    if (text === currentDocument.text && analysis === currentDocument.analysis) return;
+    currentDocument = { ...currentDocument, text, analysis, updatedAt: Date.now() };
+    try {
+      await storeRequest(DOCUMENTS_STORE_NAME, 'readwrite', (store) => store.put(currentDocument));
+      setDocumentStatus(`Enregistré à ${new Date(currentDocument.updatedAt).toLocaleTimeString()}`);
+      logDebug(`Document "${currentDocument.name}" saved`);
+      if (documentList.length === 0 || documentList[0].id !== currentDocument.id) refreshDocumentList();
+    } catch (err) {
+      logError('Échec de l\'enregistrement du document', err);
+    }
+  }
+
+  function scheduleAutosave() {
+    if (!documentsEnabled) return;
+    if (autosaveTimer) clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(saveCurrentDocument, AUTOSAVE_DELAY);
+  }
+
+  // Affiche un document dans l'éditeur avec les résultats de sa dernière
+  // analyse (s'ils ont été enregistrés avec lui)
+  function showDocument(doc) {
+    cancelAnalysis();
+    currentDocument = doc;
+    // Le cache de paragraphes du worker décrit l'ancien texte
+    paragraphMirror = null;
+    pendingPatches.clear();
+    if (liveTimer) {
+      clearTimeout(liveTimer);
+      liveTimer = null;
+    }
+    editor.setValue(doc.text || '');
+    editor.clearHistory();
+    applyDocumentLanguage();
+    if (doc.analysis) {
+      renderAnalysisResults(doc.analysis);
+      lastResults = doc.analysis;
+      resultsDocRevision = docRevision;
+    } else {
+      resetAnalysisView();
+      lastResults = null;
+    }
+    if (documentsEnabled) saveSetting(CURRENT_DOCUMENT_KEY, doc.id);
+    setDocumentStatus(doc.updatedAt ? `Enregistré à ${new Date(doc.updatedAt).toLocaleTimeString()}` : '');
+    logInfo(`Document "${doc.name}" opened`);
+  }
+
+  async function openDocument(id) {
+    await saveCurrentDocument();
+    try {
+      const doc = await storeRequest(DOCUMENTS_STORE_NAME, 'readonly', (store) => store.get(id));
+      if (!doc) throw new Error(`Document ${id} introuvable`);
+      showDocument(doc);
+    } catch (err) {
+      logError('Impossible d\'ouvrir le document', err);
+    }
+    await refreshDocumentList();
+  }
+
+  // Un nouveau document reprend la langue du document courant
+  async function createDocument(name, text = '') {
+    await saveCurrentDocument();
+    const doc = { id: createDocumentId(), name, language: currentLanguage(), text, updatedAt: Date.now(), analysis: null };
+    try {
+      await storeRequest(DOCUMENTS_STORE_NAME, 'readwrite', (store) => store.put(doc));
+    } catch (err) {
+      logWarn('Failed to store new document', err);
+    }
+    showDocument(doc);
+    await refreshDocumentList();
+    return doc;
+  }
+
+  function nextUntitledName() {
+    const names = new Set(documentList.map(({ name }) => name));
+    let index = 1;
+    while (names.has(index === 1 ? 'Sans titre' : `Sans titre ${index}`)) index++;
+    return index === 1 ? 'Sans titre' : `Sans titre ${index}`;
+  }
+
+  async function renameCurrentDocument() {
+    if (!currentDocument) return;
+    const name = window.prompt('Nom du document :', currentDocument.name);
+    if (!name || !name.trim() || name.trim() === currentDocument.name) return;
+    currentDocument = { ...currentDocument, name: name.trim() };
+    try {
+      await storeRequest(DOCUMENTS_STORE_NAME, 'readwrite', (store) => store.put(currentDocument));
+    } catch (err) {
+      logError('Impossible de renommer le document', err);
+    }
+    await refreshDocumentList();
+  }
+
+  async function deleteCurrentDocument() {
+    if (!currentDocument) return;
+    if (!window.confirm(`Supprimer le document « ${currentDocument.name} » ?`)) return;
+    const { id } = currentDocument;
+    if (autosaveTimer) {
+      clearTimeout(autosaveTimer);
+      autosaveTimer = null;
+    }
+    currentDocument = null;
+    fileHandles.delete(id);
+    try {
+      await storeRequest(DOCUMENTS_STORE_NAME, 'readwrite', (store) => store.delete(id));
+    } catch (err) {
+      logError('Impossible de supprimer le document', err);
+    }
+    await refreshDocumentList();
+    if (documentList.length > 0) {
+      await openDocument(documentList[0].id);
+    } else {
+      await createDocument(nextUntitledName());
+    }
+  }
+
+  // Ouvre un fichier Markdown dans un nouveau document (File System
+  // Access API si disponible, sinon sélecteur de fichier classique)
+  async function openFile() {
+    if (typeof window.showOpenFilePicker !== 'function') {
+      const input = ref('documentFileInput');
+      if (input) input.click();
+      return;
+    }
+    try {
+      const [handle] = await window.showOpenFilePicker({
+        types: [{ description: 'Markdown', accept: { 'text/markdown': ['.md', '.markdown', '.txt'] } }]
+      });
+      const file = await handle.getFile();
+      const doc = await createDocument(file.name, await file.text());
+      fileHandles.set(doc.id, handle);
+    } catch (err) {
+      if (err.name !== 'AbortError') logError('Impossible d\'ouvrir le fichier', err);
+    }
+  }
+
+  // Enregistre le document courant dans un fichier .md (réécrit le fichier
+  // d'origine si son accès a été accordé, sinon téléchargement)
+  async function saveFile() {
+    if (!currentDocument) return;
+    const text = editor.getValue();
+    const fileName = documentFileName(currentDocument.name);
+    if (typeof window.showSaveFilePicker === 'function') {
+      try {
+        const handle = fileHandles.get(currentDocument.id) || await window.showSaveFilePicker({
+          suggestedName: fileName,
+          types: [{ description: 'Markdown', accept: { 'text/markdown': ['.md'] } }]
+        });
+        const writable = await handle.createWritable();
+        await writable.write(text);
+        await writable.close();
+        fileHandles.set(currentDocument.id, handle);
+        setDocumentStatus(`Fichier ${handle.name} enregistré`);
+        logInfo(`Document saved to ${handle.name}`);
+      } catch (err) {
+        if (err.name !== 'AbortError') logError('Impossible d\'enregistrer le fichier', err);
+      }
+      return;
+    }
+    downloadFile(text, fileName, 'text/markdown;charset=utf-8');
+  }
+
+  // Rouvre le dernier document (ou crée le premier) au chargement.
+  // L'éditeur reste en lecture seule jusque-là pour que rien de ce qui
+  // serait saisi entre-temps ne soit écrasé.  Sans l'option documents,
+  // le document est celui des options value, name et language.
+  async function initDocuments() {
+    if (!documentsEnabled) {
+      showDocument({
+        id: createDocumentId(),
+        name: options.name || 'Document',
+        language: options.language || DEFAULT_LANGUAGE,
+        text: options.value || '',
+        updatedAt: null,
+        analysis: null
+      });
+      return;
+    }
+    editor.setOption('readOnly', true);
+    try {
+      await refreshDocumentList();
+      const currentId = await loadSetting(CURRENT_DOCUMENT_KEY);
+      const known = documentList.find(({ id }) => id === currentId) || documentList[0];
+      if (known) {
+        await openDocument(known.id);
+      } else {
+        await createDocument(nextUntitledName(), editor.getValue());
+      }
+    } finally {
+      editor.setOption('readOnly', false);
+    }
+  }
+
+  // Rapports exportables.  Ils décrivent les derniers résultats du
+  // worker, qui doivent correspondre au texte actuel de l'éditeur ;
+  // les positions sont données en ligne et colonne (à partir de 1).
+  function linePosition(index) {
+    const pos = editor.posFromIndex(index);
+    return { line: pos.line + 1, column: pos.ch + 1 };
+  }
+
+  function buildJsonReport(results) {
+    const text = editor.getValue();
+    const withPosition = (range) => ({ ...range, ...linePosition(range.start), text: text.slice(range.start, range.end) });
+    return JSON.stringify({
+      document: currentDocument ? currentDocument.name : null,
+      generatedAt: new Date().toISOString(),
+      options: {
+        language: currentLanguage(),
+        markdown: getMarkdownOptions(),
+        proximity: getProximityOptions(),
+        phrases: getPhraseOptions(),
+        heatmap: getHeatmapOptions(),
+        families: getFamilyOptions(),
+        ignore: ignoreSettings
+      },
+      stats: results.stats,
+      lemmaFrequencies: results.lemmaFrequencies,
+      highlights: results.highlights.map(withPosition),
+      proximityPairs: results.proximityPairs.map((pair) => ({
+        ...pair,
+        first: withPosition(pair.first),
+        second: withPosition(pair.second)
+      })),
+      repeatedPhrases: (results.repeatedPhrases || []).map((entry) => ({
+        ...entry,
+        occurrences: entry.occurrences.map(withPosition)
+      }))
+    }, null, 2);
+  }
+
+  function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Une ligne par lemme : fréquence, niveau de chaleur et positions
+  // « ligne:colonne » de ses occurrences surlignées
+  function buildCsvReport(results) {
+    const positions = new Map();
+    results.highlights.forEach(({ start, lemma }) => {
+      if (!positions.has(lemma)) positions.set(lemma, []);
+      const { line, column } = linePosition(start);
+      positions.get(lemma).push(`${line}:${column}`);
+    });
+    const rows = [['lemme', 'categorie', 'frequence', 'chaleur', 'positions']];
+    results.lemmaFrequencies.forEach(({ lemma, pos, frequency, heat }) => {
+      rows.push([lemma, pos, frequency, heat, (positions.get(lemma) || []).join(' ')]);
+    });
+    // BOM pour que les tableurs reconnaissent l'UTF-8
+    return '\ufeff' + rows.map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // Page HTML autonome : statistiques, liste des lemmes et texte avec
+  // les surbrillances de la heatmap et des répétitions proches
+  function buildHtmlReport(results) {
+    const text = editor.getValue();
+    const title = currentDocument ? currentDocument.name : 'Document';
+    const proximityStarts = new Set(results.proximityHighlights.map(({ start }) => start));
+    const ranges = new Map();
+    results.highlights.forEach((h) => ranges.set(h.start, { ...h, proximity: proximityStarts.has(h.start) }));
+    results.proximityHighlights.forEach((h) => {
+      if (!ranges.has(h.start)) ranges.set(h.start, { ...h, heat: 0, proximity: true });
+    });
+    let body = '';
+    let last = 0;
+    [...ranges.values()].sort((a, b) => a.start - b.start).forEach(({ start, end, heat, lemma, pos, proximity }) => {
+      if (start < last) return;
+      const classes = [heat > 0 ? `heat-${clampHeat(heat)}` : '', proximity ? 'proximity' : ''].filter(Boolean).join(' ');
+      const label = pos ? `${lemma} (${posLabel(pos)})` : lemma;
+      body += escapeHtml(text.slice(last, start));
+      body += `<mark class="${classes}" title="${escapeHtml(label)}">${escapeHtml(text.slice(start, end))}</mark>`;
+      last = end;
+    });
+    body += escapeHtml(text.slice(last));
+    const stats = results.stats || {};
+    const statRows = [
+      ['Mots analysés', stats.scannedWords],
+      ['Mots ignorés', stats.ignoredWords],
+      ['Lemmes distincts', stats.distinctLemmaCount],
+      ['Lemmes répétés', stats.repeatedLemmaCount],
+      ['Occurrences répétées', stats.repeatedTokenCount],
+      ['Occurrences surlignées', stats.highlightedTokenCount],
+      ['Seuil de base', stats.baseThreshold],
+      ['Répétitions proches', stats.proximityPairCount],
+      ['Expressions répétées', stats.phraseCount]
+    ].filter(([, value]) => value !== undefined && value !== null);
+    const phraseRows = (results.repeatedPhrases || []).map(({ text: phraseText, count, occurrences }) => {
+      const positions = occurrences.map(({ start }) => {
+        const { line, column } = linePosition(start);
+        return `${line}:${column}`;
+      }).join(' ');
+      return `<tr><td>${escapeHtml(phraseText)}</td><td>${count}</td><td>${positions}</td></tr>`;
+    });
+    const heatStyles = Array.from({ length: heatmapSettings.levels }, (_, i) => `mark.heat-${i + 1} { background: ${heatColor(i + 1)}; }`)
+      .join('\n    ');
+    return `<!DOCTYPE html>
+<html lang="${currentLanguage()}">
+<head>
+  <meta charset="UTF-8" />
+  <title>Rapport de répétitions — ${escapeHtml(title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 60rem; color: #212529; }
+    table { border-collapse: collapse; margin-bottom: 1.5rem; }
+    th, td { border: 1px solid #dee2e6; padding: 0.25rem 0.6rem; text-align: left; }
+    .text { white-space: pre-wrap; font-family: ui-monospace, monospace; line-height: 1.6; border: 1px solid #dee2e6; padding: 1rem; }
+    mark { background: none; border-radius: 2px; }
+    ${heatStyles}
+    mark.proximity { text-decoration: underline wavy #6f42c1; text-underline-offset: 3px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p>Rapport généré le ${escapeHtml(new Date().toLocaleString())}</p>
+  <h2>Statistiques</h2>
+  <table>
+    ${statRows.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('\n    ')}
+  </table>
+  <h2>Lemmes les plus répétés</h2>
+  <table>
+    <tr><th>Lemme</th><th>Catégorie</th><th>Fréquence</th><th>Chaleur</th></tr>
+    ${results.lemmaFrequencies.map(({ lemma, pos, frequency, heat, members }) => `<tr><td><mark class="heat-${clampHeat(heat)}">${escapeHtml(lemma)}</mark>${members ? ` <small>(${members.map((member) => `${escapeHtml(member.lemma)} ${member.frequency}`).join(', ')})</small>` : ''}</td><td>${escapeHtml(posLabel(pos))}</td><td>${frequency}</td><td>${heat}</td></tr>`).join('\n    ')}
+  </table>
+  <h2>Expressions répétées</h2>
+  <table>
+    <tr><th>Expression</th><th>Occurrences</th><th>Positions</th></tr>
+    ${phraseRows.join('\n    ')}
+  </table>
+  <h2>Texte</h2>
+  <div class="text">${body}</div>
+</body>
+</html>
+`;
+  }
+
+  function exportReport(format) {
+    if (!lastResults || resultsDocRevision !== docRevision) {
+      logError('Le texte a changé depuis la dernière analyse : relancez l\'analyse avant d\'exporter le rapport');
+      return;
+    }
+    const baseName = documentFileName(currentDocument ? currentDocument.name : 'document').replace(/\.(md|markdown|txt)$/i, '');
+    const builders = {
+      json: [buildJsonReport, 'application/json;charset=utf-8'],
+      csv: [buildCsvReport, 'text/csv;charset=utf-8'],
+      html: [buildHtmlReport, 'text/html;charset=utf-8']
+    };
+    const [build, type] = builders[format];
+    downloadFile(build(lastResults), `${baseName}-repetitions.${format}`, type);
+    logInfo(`Exported ${format.toUpperCase()} report`);
+  }
+
+  // Appels à analyze() en attente : ils reçoivent les résultats de la
+  // prochaine analyse complète (null si elle est annulée ou si le texte
+  // est vide)
+  let analysisWaiters = [];
+
+  function settleAnalysis(results, error = null) {
+    const waiters = analysisWaiters;
+    analysisWaiters = [];
+    waiters.forEach(({ resolve, reject }) => (error ? reject(error) : resolve(results)));
+  }
+
+  // Fonction d'analyse explicite.  Une analyse déjà en cours est
+  // remplacée par la nouvelle.
+  function performAnalysis() {
     if (!worker) {
       logError('Cannot analyze: Web Worker not available');
+      settleAnalysis(null, new Error('Web Worker indisponible'));
       return;
     }
 
@@ -374,150 +2749,367 @@ window.addEventListener('DOMContentLoaded', () => {
       const text = editor.getValue();
       logInfo(`Starting analysis of text with ${text.length} characters`);
 
-      // Validation de la taille
-      const { charCount, wordCount } = validateTextSize(text);
+      const { charCount, wordCount } = measureText(text);
 
       if (charCount === 0) {
         logWarn('Empty text, skipping analysis');
+        cancelAnalysis();
         updateStats(0, 0);
+        settleAnalysis(null);
         return;
       }
 
+      if (isAnalyzing) logInfo(`Superseding analysis #${analysisJob}`);
+      analysisJob++;
+
       // Mise à jour de l'interface
-      isAnalyzing = true;
-      setButtonEnabled(false);
+      setAnalyzing(true);
       clearError();
       updateProgress(5, 'Début de l\'analyse...');
       updateStats(wordCount, 0);
 
       // Envoyer le texte au worker (le worker gère maintenant la progression)
+      // et mémoriser le découpage en paragraphes qui servira de base aux
+      // patchs de l'analyse en direct.
       logDebug('Sending text to Web Worker for analysis');
-      worker.postMessage({ text });
+      paragraphMirror = splitParagraphs(text);
+      analysisDocRevision = docRevision;
+      analysisDocumentId = currentDocument ? currentDocument.id : null;
+      worker.postMessage({
+        type: 'analyze',
+        job: analysisJob,
+        text,
+        options: {
+          language: currentLanguage(),
+          markdown: getMarkdownOptions(),
+          proximity: getProximityOptions(),
+          phrases: getPhraseOptions(),
+          heatmap: getHeatmapOptions(),
+          families: getFamilyOptions(),
+          ignore: ignoreSettings,
+          lexicon: userLexicon
+        }
+      });
 
     } catch (error) {
       logError('Analysis failed', error);
-      isAnalyzing = false;
-      setButtonEnabled(true);
+      setAnalyzing(false);
       updateProgress(0, 'Erreur');
+      settleAnalysis(null, error);
     }
   }
 
+  // Interrompt l'analyse complète en cours.  Le worker abandonne alors
+  // son cache de paragraphes : l'analyse en direct repartira d'une
+  // analyse complète.
+  function cancelAnalysis() {
+    if (!isAnalyzing || !worker) return;
+    logInfo(`Cancelling analysis #${analysisJob}`);
+    worker.postMessage({ type: 'cancel', job: analysisJob });
+    setAnalyzing(false);
+    paragraphMirror = null;
+    pendingPatches.clear();
+    updateProgress(0, 'Analyse annulée');
+    settleAnalysis(null);
+  }
+
   // Gestionnaire du bouton d'analyse
-  const analyzeBtn = document.getElementById('analyzeBtn');
+  const analyzeBtn = ref('analyzeBtn');
   if (analyzeBtn) {
     analyzeBtn.addEventListener('click', performAnalysis);
     logInfo('Analyze button event listener attached');
   } else {
     logError('Analyze button not found');
   }
+  const cancelAnalysisBtn = ref('cancelAnalysisBtn');
+  if (cancelAnalysisBtn) cancelAnalysisBtn.addEventListener('click', cancelAnalysis);
+
+  // Analyse en direct : chaque modification déclenche (après un court
+  // délai d'inactivité) l'envoi des paragraphes modifiés au worker.
+  const liveModeToggle = ref('liveModeToggle');
+  if (liveModeToggle) {
+    liveModeToggle.addEventListener('change', () => setLiveMode(liveModeToggle.checked));
+    logInfo('Live mode toggle configured');
+  }
+
+  // Un changement d'option Markdown relance l'analyse si des résultats
+  // sont déjà affichés.
+  root.querySelectorAll('[data-md-option]').forEach((input) => {
+    input.addEventListener('change', () => {
+      logInfo('Markdown options changed', getMarkdownOptions());
+      refreshAnalysis();
+    });
+  });
+
+  // Idem pour les options de proximité ; le nombre de mots n'a de sens
+  // que pour une fenêtre exprimée en mots.
+  const proximityUnitSelect = ref('proximityUnit');
+  const proximityWindowInput = ref('proximityWindow');
+  function updateProximityWindowState() {
+    if (proximityUnitSelect && proximityWindowInput) {
+      proximityWindowInput.disabled = proximityUnitSelect.value !== 'words';
+    }
+  }
+  ['proximityEnabled', 'proximityUnit', 'proximityWindow'].forEach((id) => {
+    const input = ref(id);
+    if (!input) return;
+    input.addEventListener('change', () => {
+      updateProximityWindowState();
+      logInfo('Proximity options changed', getProximityOptions());
+      refreshAnalysis();
+    });
+  });
+  updateProximityWindowState();
+
+  ['phrasesEnabled', 'phraseMaxLength', 'phraseMinCount'].forEach((id) => {
+    const input = ref(id);
+    if (!input) return;
+    input.addEventListener('change', () => {
+      logInfo('Phrase options changed', getPhraseOptions());
+      refreshAnalysis();
+    });
+  });
+
+  // Panneau de la heatmap
+  ['heatmapFamilies', 'heatmapTopWords', 'heatmapThreshold', 'heatmapMinCount', 'heatmapPerThousand', 'heatmapLevels', 'heatmapMapping', 'heatmapPalette'].forEach((id) => {
+    const input = ref(id);
+    if (input) input.addEventListener('change', updateHeatmapSettings);
+  });
+  renderHeatmapSettings();
+  applyHeatmapStyle();
+  const heatmapSettingsLoaded = loadHeatmapSettings();
 
-  // Configuration du worker pour recevoir les résultats
-  if (worker) {
+  // Panneau des mots ignorés
+  const ignoreForm = ref('ignoreForm');
+  const ignoreInput = ref('ignoreInput');
+  if (ignoreForm && ignoreInput) {
+    ignoreForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      addIgnoredLemmas(ignoreInput.value.split(/[,;\n]/));
+      ignoreInput.value = '';
+    });
+  }
+  const useStopWordsInput = ref('useStopWords');
+  if (useStopWordsInput) {
+    useStopWordsInput.addEventListener('change', () => {
+      updateIgnoreSettings({ useStopWords: useStopWordsInput.checked });
+    });
+  }
+  const ignoreExportBtn = ref('ignoreExportBtn');
+  if (ignoreExportBtn) ignoreExportBtn.addEventListener('click', exportIgnoreList);
+  const ignoreImportBtn = ref('ignoreImportBtn');
+  const ignoreFileInput = ref('ignoreFileInput');
+  if (ignoreImportBtn && ignoreFileInput) {
+    ignoreImportBtn.addEventListener('click', () => ignoreFileInput.click());
+    ignoreFileInput.addEventListener('change', async () => {
+      const file = ignoreFileInput.files && ignoreFileInput.files[0];
+      if (!file) return;
+      try {
+        addIgnoredLemmas(parseIgnoreFile(await file.text()));
+        logInfo(`Imported ignore list from ${file.name}`);
+      } catch (err) {
+        logError('Failed to import ignore list', err);
+      } finally {
+        ignoreFileInput.value = '';
+      }
+    });
+  }
+  const ignoreSettingsLoaded = loadIgnoreSettings();
+
+  // Panneau du lexique personnel
+  const lexiconForm = ref('lexiconForm');
+  if (lexiconForm) {
+    lexiconForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const formsInput = ref('lexiconForms');
+      const lemmaInput = ref('lexiconLemma');
+      const posSelect = ref('lexiconPos');
+      addLexiconEntries(formsInput.value.split(/[,;\s]+/), lemmaInput.value, posSelect.value || null);
+      formsInput.value = '';
+      lemmaInput.value = '';
+    });
+  }
+  const userLexiconLoaded = loadUserLexicon();
+
+  editor.on('change', () => {
+    docRevision++;
+    scheduleMinimapRender();
+    schedulePreviewRender(PREVIEW_RENDER_DELAY);
+    if (liveMode) scheduleLivePatch();
+    scheduleAutosave();
+  });
+
+  // Gestion des documents
+  const documentSelect = ref('documentSelect');
+  if (documentSelect) {
+    documentSelect.addEventListener('change', () => openDocument(documentSelect.value));
+  }
+  const languageSelect = ref('languageSelect');
+  if (languageSelect) {
+    languageSelect.addEventListener('change', () => changeDocumentLanguage(languageSelect.value));
+  }
+  const documentActions = {
+    newDocumentBtn: () => createDocument(nextUntitledName()),
+    renameDocumentBtn: renameCurrentDocument,
+    deleteDocumentBtn: deleteCurrentDocument,
+    openFileBtn: openFile,
+    saveFileBtn: saveFile
+  };
+  Object.entries(documentActions).forEach(([id, action]) => {
+    const button = ref(id);
+    if (button) button.addEventListener('click', action);
+  });
+  const documentFileInput = ref('documentFileInput');
+  if (documentFileInput) {
+    documentFileInput.addEventListener('change', async () => {
+      const file = documentFileInput.files && documentFileInput.files[0];
+      if (!file) return;
+      try {
+        await createDocument(file.name, await file.text());
+      } catch (err) {
+        logError('Impossible d\'ouvrir le fichier', err);
+      } finally {
+        documentFileInput.value = '';
+      }
+    });
+  }
+  root.querySelectorAll('[data-report-format]').forEach((button) => {
+    button.addEventListener('click', () => exportReport(button.dataset.reportFormat));
+  });
+  editor.addKeyMap({
+    'Ctrl-S': () => { saveFile(); },
+    'Cmd-S': () => { saveFile(); },
+    // Occurrences du lemme ciblé ; sans lemme ciblé, F3 garde son rôle
+    // habituel dans le navigateur
+    'F3': () => (selectOccurrence(1) ? undefined : CodeMirrorInstance.Pass),
+    'Shift-F3': () => (selectOccurrence(-1) ? undefined : CodeMirrorInstance.Pass),
+    'Ctrl-F3': () => (focusLemmaAtCursor() ? undefined : CodeMirrorInstance.Pass)
+  });
+  // Ne pas perdre les dernières frappes à la fermeture de l'onglet
+  listen(window, 'beforeunload', () => { saveCurrentDocument(); });
+  listen(document, 'visibilitychange', () => {
+    if (document.visibilityState === 'hidden') saveCurrentDocument();
+  });
+  const documentsLoaded = initDocuments();
+
+  // L'occurrence proposée au remplacement et la position dans les
+  // occurrences suivent le curseur
+  editor.on('cursorActivity', () => {
+    if (focusedLemma !== null) {
+      renderSynonymSection();
+      updateOccurrencePosition();
+    }
+  });
+
+  // Configuration du worker pour recevoir les résultats (appelée par
+  // startWorker() une fois le worker créé)
+  function configureWorker() {
     worker.onmessage = (e) => {
       logDebug('Received message from Web Worker', e.data);
 
+      // Les suggestions de synonymes sont indépendantes de l'analyse en cours
+      if (e.data.type === 'synonyms') {
+        if (e.data.lemma === focusedLemma) {
+          synonymSuggestions = e.data;
+          renderSynonymSection();
+        }
+        return;
+      }
+
+      // Idem pour l'état du cache du dictionnaire
+      if (e.data.type === 'dictionary') {
+        displayDictionaryState(e.data.state, e.data.error);
+        if (e.data.error) updateProgress(0, 'Erreur de chargement du dictionnaire');
+        return;
+      }
+
       try {
         const data = e.data;
 
+        // Les messages d'une analyse annulée ou remplacée sont ignorés
+        if (data.job !== undefined && (data.job !== analysisJob || !isAnalyzing)) {
+          logDebug(`Ignoring ${data.type} message of analysis #${data.job}`);
+          return;
+        }
+
         // Gérer les messages de progression
         if (data.type === 'progress') {
           updateProgress(data.progress, data.message || 'Analyse en cours...');
           return;
         }
 
+        // Gérer les résultats de l'analyse en direct
+        if (data.type === 'patch') {
+          applyLivePatch(data);
+          return;
+        }
+
         // Gérer les erreurs du worker
         if (data.type === 'error') {
           logError('Worker reported error', data.error);
+          // Le cache de paragraphes du worker n'est plus fiable
+          paragraphMirror = null;
+          pendingPatches.clear();
           updateProgress(0, 'Erreur d\'analyse');
-          isAnalyzing = false;
-          setButtonEnabled(true);
+          setAnalyzing(false);
+          settleAnalysis(null, new Error(String(data.error)));
           return;
         }
 
         // Gérer la completion de l'analyse
         if (data.type === 'complete') {
-          const highlights = data.highlights || [];
-          const lemmaFrequencies = data.lemmaFrequencies || [];
-          const statsFromWorker = data.stats || {};
-
-          // Effacer les marques existantes et réinitialiser le focus
-          logDebug(`Clearing ${currentMarks.length} existing marks`);
-          currentMarks.forEach((mark) => mark.clear());
-          currentMarks = [];
-          lemmaToMarksMap.clear();
-          allHighlights = [];
-          focusedLemma = null;
-
-          // Le worker envoie maintenant le lemme avec chaque highlight
-          const editorText = editor.getValue();
-          
-          // Appliquer les nouvelles surbrillances avec niveaux de chaleur et lemmes
-          logDebug(`Applying ${highlights.length} new highlights`);
-          highlights.forEach(({ start, end, heat, lemma }) => {
-            try {
-              const from = editor.posFromIndex(start);
-              const to = editor.posFromIndex(end);
-              const heatLevel = Math.min(heat || 1, 5);
-              const className = `heat-${heatLevel}`;
-              const mark = editor.markText(from, to, { className });
-              currentMarks.push(mark);
-              
-              // Stocker avec le lemme (qui vient maintenant directement du worker)
-              allHighlights.push({ start, end, heat, lemma: lemma || null });
-              
-              // Ajouter à la map par lemme
-              if (lemma) {
-                if (!lemmaToMarksMap.has(lemma)) {
-                  lemmaToMarksMap.set(lemma, []);
-                }
-                lemmaToMarksMap.get(lemma).push(mark);
-              }
-            } catch (err) {
-              logError(`Failed to apply highlight at position ${start}-${end}`, err);
-            }
-          });
+          setAnalyzing(false);
+          if (currentDocument && analysisDocumentId !== currentDocument.id) {
+            // Un autre document a été ouvert pendant l'analyse
+            logDebug('Discarding analysis results of a closed document');
+            settleAnalysis(null);
+            return;
+          }
 
-          // Afficher les fréquences de lemmes dans la sidebar
-          displayLemmaFrequencies(lemmaFrequencies);
+          // Si le texte a changé pendant l'analyse, les positions reçues
+          // sont décalées : le prochain patch redessinera toutes les marques.
+          if (liveMode && analysisDocRevision !== docRevision) {
+            needsFullRender = true;
+          }
 
-          // Mettre à jour l'interface
-          const wordCount = editorText.split(/\s+/).filter(word => word.length > 0).length;
-          const repetitionsDisplay = (typeof statsFromWorker.repeatedTokenCount === 'number')
-            ? statsFromWorker.repeatedTokenCount
-            : highlights.length;
-          updateStats(wordCount, repetitionsDisplay);
+          renderAnalysisResults(data);
+          rememberResults(data, analysisDocRevision);
           updateProgress(100, 'Analyse terminée');
+          emit('analysis-complete', { results: lastResults, live: false });
+          settleAnalysis(lastResults);
 
-          const duration = statsFromWorker.duration || 'N/A';
-          logInfo(`Analysis completed: ${wordCount} words, ${repetitionsDisplay} repeated tokens (highlighted: ${highlights.length}) in ${duration}ms`, statsFromWorker);
+          // Réinitialiser la barre de progression après 2 secondes
+          progressResetTimer = setTimeout(() => {
+            progressResetTimer = null;
+            updateProgress(0, 'Prêt');
+          }, 2000);
         }
 
       } catch (error) {
         logError('Error processing worker results', error);
+        setAnalyzing(false);
         updateProgress(0, 'Erreur de traitement');
-      } finally {
-        isAnalyzing = false;
-        setButtonEnabled(true);
-
-        // Réinitialiser la barre de progression après 2 secondes
-        setTimeout(() => {
-          if (!isAnalyzing) {
-            updateProgress(0, 'Prêt');
-          }
-        }, 2000);
+        settleAnalysis(null, error);
       }
     };
 
     worker.onerror = (error) => {
       logError('Web Worker error', error);
-      isAnalyzing = false;
-      setButtonEnabled(true);
+      paragraphMirror = null;
+      pendingPatches.clear();
+      setAnalyzing(false);
       updateProgress(0, 'Erreur du Worker');
+      settleAnalysis(null, new Error('Erreur du Web Worker'));
     };
 
     logInfo('Web Worker message handlers configured');
   }
 
+  // L'état du cache du dictionnaire est demandé à l'ouverture de chaque
+  // document (voir applyDocumentLanguage())
+  const resetDictionaryBtn = ref('resetDictionaryBtn');
+  if (resetDictionaryBtn) resetDictionaryBtn.addEventListener('click', resetDictionaryCache);
+
   // Configuration des boutons de la sidebar
   if (sidebarToggleBtn) {
     sidebarToggleBtn.addEventListener('click', toggleSidebar);
@@ -529,10 +3121,205 @@ window.addEventListener('DOMContentLoaded', () => {
     logInfo('Sidebar close button configured');
   }
 
+  // Mode hors ligne (option serviceWorker) : le service worker (sw.js)
+  // met l'application et le dictionnaire en cache.  L'indicateur affiche
+  // l'état de la connexion et propose de recharger la page lorsqu'une
+  // nouvelle version de l'application a été téléchargée.
+  const connectionStatus = ref('connectionStatus');
+  const updateAppBtn = ref('updateAppBtn');
+  let waitingServiceWorker = null;
+  let reloadOnControllerChange = false;
+
+  function updateConnectionStatus() {
+    if (!connectionStatus) return;
+    const online = navigator.onLine;
+    const cached = Boolean(navigator.serviceWorker && navigator.serviceWorker.controller);
+    connectionStatus.classList.toggle('offline', !online);
+    connectionStatus.textContent = online ? 'En ligne' : 'Hors ligne';
+    connectionStatus.title = cached
+      ? 'Application disponible hors ligne'
+      : (online ? 'Application pas encore disponible hors ligne' : 'Application non mise en cache');
+  }
+
+  function showUpdateAvailable(serviceWorker) {
+    waitingServiceWorker = serviceWorker;
+    if (updateAppBtn) updateAppBtn.hidden = false;
+    logInfo('Nouvelle version de l\'application disponible');
+  }
+
+  // Active la nouvelle version ; la page est rechargée lorsqu'elle prend
+  // le contrôle (voir l'écouteur controllerchange)
+  async function applyUpdate() {
+    if (!waitingServiceWorker) return;
+    await saveCurrentDocument();
+    reloadOnControllerChange = true;
+    waitingServiceWorker.postMessage({ type: 'skip-waiting' });
+  }
+
+  async function registerServiceWorker() {
+    // Les service workers demandent une page servie en HTTP(S)
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
+      logInfo('Service worker indisponible : pas de mode hors ligne');
+      return;
+    }
+    listen(navigator.serviceWorker, 'controllerchange', () => {
+      if (reloadOnControllerChange) window.location.reload();
+      else updateConnectionStatus();
+    });
+    try {
+      const registration = await navigator.serviceWorker.register(options.serviceWorker);
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateAvailable(registration.waiting);
+      }
+      registration.addEventListener('updatefound', () => {
+        const installing = registration.installing;
+        if (!installing) return;
+        installing.addEventListener('statechange', () => {
+          // Sans contrôleur, c'est la première installation et non une
+          // mise à jour
+          if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+            showUpdateAvailable(installing);
+          }
+        });
+      });
+      // De retour en ligne (train, avion), vérifier si une nouvelle
+      // version a été déployée entre-temps
+      listen(window, 'online', () => {
+        registration.update().catch((err) => logWarn('Vérification de mise à jour impossible', err));
+      });
+      logInfo('Service worker registered');
+    } catch (err) {
+      logWarn('Échec de l\'enregistrement du service worker', err);
+    }
+  }
+
+  if (options.serviceWorker) {
+    ref('appStatus').hidden = false;
+    listen(window, 'online', updateConnectionStatus);
+    listen(window, 'offline', updateConnectionStatus);
+    if (updateAppBtn) updateAppBtn.addEventListener('click', applyUpdate);
+    updateConnectionStatus();
+    registerServiceWorker();
+  }
+
   // Initialiser l'interface
   updateProgress(0, 'Prêt');
   updateStats(0, 0);
-  setButtonEnabled(true);
+  setAnalyzing(false);
+  startWorker();
+
+  // Les réglages enregistrés et le document sont chargés avant que l'API
+  // ne les modifie ou n'analyse le texte
+  const ready = Promise.all([heatmapSettingsLoaded, ignoreSettingsLoaded, userLexiconLoaded, documentsLoaded])
+    .then(() => {
+      if (options.liveMode && liveModeToggle && !destroyed) {
+        liveModeToggle.checked = true;
+        setLiveMode(true);
+      }
+    });
+
+  // Analyse le texte ; la promesse reçoit les résultats (null si
+  // l'analyse est annulée ou si le texte est vide)
+  async function analyze() {
+    await ready;
+    if (destroyed) return null;
+    const results = new Promise((resolve, reject) => analysisWaiters.push({ resolve, reject }));
+    performAnalysis();
+    return results;
+  }
+
+  // Résultats de la dernière analyse, ou null s'ils ne correspondent plus
+  // au texte de l'éditeur
+  function getResults() {
+    return lastResults && resultsDocRevision === docRevision ? lastResults : null;
+  }
+
+  // Cible un lemme surligné comme un clic dans la sidebar (null revient à
+  // l'affichage de tous les mots) ; renvoie false si le lemme n'est pas
+  // surligné
+  function setFocusedLemma(lemma) {
+    if (lemma === null) {
+      if (focusedLemma !== null) clearFocus();
+      return true;
+    }
+    if (!allHighlights.some((highlight) => highlight.lemma === lemma)) return false;
+    if (focusedLemma !== lemma) focusLemma(lemma);
+    return true;
+  }
+
+  // Remplace la liste des mots ignorés et relance l'analyse si des
+  // résultats sont affichés
+  async function setIgnoreList(lemmas, { useStopWords = ignoreSettings.useStopWords } = {}) {
+    await ready;
+    const normalized = new Set(lemmas.map((lemma) => String(lemma).trim().toLowerCase().normalize('NFC')).filter(Boolean));
+    updateIgnoreSettings({
+      useStopWords,
+      lemmas: [...normalized].sort((a, b) => a.localeCompare(b, currentLanguage()))
+    });
+  }
+
+  // Remplace le texte de l'éditeur ; les résultats affichés, qui
+  // décrivent l'ancien texte, sont effacés
+  async function setValue(text) {
+    await ready;
+    cancelAnalysis();
+    paragraphMirror = null;
+    pendingPatches.clear();
+    editor.setValue(text);
+    resetAnalysisView();
+  }
+
+  function on(type, listener) {
+    if (!eventListeners.has(type)) eventListeners.set(type, new Set());
+    eventListeners.get(type).add(listener);
+    return () => off(type, listener);
+  }
+
+  function off(type, listener) {
+    if (eventListeners.has(type)) eventListeners.get(type).delete(listener);
+  }
+
+  // Enregistre le document, arrête le worker, retire les écouteurs posés
+  // hors de l'instance et supprime son interface.  L'instance est démontée
+  // aussitôt ; la promesse renvoyée se résout une fois le document
+  // enregistré
+  let destroyPromise = null;
+  function destroy() {
+    if (destroyPromise) return destroyPromise;
+    const saved = saveCurrentDocument();
+    destroyed = true;
+    cancelAnalysis();
+    settleAnalysis(null);
+    [liveTimer, autosaveTimer, progressResetTimer, tooltipTimer, previewTimer].forEach((timer) => {
+      if (timer) clearTimeout(timer);
+    });
+    if (minimapFrame !== null) cancelAnimationFrame(minimapFrame);
+    if (previewScrollFrame !== null) cancelAnimationFrame(previewScrollFrame);
+    globalListeners.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+    globalListeners.length = 0;
+    if (worker) worker.terminate();
+    worker = null;
+    eventListeners.clear();
+    root.remove();
+    destroyPromise = saved.then(() => logInfo(`Editor ${instanceClass} destroyed`));
+    return destroyPromise;
+  }
 
   logInfo('Application initialization completed');
-});
+
+  return {
+    codemirror: editor,
+    ready,
+    analyze,
+    cancel: cancelAnalysis,
+    getResults,
+    focusLemma: setFocusedLemma,
+    setIgnoreList,
+    getValue: () => editor.getValue(),
+    setValue,
+    save: saveCurrentDocument,
+    on,
+    off,
+    destroy
+  };
+}
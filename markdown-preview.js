@@ -0,0 +1,609 @@
+/*
+ * Aperçu Markdown de l'éditeur.  Le rendu est fait ici plutôt qu'avec
+ * une bibliothèque : chaque texte affiché provient d'une plage du texte
+ * source, ce qui permet d'y reporter les surbrillances (positions dans
+ * le source) et d'associer chaque bloc à sa ligne (attribut data-line)
+ * pour synchroniser le défilement avec l'éditeur.  Il couvre la syntaxe
+ * reconnue par le masquage Markdown de lemmatizer-core.js (titres,
+ * listes, citations, code, liens, images, notes) ainsi que les
+ * tableaux ; les balises HTML ne sont pas interprétées.
+ *
+ * Ce module ne dépend d'aucune API du navigateur : il est chargé par la
+ * page avant main.js (il expose alors window.MarkdownPreview) et par les
+ * tests avec require().
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MarkdownPreview = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (c) => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+  }
+
+  const MARKDOWN_LIST_ITEM = /^( {0,3})([-*+]|(\d{1,9})[.)])(?:[ \t]+|$)/;
+  const MARKDOWN_DEFINITION = /^ {0,3}\[([^\]\n]+)\]:[ \t]*(.*)$/;
+  const MARKDOWN_TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+  // Constructions en ligne, essayées dans cet ordre à partir des
+  // caractères qui peuvent les commencer
+  const MARKDOWN_INLINE_PATTERNS = [
+    ['escape', '\\', /\\([!-/:-@[-`{-~])/dy],
+    ['break', ' \\', /(?: {2,}|\\)\n/dy],
+    ['comment', '<', /<!--[\s\S]*?-->/dy],
+    ['code', '`', /(`+)(?!`)([\s\S]*?[^`])\1(?!`)/dy],
+    ['autolink', '<', /<([A-Za-z][A-Za-z0-9+.-]*:[^\s<>]*)>/dy],
+    ['html', '<', /<\/?([A-Za-z][A-Za-z0-9-]*)(?:\s[^<>]*)?\/?>/dy],
+    ['image', '!', /!\[([^[\]\n]*)\]\(([^()\n]*(?:\([^()\n]*\)[^()\n]*)*)\)/dy],
+    ['link', '[', /\[([^[\]\n]*)\]\(([^()\n]*(?:\([^()\n]*\)[^()\n]*)*)\)/dy],
+    ['footnote', '[', /\[\^([^\]\s]+)\]/dy],
+    ['referenceImage', '!', /!\[([^[\]\n]*)\]\[([^[\]\n]*)\]/dy],
+    ['referenceLink', '[', /\[([^[\]\n]*)\]\[([^[\]\n]*)\]/dy],
+    ['strong', '*_', /(\*\*|__)(?=\S)([\s\S]*?\S)\1/dy],
+    ['del', '~', /~~(?=\S)([\s\S]*?\S)~~/dy],
+    ['em', '*_', /([*_])(?=\S)([\s\S]*?\S)\1/dy],
+    ['url', 'hHfFwW', /(?:https?:\/\/|ftp:\/\/|www\.)[^\s<>()[\]]+/diy],
+    ['entity', '&', /&(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);/diy]
+  ];
+  const MARKDOWN_INLINE_TRIGGERS = new Map();
+  MARKDOWN_INLINE_PATTERNS.forEach(([type, triggers, pattern]) => {
+    for (const c of triggers) {
+      if (!MARKDOWN_INLINE_TRIGGERS.has(c)) MARKDOWN_INLINE_TRIGGERS.set(c, []);
+      MARKDOWN_INLINE_TRIGGERS.get(c).push([type, pattern]);
+    }
+  });
+
+  function isBlankLine(line) {
+    return /^[ \t]*$/.test(line.text);
+  }
+
+  // Ligne privée de ses `count` premiers caractères (préfixe de citation
+  // ou indentation d'un élément de liste)
+  function sliceLine(line, count) {
+    const cut = Math.min(count, line.text.length);
+    return { text: line.text.slice(cut), start: line.start + cut, line: line.line };
+  }
+
+  // Nombre de colonnes d'indentation (tabulation = 4 colonnes) et nombre
+  // de caractères à retirer pour en enlever `columns`
+  function indentation(text, columns = Infinity) {
+    let width = 0;
+    let length = 0;
+    while (length < text.length && width < columns && (text[length] === ' ' || text[length] === '\t')) {
+      width += text[length] === '\t' ? 4 - (width % 4) : 1;
+      length++;
+    }
+    return { width, length };
+  }
+
+  // Schémas autorisés dans les liens et les images, en plus des URL
+  // relatives et des images data:image/ ; les autres deviennent #
+  const SAFE_URL_SCHEMES = ['http', 'https', 'ftp', 'mailto'];
+
+  // URL nettoyée comme le fait le navigateur (tabulations et retours à la
+  // ligne supprimés, caractères de contrôle et espaces retirés aux deux
+  // bouts), puis schéma lu sans aucun caractère de contrôle : ni
+  // « java\tscript: » ni « \x01javascript: » ne passent
+  function safeUrl(url, image = false) {
+    const cleaned = url.replace(/[\t\n\r]/g, '').replace(/^[\x00-\x20]+|[\x00-\x20]+$/g, '');
+    const scheme = cleaned.replace(/[\x00-\x20\x7f]/g, '').match(/^([A-Za-z][A-Za-z0-9+.-]*):/);
+    if (!scheme) return cleaned;
+    const name = scheme[1].toLowerCase();
+    if (SAFE_URL_SCHEMES.includes(name)) return cleaned;
+    if (image && name === 'data' && /^data:image\//i.test(cleaned)) return cleaned;
+    return '#';
+  }
+
+  // Destination d'un lien : url, <url> et titre éventuel
+  function parseLinkDestination(destination) {
+    const m = destination.match(/^\s*(?:<([^<>\n]*)>|(\S*))(?:\s+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?\s*$/);
+    if (!m) return { url: destination.trim(), title: null };
+    return { url: m[1] !== undefined ? m[1] : m[2], title: m[3] || m[4] || m[5] || null };
+  }
+
+  function normalizeReferenceLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  // Première surbrillance qui commence à `index` ou après
+  function firstHighlightFrom(highlights, index) {
+    let low = 0;
+    let high = highlights.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (highlights[mid].start < index) low = mid + 1; else high = mid;
+    }
+    return low;
+  }
+
+  /**
+   * Texte en ligne d'un bloc : ses plages [start, end) du source, une par
+   * ligne, réunies par des retours à la ligne.  Les surbrillances de ces
+   * plages sont converties en positions dans ce texte et gardent leur
+   * position dans le source (`source`).
+   */
+  function createInlineSource(segments, context) {
+    let text = '';
+    const highlights = [];
+    segments.forEach(({ start, end }, index) => {
+      if (index > 0) text += '\n';
+      const shift = text.length - start;
+      text += context.text.slice(start, end);
+      for (let k = firstHighlightFrom(context.highlights, start); k < context.highlights.length; k++) {
+        const highlight = context.highlights[k];
+        if (highlight.start >= end) break;
+        if (highlight.end <= end) {
+          highlights.push({ ...highlight, start: highlight.start + shift, end: highlight.end + shift, source: highlight.start });
+        }
+      }
+    });
+    return { text, highlights, references: context.references };
+  }
+
+  // Texte brut de [from, to), avec les surbrillances qu'il contient
+  function renderMarkdownText(source, from, to) {
+    let html = '';
+    let last = from;
+    for (let k = firstHighlightFrom(source.highlights, from); k < source.highlights.length; k++) {
+      const { start, end, heat, lemma, source: offset } = source.highlights[k];
+      if (start >= to || end > to) break;
+      html += escapeHtml(source.text.slice(last, start));
+      const attributes = lemma ? ` data-lemma="${escapeHtml(lemma)}" data-start="${offset}" title="${escapeHtml(lemma)}"` : '';
+      html += `<mark class="heat-${heat}"${attributes}>${escapeHtml(source.text.slice(start, end))}</mark>`;
+      last = end;
+    }
+    return html + escapeHtml(source.text.slice(last, to));
+  }
+
+  // Texte sans balises, pour les attributs (texte alternatif des images)
+  function plainMarkdownText(text) {
+    return text.replace(/\\([!-/:-@[-`{-~])/g, '$1').replace(/[*_~`]/g, '');
+  }
+
+  function renderMarkdownInline(source, from = 0, to = source.text.length) {
+    const { text } = source;
+    let html = '';
+    let last = from;
+    let i = from;
+    const group = (m, n) => m.indices[n];
+    while (i < to) {
+      const patterns = MARKDOWN_INLINE_TRIGGERS.get(text[i]);
+      if (!patterns) {
+        i++;
+        continue;
+      }
+      let output = null;
+      let end = i;
+      for (const [type, pattern] of patterns) {
+        pattern.lastIndex = i;
+        const m = pattern.exec(text);
+        if (!m || pattern.lastIndex > to) continue;
+        end = pattern.lastIndex;
+        const inner = (n) => renderMarkdownInline(source, group(m, n)[0], group(m, n)[1]);
+        switch (type) {
+          case 'escape':
+            output = renderMarkdownText(source, i + 1, end);
+            break;
+          case 'break':
+            output = '<br>\n';
+            break;
+          case 'comment':
+            output = '';
+            break;
+          case 'code':
+            output = `<code>${escapeHtml(m[2].replace(/\n/g, ' ').replace(/^ (.*) $/, '$1'))}</code>`;
+            break;
+          case 'autolink': {
+            const url = m[1];
+            const href = /^mailto:/i.test(url) || !/@/.test(url) ? url : `mailto:${url}`;
+            output = `<a href="${escapeHtml(safeUrl(href))}" target="_blank" rel="noopener noreferrer">${escapeHtml(url)}</a>`;
+            break;
+          }
+          case 'html':
+            // Balise ignorée, son contenu est affiché comme du texte
+            output = m[1].toLowerCase() === 'br' ? '<br>' : '';
+            break;
+          case 'image':
+          case 'referenceImage': {
+            const target = type === 'image'
+              ? parseLinkDestination(m[2])
+              : source.references.get(normalizeReferenceLabel(m[2] || m[1]));
+            if (!target) break;
+            const title = target.title ? ` title="${escapeHtml(target.title)}"` : '';
+            output = `<img src="${escapeHtml(safeUrl(target.url, true))}" alt="${escapeHtml(plainMarkdownText(m[1]))}"${title} />`;
+            break;
+          }
+          case 'link':
+          case 'referenceLink': {
+            const target = type === 'link'
+              ? parseLinkDestination(m[2])
+              : source.references.get(normalizeReferenceLabel(m[2] || m[1]));
+            if (!target) break;
+            const title = target.title ? ` title="${escapeHtml(target.title)}"` : '';
+            output = `<a href="${escapeHtml(safeUrl(target.url))}"${title} target="_blank" rel="noopener noreferrer">${inner(1)}</a>`;
+            break;
+          }
+          case 'footnote':
+            output = `<sup class="footnote-ref">${escapeHtml(m[1])}</sup>`;
+            break;
+          case 'strong':
+          case 'em': {
+            // Pas d'emphase avec _ à l'intérieur d'un mot (snake_case)
+            if (m[1][0] === '_' && (/[\p{L}\p{N}]/u.test(text[i - 1] || '') || /[\p{L}\p{N}]/u.test(text[end] || ''))) break;
+            const tag = type === 'strong' ? 'strong' : 'em';
+            output = `<${tag}>${inner(2)}</${tag}>`;
+            break;
+          }
+          case 'del':
+            output = `<del>${inner(1)}</del>`;
+            break;
+          case 'url':
+            if (/[\p{L}\p{N}]/u.test(text[i - 1] || '')) break;
+            output = `<a href="${escapeHtml(safeUrl(/^www\./i.test(m[0]) ? `https://${m[0]}` : m[0]))}" target="_blank" rel="noopener noreferrer">${renderMarkdownText(source, i, end)}</a>`;
+            break;
+          case 'entity':
+            output = m[0];
+            break;
+          default:
+            break;
+        }
+        if (output !== null) break;
+      }
+      if (output === null) {
+        i++;
+        continue;
+      }
+      html += renderMarkdownText(source, last, i) + output;
+      i = end;
+      last = end;
+    }
+    return html + renderMarkdownText(source, last, to);
+  }
+
+  // Début d'un bloc qui interrompt un paragraphe
+  function startsMarkdownBlock(text) {
+    return /^ {0,3}(?:#{1,6}(?:[ \t]|$)|>|`{3,}|~{3,})/.test(text)
+      || /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(text)
+      || /^ {0,3}(?:[-*+]|1[.)])[ \t]+\S/.test(text);
+  }
+
+  // Cellules d'une ligne de tableau : plages du source, sans les espaces
+  function splitTableRow(line) {
+    const cells = [];
+    const { text, start } = line;
+    let from = 0;
+    let to = text.length;
+    while (from < to && /[ \t]/.test(text[from])) from++;
+    while (to > from && /[ \t]/.test(text[to - 1])) to--;
+    if (text[from] === '|') from++;
+    if (to > from && text[to - 1] === '|' && text[to - 2] !== '\\') to--;
+    let cellStart = from;
+    for (let k = from; k <= to; k++) {
+      if (k === to || (text[k] === '|' && text[k - 1] !== '\\')) {
+        let a = cellStart;
+        let b = k;
+        while (a < b && /[ \t]/.test(text[a])) a++;
+        while (b > a && /[ \t]/.test(text[b - 1])) b--;
+        cells.push({ start: start + a, end: start + b });
+        cellStart = k + 1;
+      }
+    }
+    return cells;
+  }
+
+  function renderMarkdownInlineSegments(segments, context) {
+    return renderMarkdownInline(createInlineSource(segments, context));
+  }
+
+  /**
+   * Découpe une suite de lignes { text, start, line } en blocs et les rend
+   * en HTML : { first, next, html }, où [first, next) sont les indices
+   * des lignes du bloc dans `lines`.  Dans une liste serrée (`tight`),
+   * les paragraphes ne sont pas enveloppés dans un <p>.
+   */
+  function renderMarkdownBlockList(lines, context, tight = false) {
+    const blocks = [];
+    const push = (first, html) => blocks.push({ first, next: null, html });
+    // Fin du dernier bloc, avant les lignes vides qui le suivent
+    const closeBlock = (next) => {
+      const last = blocks[blocks.length - 1];
+      if (last && last.next === null) last.next = next;
+    };
+    let i = 0;
+    while (i < lines.length) {
+      closeBlock(i);
+      const current = lines[i];
+      const line = current.text;
+      if (isBlankLine(current)) {
+        i++;
+        continue;
+      }
+      const first = i;
+      const dataLine = ` data-line="${current.line}"`;
+
+      // Bloc de code délimité
+      const fence = line.match(/^( {0,3})(`{3,}|~{3,})[ \t]*([^`\s]*)/);
+      if (fence) {
+        const body = [];
+        i++;
+        while (i < lines.length) {
+          const close = lines[i].text.match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+          if (close && close[1][0] === fence[2][0] && close[1].length >= fence[2].length) {
+            i++;
+            break;
+          }
+          body.push(lines[i].text.slice(indentation(lines[i].text, fence[1].length).length));
+          i++;
+        }
+        const language = fence[3] ? ` class="language-${escapeHtml(fence[3])}"` : '';
+        push(first, `<pre${dataLine}><code${language}>${escapeHtml(body.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      // Bloc de code indenté
+      if (indentation(line).width >= 4) {
+        const body = [];
+        while (i < lines.length && (isBlankLine(lines[i]) || indentation(lines[i].text).width >= 4)) {
+          body.push(lines[i].text.slice(indentation(lines[i].text, 4).length));
+          i++;
+        }
+        while (body.length > 0 && body[body.length - 1].trim() === '') body.pop();
+        push(first, `<pre${dataLine}><code>${escapeHtml(body.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      // Définitions de liens (lues par collectMarkdownReferences()) et
+      // notes de bas de page
+      const definition = line.match(MARKDOWN_DEFINITION);
+      if (definition) {
+        if (definition[1].startsWith('^')) {
+          const contentStart = line.length - definition[2].length;
+          push(first, `<p class="footnote"${dataLine}><sup>${escapeHtml(definition[1].slice(1))}</sup> `
+            + `${renderMarkdownInlineSegments([{ start: current.start + contentStart, end: current.start + line.length }], context)}</p>`);
+        }
+        i++;
+        continue;
+      }
+
+      // Titre ATX
+      const heading = line.match(/^ {0,3}(#{1,6})(?:[ \t]+|$)/);
+      if (heading) {
+        let end = line.length;
+        const closing = line.slice(heading[0].length).match(/(?:^|[ \t]+)#+[ \t]*$|[ \t]+$/);
+        if (closing) end -= closing[0].length;
+        const level = heading[1].length;
+        push(first, `<h${level}${dataLine}>${renderMarkdownInlineSegments([{ start: current.start + heading[0].length, end: current.start + Math.max(end, heading[0].length) }], context)}</h${level}>`);
+        i++;
+        continue;
+      }
+
+      // Séparateur
+      if (/^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(line)) {
+        push(first, `<hr${dataLine} />`);
+        i++;
+        continue;
+      }
+
+      // Citation, avec les lignes de continuation sans >
+      if (/^ {0,3}>/.test(line)) {
+        const inner = [];
+        while (i < lines.length && !isBlankLine(lines[i])) {
+          const marker = lines[i].text.match(/^ {0,3}> ?/);
+          if (marker) {
+            inner.push(sliceLine(lines[i], marker[0].length));
+          } else if (startsMarkdownBlock(lines[i].text)) {
+            break;
+          } else {
+            inner.push(lines[i]);
+          }
+          i++;
+        }
+        push(first, `<blockquote${dataLine}>${renderMarkdownBlocks(inner, context)}</blockquote>`);
+        continue;
+      }
+
+      // Liste : éléments du même type, avec leurs lignes indentées
+      const listItem = line.match(MARKDOWN_LIST_ITEM);
+      if (listItem) {
+        const ordered = listItem[3] !== undefined;
+        const delimiter = listItem[2][listItem[2].length - 1];
+        const items = [];
+        let loose = false;
+        let separated = false;
+        while (i < lines.length) {
+          const item = lines[i].text.match(MARKDOWN_LIST_ITEM);
+          if (!item || (item[3] !== undefined) !== ordered || item[2][item[2].length - 1] !== delimiter) break;
+          if (separated) loose = true;
+          const contentIndent = item[0].length === lines[i].text.length
+            ? item[1].length + item[2].length + 1
+            : item[0].length;
+          const itemLines = [sliceLine(lines[i], item[0].length)];
+          const first = lines[i].line;
+          i++;
+          let blank = false;
+          while (i < lines.length) {
+            const next = lines[i];
+            if (isBlankLine(next)) {
+              blank = true;
+              itemLines.push(next);
+              i++;
+            } else if (indentation(next.text).width >= contentIndent) {
+              if (blank) loose = true;
+              blank = false;
+              itemLines.push(sliceLine(next, indentation(next.text, contentIndent).length));
+              i++;
+            } else if (!blank && !MARKDOWN_LIST_ITEM.test(next.text) && !startsMarkdownBlock(next.text)) {
+              itemLines.push(next);
+              i++;
+            } else {
+              break;
+            }
+          }
+          while (itemLines.length > 1 && isBlankLine(itemLines[itemLines.length - 1])) itemLines.pop();
+          separated = blank;
+          items.push({ lines: itemLines, line: first });
+        }
+        const start = ordered && Number(listItem[3]) !== 1 ? ` start="${Number(listItem[3])}"` : '';
+        const tag = ordered ? 'ol' : 'ul';
+        const body = items.map((item) => {
+          // Case à cocher d'une liste de tâches
+          const task = item.lines[0].text.match(/^\[([ xX])\](?=[ \t])/);
+          let checkbox = '';
+          if (task) {
+            checkbox = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'} /> `;
+            item.lines[0] = sliceLine(item.lines[0], task[0].length + 1);
+          }
+          return `<li data-line="${item.line}"${task ? ' class="task-list-item"' : ''}>${checkbox}${renderMarkdownBlocks(item.lines, context, !loose)}</li>`;
+        }).join('\n');
+        push(first, `<${tag}${start}${dataLine}>\n${body}\n</${tag}>`);
+        continue;
+      }
+
+      // Tableau : ligne d'en-tête suivie de la ligne d'alignement
+      if (line.includes('|') && i + 1 < lines.length && MARKDOWN_TABLE_DELIMITER.test(lines[i + 1].text)) {
+        const aligns = splitTableRow(lines[i + 1]).map(({ start, end }) => {
+          const cell = context.text.slice(start, end);
+          if (cell.startsWith(':') && cell.endsWith(':')) return ' style="text-align: center"';
+          if (cell.endsWith(':')) return ' style="text-align: right"';
+          if (cell.startsWith(':')) return ' style="text-align: left"';
+          return '';
+        });
+        const row = (rowLine, cellTag) => {
+          const cells = splitTableRow(rowLine);
+          return `<tr data-line="${rowLine.line}">${aligns.map((align, k) => (
+            `<${cellTag}${align}>${cells[k] ? renderMarkdownInlineSegments([cells[k]], context) : ''}</${cellTag}>`
+          )).join('')}</tr>`;
+        };
+        const rows = [];
+        const header = row(current, 'th');
+        i += 2;
+        while (i < lines.length && !isBlankLine(lines[i]) && lines[i].text.includes('|') && !startsMarkdownBlock(lines[i].text)) {
+          rows.push(row(lines[i], 'td'));
+          i++;
+        }
+        push(first, `<table${dataLine}>\n<thead>${header}</thead>\n<tbody>\n${rows.join('\n')}\n</tbody>\n</table>`);
+        continue;
+      }
+
+      // Paragraphe, ou titre setext s'il est souligné par === ou ---
+      const segments = [];
+      let level = 0;
+      while (i < lines.length && !isBlankLine(lines[i])) {
+        const text = lines[i].text;
+        if (segments.length > 0) {
+          const underline = text.match(/^ {0,3}(=+|-+)[ \t]*$/);
+          if (underline) {
+            level = underline[1][0] === '=' ? 1 : 2;
+            i++;
+            break;
+          }
+          if (startsMarkdownBlock(text) || MARKDOWN_DEFINITION.test(text)) break;
+        }
+        const lead = indentation(text).length;
+        segments.push({ start: lines[i].start + lead, end: lines[i].start + text.length });
+        i++;
+      }
+      // Les espaces de fin de la dernière ligne ne forment pas un saut de ligne
+      const last = segments[segments.length - 1];
+      while (last.end > last.start && /[ \t]/.test(context.text[last.end - 1])) last.end--;
+      const content = renderMarkdownInlineSegments(segments, context);
+      if (level > 0) {
+        push(first, `<h${level}${dataLine}>${content}</h${level}>`);
+      } else if (tight) {
+        push(first, content);
+      } else {
+        push(first, `<p${dataLine}>${content}</p>`);
+      }
+    }
+    closeBlock(i);
+    return blocks;
+  }
+
+  function renderMarkdownBlocks(lines, context, tight = false) {
+    return renderMarkdownBlockList(lines, context, tight).map((block) => block.html).join('\n');
+  }
+
+  // Définitions de liens [ref]: url "titre", hors blocs de code
+  function collectMarkdownReferences(lines) {
+    const references = new Map();
+    let fence = null;
+    lines.forEach(({ text }) => {
+      const marker = text.match(/^ {0,3}(`{3,}|~{3,})/);
+      if (marker && (!fence || (marker[1][0] === fence[0] && marker[1].length >= fence.length))) {
+        fence = fence ? null : marker[1];
+        return;
+      }
+      if (fence) return;
+      const definition = text.match(MARKDOWN_DEFINITION);
+      if (!definition || definition[1].startsWith('^')) return;
+      const label = normalizeReferenceLabel(definition[1]);
+      if (!references.has(label)) references.set(label, parseLinkDestination(definition[2]));
+    });
+    return references;
+  }
+
+  // Lignes du texte { text, start, line }, sans le front matter YAML
+  // (non affiché), et contexte du rendu
+  function prepareMarkdownPreview(text, highlights) {
+    const lines = [];
+    let offset = 0;
+    text.split('\n').forEach((line, index) => {
+      lines.push({ text: line, start: offset, line: index });
+      offset += line.length + 1;
+    });
+    let first = 0;
+    if (lines.length > 0 && /^---[ \t]*$/.test(lines[0].text)) {
+      const close = lines.findIndex((line, index) => index > 0 && /^(?:---|\.\.\.)[ \t]*$/.test(line.text));
+      if (close !== -1) first = close + 1;
+    }
+    const body = lines.slice(first);
+    return { lines: body, context: { text, highlights, references: collectMarkdownReferences(body) } };
+  }
+
+  /**
+   * Rend le texte Markdown en HTML pour l'aperçu.  `highlights` contient
+   * les surbrillances { start, end, heat, lemma } triées, en positions
+   * dans `text` ; elles deviennent des éléments <mark class="heat-N">
+   * portant le lemme et leur position dans le source (data-start).
+   */
+  function renderMarkdownPreview(text, highlights) {
+    const { lines, context } = prepareMarkdownPreview(text, highlights);
+    return renderMarkdownBlocks(lines, context);
+  }
+
+  /**
+   * Rend le texte comme renderMarkdownPreview(), bloc par bloc, pour
+   * mettre à jour l'aperçu sans reconstruire les blocs inchangés.  Chaque
+   * bloc { line, start, end, key, html } est un élément HTML, rendu à
+   * partir de la plage [start, end) du source, qui commence à la ligne
+   * `line`.  Sa clé ne dépend que de ce source, des surbrillances qu'il
+   * contient (en positions relatives à `start`) et des définitions de
+   * liens du texte : deux blocs de même clé ont le même rendu, au
+   * décalage près de leurs attributs data-line et data-start.
+   */
+  function renderMarkdownPreviewBlocks(text, highlights) {
+    const { lines, context } = prepareMarkdownPreview(text, highlights);
+    const references = JSON.stringify([...context.references]);
+    return renderMarkdownBlockList(lines, context).map(({ first, next, html }) => {
+      const { start, line } = lines[first];
+      const end = lines[next - 1].start + lines[next - 1].text.length;
+      const marks = [];
+      for (let k = firstHighlightFrom(highlights, start); k < highlights.length && highlights[k].start < end; k++) {
+        const highlight = highlights[k];
+        marks.push([highlight.start - start, highlight.end - start, highlight.heat, highlight.lemma || null]);
+      }
+      return { line, start, end, key: JSON.stringify([references, marks, text.slice(start, end)]), html };
+    });
+  }
+
+  return {
+    renderMarkdownPreview,
+    renderMarkdownPreviewBlocks
+  };
+});
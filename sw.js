@@ -0,0 +1,127 @@
+/*
+ * Service worker de l'éditeur : rend l'application utilisable hors
+ * ligne et installable (voir manifest.webmanifest).
+ *
+ * - Les fichiers de l'application (page, scripts, CodeMirror vendorisé,
+ *   icônes) sont mis en cache à l'installation et servis depuis le
+ *   cache.  Une nouvelle version du service worker (CACHE_VERSION est
+ *   remplacée par le commit lors du déploiement) télécharge la nouvelle
+ *   version de l'application ; main.js propose alors de recharger la
+ *   page.
+ * - Les bundles de dictionnaire et leurs fichiers de version passent
+ *   d'abord par le réseau, afin que le worker d'analyse détecte les
+ *   nouveaux dictionnaires, et sont servis depuis le cache hors ligne.
+ *   Le bundle français est mis en cache dès l'installation, ceux des
+ *   autres langues lors de leur premier téléchargement.
+ */
+
+const CACHE_VERSION = 'dev';
+const CACHE_PREFIX = 'lemmatizer-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const DICT_CACHE = `${CACHE_PREFIX}dicts`;
+
+const SHELL_FILES = [
+  './',
+  './index.html',
+  './main.js',
+  './lemmatizer-worker.js',
+  './lemmatizer-editor.css',
+  './lemmatizer-core.js',
+  './markdown-preview.js',
+  './manifest.webmanifest',
+  './icons/icon.svg',
+  './icons/icon-192.png',
+  './icons/icon-512.png',
+  './vendor/codemirror/lib/codemirror.js',
+  './vendor/codemirror/lib/codemirror.css',
+  './vendor/codemirror/theme/eclipse.css',
+  './vendor/codemirror/mode/markdown/markdown.js'
+];
+
+const DICT_FILES = [
+  './dict-bundle.bin',
+  './dict-bundle.version.json'
+];
+
+// Bundles (dict-bundle*.bin) et fichiers de version
+// (dict-bundle*.version.json) de toutes les langues
+const DICT_PATTERN = /\/dict-bundle[^/]*\.(bin|version\.json)$/;
+
+/**
+ * Télécharge une liste de fichiers dans un cache sans passer par le
+ * cache HTTP, pour ne pas y conserver une version précédente.
+ */
+async function precache(cacheName, files) {
+  const cache = await caches.open(cacheName);
+  await cache.addAll(files.map((file) => new Request(file, { cache: 'reload' })));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(Promise.all([
+    precache(SHELL_CACHE, SHELL_FILES),
+    precache(DICT_CACHE, DICT_FILES)
+  ]));
+});
+
+// Supprime les caches des versions précédentes de l'application
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter((name) => name.startsWith(CACHE_PREFIX) && name !== SHELL_CACHE && name !== DICT_CACHE)
+      .map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// main.js demande l'activation de la nouvelle version lorsque
+// l'utilisateur accepte de recharger la page
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skip-waiting') {
+    self.skipWaiting();
+  }
+});
+
+/**
+ * Réseau d'abord : la réponse met à jour le cache (sans paramètres,
+ * les bundles sont demandés avec leur empreinte en paramètre), qui sert
+ * de repli hors ligne.
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(DICT_CACHE);
+  const key = request.url.split('?')[0];
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(key, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+/**
+ * Cache d'abord pour les fichiers de l'application ; les navigations
+ * sont servies par la page mise en cache, quels que soient leurs
+ * paramètres.
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = request.mode === 'navigate'
+    ? await cache.match('./index.html') || await cache.match('./')
+    : await cache.match(request, { ignoreSearch: true });
+  return cached || fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  if (DICT_PATTERN.test(url.pathname)) {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
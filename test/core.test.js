@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../lemmatizer-core');
+
+const dict = core.createDictionary([
+  ['chat', [['chat', 'NOM']]],
+  ['chats', [['chat', 'NOM']]],
+  ['chien', [['chien', 'NOM']]],
+  ['dort', [['dormir', 'VER']]],
+  ['dorment', [['dormir', 'VER']]],
+  ['le', [['le', 'ART:def']]],
+  ['les', [['le', 'ART:def']]]
+]);
+
+const frequencies = (result) => Object.fromEntries(result.lemmaFrequencies.map(({ lemma, frequency }) => [lemma, frequency]));
+
+test('maskMarkdown préserve la longueur et les retours à la ligne', () => {
+  const text = '---\ntitle: chat\n---\nLe `chat` [dort](http://chat.fr)\n```\nchat\n```\n';
+  const masked = core.maskMarkdown(text);
+  assert.equal(masked.length, text.length);
+  assert.deepEqual([...masked].map((c, i) => (c === '\n' ? i : -1)).filter((i) => i >= 0),
+    [...text].map((c, i) => (c === '\n' ? i : -1)).filter((i) => i >= 0));
+  assert.match(masked, /^\s*Le\s+dort\s*$/);
+});
+
+test('maskMarkdownRange masque paragraphe par paragraphe comme maskMarkdown', () => {
+  const text = [
+    '---', 'title: chat', '', 'tags: [chat]', '---', 'Le chat dort.', '',
+    '```', 'chat', '', 'chat', '```', '', 'Un <!-- chat', '', 'chat --> chien.', '',
+    '    code chat', '', '    code chat', '', '- liste', '', '  suite de la liste', '',
+    '<span', 'class="chat">chat</span> et <!-- chat non fermé', '', 'chat'
+  ].join('\n');
+  for (const options of [undefined, { headings: false, lists: false, linkText: false }]) {
+    let state = null;
+    let masked = '';
+    for (const paragraph of core.splitParagraphs(text)) {
+      const range = core.maskMarkdownRange(paragraph, options, state);
+      assert.equal(range.masked.length, paragraph.length);
+      masked += range.masked;
+      state = range.state;
+    }
+    assert.equal(masked, core.maskMarkdown(text, options));
+  }
+  // Un commentaire non fermé masque la suite du document
+  assert.doesNotMatch(core.maskMarkdown(text).slice(text.indexOf('non fermé')), /chat/);
+});
+
+test('l\'état de maskMarkdownRange ne dépend que du contexte Markdown', () => {
+  const after = (text, state = null) => core.maskMarkdownRange(text, undefined, state).state;
+  assert.equal(after('Le chat dort.\n\n'), after('Le chien court.\n\n'));
+  assert.notEqual(after('```\nchat\n\n'), after('Le chat dort.\n\n'));
+  assert.equal(after('chat\n```\n\n', after('```\nchat\n\n')), after('```\nchien\n```\n\n'));
+});
+
+test('analyze ignore le code, les URL, les commentaires et le front matter', () => {
+  const text = [
+    '---',
+    'title: chat chat',
+    '---',
+    'Le chat dort.',
+    '',
+    'Code `chat` et <!-- chat --> et http://chat.fr et [chat](http://chat.fr).',
+    '',
+    '```',
+    'chat chat chat',
+    '```'
+  ].join('\n');
+  const result = core.analyze(text, dict);
+  // « chat » de la phrase et texte du lien
+  assert.equal(frequencies(result).chat, 2);
+  const starts = result.highlights.filter(({ lemma }) => lemma === 'chat').map(({ start }) => start);
+  assert.deepEqual(starts, [text.indexOf('chat dort'), text.indexOf('[chat]') + 1]);
+});
+
+test('analyze applique les options Markdown', () => {
+  const text = '# Chat\n\n> chat\n\n- chat\n\nLe chat.';
+  assert.equal(frequencies(core.analyze(text, dict)).chat, 4);
+  const options = { markdown: { headings: false, blockquotes: false, lists: false } };
+  assert.equal(frequencies(core.analyze(text, dict, options)).chat, 1);
+});
+
+test('analyze attribue la chaleur la plus élevée au lemme le plus répété', () => {
+  const text = 'Le chat dort. Le chat dort. Le chat dort. Le chat. Le chien. Le chien.';
+  const result = core.analyze(text, dict);
+  const heat = Object.fromEntries(result.lemmaFrequencies.map(({ lemma, heat: level }) => [lemma, level]));
+  assert.equal(result.lemmaFrequencies[0].lemma, 'chat');
+  assert.equal(heat.chat, core.HEATMAP_LEVELS);
+  assert.ok(heat.chat > heat.dormir);
+  assert.ok(heat.dormir > heat.chien);
+  for (const { lemma, heat: level } of result.highlights) {
+    assert.equal(level, heat[lemma]);
+  }
+  const levels = core.analyze(text, dict, { heatmap: { levels: 3 } }).lemmaFrequencies.map(({ heat: level }) => level);
+  assert.ok(levels.every((level) => level >= 1 && level <= 3));
+});
+
+test('analyze compte les mots analysés, ignorés et répétés', () => {
+  const result = core.analyze('Le chat dort. Les chats dorment.', dict);
+  assert.equal(result.stats.scannedWords, 6);
+  assert.equal(result.stats.ignoredWords, 2);
+  assert.equal(result.stats.distinctLemmaCount, 2);
+  assert.equal(result.stats.repeatedLemmaCount, 2);
+  assert.equal(result.stats.repeatedTokenCount, 4);
+  assert.deepEqual(frequencies(result), { chat: 2, dormir: 2 });
+
+  const withStopWords = core.analyze('Le chat dort. Les chats dorment.', dict, { ignore: { useStopWords: false } });
+  assert.equal(withStopWords.stats.ignoredWords, 0);
+  assert.equal(frequencies(withStopWords).le, 2);
+});
+
+test('le pack anglais ignore be, have et do, y compris contractés', () => {
+  const english = core.createDictionary([
+    ['does', [['doe', 'NOM'], ['do', 'VER']]],
+    ['goes', [['go', 'NOM'], ['go', 'VER']]],
+    ['is', [['be', 'VER']]],
+    ['has', [['have', 'VER']]],
+    ['the', [['the', 'ART']]]
+  ]);
+  const result = core.analyze('He does it, he goes. It doesn\'t go, it is, it has. He goes. The does graze, the does.', english, { language: 'en' });
+  assert.deepEqual(frequencies(result), { go: 3, doe: 2, graze: 1 });
+});
+
+test('chaque pack de langue nomme son dictionnaire', () => {
+  assert.equal(core.getLanguagePack('fr').dictionary, 'LEFFF');
+  assert.equal(core.getLanguagePack('en').dictionary, 'WordNet');
+  const pack = core.registerLanguagePack({ code: 'test-dictionary', bundle: 'dict-bundle.test.bin' });
+  assert.equal(pack.dictionary, null);
+  assert.deepEqual(pack.stopLemmas, core.getLanguagePack('fr').stopLemmas);
+});
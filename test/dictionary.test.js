@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../lemmatizer-core');
+
+// Les tables de clés sont codées par blocs de 16 clés (DICT_BLOCK_SIZE) :
+// 40 formes ASCII et quelques formes accentuées occupent plusieurs blocs
+const BLOCK_SIZE = 16;
+const ascii = Array.from({ length: 40 }, (_, i) => `forme${String(i).padStart(2, '0')}`);
+const accented = ['été', 'élève', 'œuvre', 'naïf', 'ça', 'garçon', 'forêt', 'straße'];
+
+const entries = [...ascii, ...accented].map((form, i) => [form, [[`lemme${i}`, i % 3 ? 'NOM' : 'VER']]]);
+entries.push(['est', [['être', 'VER'], ['est', 'NOM']]]);
+entries.push(['sans-lemme', [['sans-lemme', null]]]);
+
+// Ordre des formes dans la table : ordre de leurs octets UTF-8
+const sortedForms = entries.map(([form]) => form)
+  .sort((a, b) => Buffer.compare(Buffer.from(a), Buffer.from(b)));
+
+// Une clé sans diacritiques par forme de part et d'autre de chaque
+// frontière de bloc : les variantes sont relues avec keyAt()
+const boundaryForms = [BLOCK_SIZE - 1, BLOCK_SIZE, 2 * BLOCK_SIZE - 1, 2 * BLOCK_SIZE, sortedForms.length - 1]
+  .map((index) => sortedForms[index]);
+const nosc = [
+  ['ete', ['été']],
+  ['eleve', ['élève']],
+  ['foret', ['forêt', 'forme00']],
+  ['frontieres', boundaryForms]
+];
+
+const thesaurus = [
+  ['été', [['NOM', ['saison']]]],
+  ['œuvre', [['NOM', ['ouvrage', 'création']], ['VER', ['travailler']]]],
+  ['naïf', [[null, ['candide']]]]
+];
+const families = [['élève', 'élever'], ['œuvre', 'œuvrer']];
+const meta = { version: '1.0.9', language: 'fr', manifest: { counts: { forms: entries.length } } };
+
+const dict = core.openDictionary(core.encodeDictionary({ entries, nosc, thesaurus, families, meta }));
+
+test('les métadonnées sont relues telles quelles', () => {
+  assert.deepEqual(dict.meta, meta);
+});
+
+test('chaque forme est relue avec get(), y compris aux frontières de bloc', () => {
+  assert.ok(sortedForms.length > 2 * BLOCK_SIZE);
+  assert.equal(dict.forms.size, entries.length);
+  for (const [form, candidates] of entries) {
+    assert.deepEqual(dict.forms.get(form), candidates, form);
+  }
+});
+
+test('les clés absentes ne sont pas trouvées', () => {
+  for (const form of ['', 'a', 'forme', 'forme005', 'forme40', 'zzz', 'ete', 'Été', 'œuvres']) {
+    assert.equal(dict.forms.get(form), undefined, form);
+  }
+});
+
+test('l\'itération renvoie toutes les entrées dans l\'ordre des octets', () => {
+  const iterated = [...dict.forms];
+  assert.deepEqual(iterated.map(([form]) => form), sortedForms);
+  assert.deepEqual(new Map(iterated), new Map(entries));
+});
+
+test('l\'index sans diacritiques relit les formes par leur indice', () => {
+  assert.deepEqual(dict.nosc.get('ete'), ['été']);
+  assert.deepEqual(dict.nosc.get('foret'), ['forêt', 'forme00']);
+  assert.deepEqual(dict.nosc.get('frontieres'), boundaryForms);
+  assert.deepEqual(new Map(dict.nosc), new Map(nosc));
+  assert.deepEqual(core.lookupCandidates(dict, 'eleve'), dict.forms.get('élève'));
+});
+
+test('le thésaurus et les familles sont relus', () => {
+  assert.deepEqual(new Map(dict.thesaurus), new Map(thesaurus));
+  assert.deepEqual(dict.thesaurus.get('œuvre'), thesaurus[1][1]);
+  assert.equal(dict.thesaurus.get('oeuvre'), undefined);
+  assert.deepEqual(new Map(dict.families), new Map(families));
+  assert.equal(dict.families.get('élève'), 'élever');
+});
+
+test('une recherche pendant l\'itération ne la perturbe pas', () => {
+  // Dictionnaire neuf : chaque get() lit la table (pas encore de cache)
+  const fresh = core.openDictionary(core.encodeDictionary({ entries, nosc }));
+  const forms = [];
+  for (const [form] of fresh.forms) {
+    const other = sortedForms[sortedForms.length - 1 - forms.length];
+    forms.push(form);
+    assert.deepEqual(fresh.forms.get(other), new Map(entries).get(other));
+  }
+  assert.deepEqual(forms, sortedForms);
+});
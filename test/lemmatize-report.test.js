@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('../lemmatizer-core');
+const { analyzeText, loadDictionary, main } = require('../bin/lemmatize-report');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lemmatize-report-'));
+const dictFile = path.join(dir, 'dict-bundle.bin');
+fs.writeFileSync(dictFile, core.encodeDictionary({
+  entries: [
+    ['chat', [['chat', 'NOM']]],
+    ['chats', [['chat', 'NOM']]],
+    ['dort', [['dormir', 'VER']]],
+    ['le', [['le', 'ART:def']]]
+  ]
+}));
+const chapter = path.join(dir, 'chapitre.md');
+fs.writeFileSync(chapter, 'Le chat dort.\nLe chat mange.\n\nLes chats jouent.\n');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Exécute la CLI en capturant sa sortie
+function run(args) {
+  const output = { stdout: '', stderr: '' };
+  const { log, error } = console;
+  console.log = (...values) => { output.stdout += `${values.join(' ')}\n`; };
+  console.error = (...values) => { output.stderr += `${values.join(' ')}\n`; };
+  try {
+    output.code = main(args);
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+  return output;
+}
+
+test('analyzeText donne les positions ligne:colonne des occurrences', () => {
+  const report = analyzeText('Le chat dort.\nLe chat.', loadDictionary(dictFile));
+  const chat = report.lemmaFrequencies.find(({ lemma }) => lemma === 'chat');
+  assert.deepEqual(chat.positions, [{ line: 1, column: 4 }, { line: 2, column: 4 }]);
+});
+
+test('main renvoie 0 et affiche le rapport', () => {
+  const { code, stdout } = run([chapter, '--dict', dictFile]);
+  assert.equal(code, 0);
+  assert.match(stdout, /chapitre\.md : 9 mots, 4 lemmes distincts, 3 occurrences répétées/);
+  assert.match(stdout, /3 {2}chat/);
+});
+
+test('main produit un rapport JSON', () => {
+  const { code, stdout } = run([chapter, '--dict', dictFile, '--format', 'json']);
+  assert.equal(code, 0);
+  const [report] = JSON.parse(stdout);
+  assert.equal(report.file, chapter);
+  assert.equal(report.lemmaFrequencies[0].lemma, 'chat');
+  assert.equal(report.lemmaFrequencies[0].frequency, 3);
+});
+
+test('main renvoie 1 lorsque la métrique dépasse --fail-above', () => {
+  const failing = run([chapter, '--dict', dictFile, '--fail-above', '2']);
+  assert.equal(failing.code, 1);
+  assert.match(failing.stderr, /max-frequency = 3 \(maximum 2\)/);
+  assert.equal(run([chapter, '--dict', dictFile, '--fail-above', '3']).code, 0);
+  assert.equal(run([chapter, '--dict', dictFile, '--fail-above', '0', '--metric', 'repeated-phrases']).code, 0);
+});
+
+test('main renvoie 2 pour une erreur d\'utilisation', () => {
+  assert.equal(run([]).code, 2);
+  assert.equal(run([chapter, '--unknown']).code, 2);
+  assert.equal(run([chapter, '--format', 'xml']).code, 2);
+  assert.equal(run([chapter, '--fail-above']).code, 2);
+  assert.equal(run([chapter, '--fail-above', 'beaucoup']).code, 2);
+  assert.equal(run([chapter, '--metric', 'inconnue']).code, 2);
+  assert.equal(run([chapter, '--lang', 'xx']).code, 2);
+});
+
+test('main renvoie 2 si un fichier ou le dictionnaire est illisible', () => {
+  assert.equal(run([path.join(dir, 'absent.md'), '--dict', dictFile]).code, 2);
+  assert.equal(run([chapter, '--dict', path.join(dir, 'absent.bin')]).code, 2);
+});
@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMarkdownPreview, renderMarkdownPreviewBlocks } = require('../markdown-preview');
+
+// Surbrillances de chaque occurrence des mots donnés, comme celles que
+// main.js lit dans les marques de l'éditeur
+function highlightWords(text, words, heat = 3) {
+  const highlights = [];
+  for (const m of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (words.includes(m[0].toLowerCase())) {
+      highlights.push({ start: m.index, end: m.index + m[0].length, heat, lemma: m[0].toLowerCase() });
+    }
+  }
+  return highlights;
+}
+
+const unescape = (html) => html.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+  .replace(/&#39;/g, '\'').replace(/&amp;/g, '&');
+
+// Éléments <mark> du rendu : { start, heat, lemma, text }
+function renderedMarks(html) {
+  return [...html.matchAll(/<mark class="heat-(\d)"(?: data-lemma="([^"]*)" data-start="(\d+)" title="[^"]*")?>([^<]*)<\/mark>/g)]
+    .map((m) => ({ start: m[3] === undefined ? null : Number(m[3]), heat: Number(m[1]), lemma: m[2] === undefined ? null : unescape(m[2]), text: unescape(m[4]) }));
+}
+
+const document = [
+  '---',
+  'title: Le chat',
+  '---',
+  '# Le chat du voisin',
+  '',
+  'Le **chat** dort, le _chat_ rêve et le [chat](https://example.org "Un chat") part.',
+  'Le `chat` du code reste tel quel, le chat\\* aussi.',
+  '',
+  '> Un chat cité,',
+  'continué sans chevron.',
+  '',
+  '- premier chat',
+  '- second chat',
+  '  avec sa suite',
+  '',
+  '| Animal | Nom |',
+  '|:------|----:|',
+  '| chat | Félix & co |',
+  '',
+  '```',
+  'chat dans un bloc',
+  '```',
+  '',
+  'Setext et chat',
+  '===',
+  '',
+  '[^1]: Note sur le chat.'
+].join('\n');
+
+test('chaque surbrillance rendue couvre le texte source à sa position', () => {
+  const highlights = highlightWords(document, ['chat', 'voisin', 'félix', 'note']);
+  const marks = renderedMarks(renderMarkdownPreview(document, highlights));
+  assert.ok(marks.length > 0);
+  const byStart = new Map(highlights.map((highlight) => [highlight.start, highlight]));
+  for (const mark of marks) {
+    const highlight = byStart.get(mark.start);
+    assert.ok(highlight, `position ${mark.start}`);
+    assert.equal(mark.text, document.slice(highlight.start, highlight.end));
+    assert.equal(mark.lemma, highlight.lemma);
+    assert.equal(mark.heat, highlight.heat);
+  }
+});
+
+test('les surbrillances du code et du front matter ne sont pas rendues', () => {
+  const highlights = highlightWords(document, ['chat']);
+  const marked = new Set(renderedMarks(renderMarkdownPreview(document, highlights)).map(({ start }) => start));
+  const skipped = [
+    document.indexOf('chat', document.indexOf('title:')),
+    document.indexOf('chat', document.indexOf('"Un chat"')),
+    document.indexOf('chat', document.indexOf('`chat`')),
+    document.indexOf('chat dans un bloc')
+  ];
+  for (const start of skipped) assert.ok(!marked.has(start), `position ${start}`);
+  const rendered = highlights.filter(({ start }) => !skipped.includes(start)).map(({ start }) => start);
+  assert.deepEqual([...marked].sort((a, b) => a - b), rendered);
+});
+
+test('les surbrillances gardent leur position dans l\'emphase, les liens, les listes et les tableaux', () => {
+  const text = 'Un **chat** et un [chat](x).\n\n- le chat\n\n| a |\n|---|\n| chat |';
+  const html = renderMarkdownPreview(text, highlightWords(text, ['chat']));
+  const mark = (start) => `<mark class="heat-3" data-lemma="chat" data-start="${start}" title="chat">chat</mark>`;
+  assert.ok(html.includes(`<strong>${mark(5)}</strong>`));
+  assert.ok(html.includes(`<a href="x" target="_blank" rel="noopener noreferrer">${mark(19)}</a>`));
+  assert.ok(html.includes(`<li data-line="2">le ${mark(35)}</li>`));
+  assert.ok(html.includes(`<td>${mark(55)}</td>`));
+});
+
+test('une surbrillance qui chevauche une balise Markdown n\'est pas rendue', () => {
+  const text = 'Le **chat** dort.';
+  const html = renderMarkdownPreview(text, [{ start: 3, end: 9, heat: 2, lemma: 'chat' }, { start: 12, end: 16, heat: 1, lemma: 'dormir' }]);
+  assert.equal(html, '<p data-line="0">Le <strong>chat</strong> <mark class="heat-1" data-lemma="dormir" data-start="12" title="dormir">dort</mark>.</p>');
+});
+
+test('le texte, les lemmes et les balises HTML du source sont échappés', () => {
+  const text = 'Tom & <b>Jerry</b> "chat" <script>alert(1)</script>';
+  const start = text.indexOf('chat');
+  const html = renderMarkdownPreview(text, [
+    { start: 0, end: 3, heat: 1, lemma: '<tom>' },
+    { start, end: start + 4, heat: 2, lemma: null }
+  ]);
+  assert.equal(html, '<p data-line="0"><mark class="heat-1" data-lemma="&lt;tom&gt;" data-start="0" title="&lt;tom&gt;">Tom</mark>'
+    + ' &amp; Jerry &quot;<mark class="heat-2">chat</mark>&quot; alert(1)</p>');
+});
+
+test('le rendu bloc par bloc donne le même HTML que le rendu complet', () => {
+  const highlights = highlightWords(document, ['chat', 'note']);
+  const blocks = renderMarkdownPreviewBlocks(document, highlights);
+  assert.equal(blocks.map(({ html }) => html).join('\n'), renderMarkdownPreview(document, highlights));
+  const lines = document.split('\n');
+  for (const block of blocks) {
+    assert.equal(document.slice(block.start).split('\n')[0], lines[block.line]);
+    assert.match(block.html, new RegExp(`^<[a-z0-9]+[^>]* data-line="${block.line}"`));
+    assert.ok(block.end === document.length || document[block.end] === '\n');
+  }
+});
+
+test('un bloc déplacé garde sa clé et seules ses positions changent', () => {
+  const text = 'Un chat.\n\nDeux chats et un chat.\n\n- chat\n- chien';
+  const edited = `Zéro.\n\n${text}`;
+  const before = renderMarkdownPreviewBlocks(text, highlightWords(text, ['chat']));
+  const after = renderMarkdownPreviewBlocks(edited, highlightWords(edited, ['chat']));
+  assert.equal(after.length, before.length + 1);
+  before.forEach((block, index) => {
+    const moved = after[index + 1];
+    assert.equal(moved.key, block.key);
+    assert.equal(moved.line, block.line + 2);
+    assert.equal(moved.start, block.start + 7);
+    const shifted = block.html
+      .replace(/data-line="(\d+)"/g, (_, line) => `data-line="${Number(line) + 2}"`)
+      .replace(/data-start="(\d+)"/g, (_, start) => `data-start="${Number(start) + 7}"`);
+    assert.equal(moved.html, shifted);
+  });
+});
+
+test('la clé d\'un bloc change avec ses surbrillances et les définitions de liens', () => {
+  const text = 'Un [chat][c].\n\n[c]: https://example.org';
+  const [block] = renderMarkdownPreviewBlocks(text, []);
+  assert.notEqual(renderMarkdownPreviewBlocks(text, highlightWords(text, ['chat']))[0].key, block.key);
+  assert.notEqual(renderMarkdownPreviewBlocks(text.replace('example', 'exemple'), [])[0].key, block.key);
+  assert.equal(renderMarkdownPreviewBlocks(`${text}\n`, [])[0].key, block.key);
+});
+
+test('les liens n\'acceptent que les schémas sûrs, même masqués par des caractères de contrôle', () => {
+  const href = (markdown) => renderMarkdownPreview(markdown, []).match(/<(?:a|img) (?:href|src)="([^"]*)"/)[1];
+  assert.equal(href('[a](java\tscript:alert(1))'), '#');
+  assert.equal(href('[b](\x01javascript:alert(1))'), '#');
+  assert.equal(href('[c](\x00 JavaScript:alert(1))'), '#');
+  assert.equal(href('<vbscript:msgbox(1)>'), '#');
+  assert.equal(href('[d](data:text/html,<b>x</b>)'), '#');
+  assert.equal(href('[e](custom:chemin)'), '#');
+  assert.equal(href('![f](data:image/png;base64,AAAA)'), 'data:image/png;base64,AAAA');
+  assert.equal(href('[g](https://example.org/a?b=1)'), 'https://example.org/a?b=1');
+  assert.equal(href('<mailto:moi@example.org>'), 'mailto:moi@example.org');
+  assert.equal(href('[h](../notes/chat.md#titre)'), '../notes/chat.md#titre');
+  assert.equal(href('[i](#titre)'), '#titre');
+});
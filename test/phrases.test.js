@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../lemmatizer-core');
+
+const dict = core.createDictionary([
+  ['au', [['au', 'PRE:det']]],
+  ['du', [['du', 'PRE:det']]],
+  ['se', [['se', 'PRO:per']]],
+  ['met', [['mettre', 'VER']]],
+  ['mettent', [['mettre', 'VER']]],
+  ['à', [['à', 'PRE']]]
+]);
+
+const phrases = (text) => core.analyze(text, dict).repeatedPhrases
+  .map(({ phrase, count }) => `${phrase} (${count})`);
+
+test('une expression retenue masque ses sous-expressions', () => {
+  const text = 'Au bout du compte, il part. Au bout du compte, nous restons.';
+  assert.deepEqual(phrases(text), ['au bout du compte (2)']);
+});
+
+test('une sous-expression présente hors de l\'expression plus longue reste listée', () => {
+  const text = 'Elle se met à courir. Nous partons. Elle se met à courir. Ils se mettent à chanter.';
+  assert.deepEqual(phrases(text), ['elle se mettre à courir (2)', 'se mettre à (3)']);
+});
+
+test('une sous-expression entièrement couverte n\'est pas listée', () => {
+  const text = 'Elle se met à courir. Nous partons. Elle se met à courir. Ils chantent.';
+  assert.deepEqual(phrases(text), ['elle se mettre à courir (2)']);
+});
+
+test('les occurrences qui se chevauchent ne comptent qu\'une fois', () => {
+  const { repeatedPhrases } = core.analyze('Bla bla bla bla.', dict, { ignore: { useStopWords: false } });
+  const entry = repeatedPhrases.find(({ phrase }) => phrase === 'bla bla');
+  assert.equal(entry.count, 2);
+  assert.deepEqual(entry.occurrences.map(({ start }) => start), [0, 8]);
+});
+
+test('une expression ne dépasse pas la fin de la phrase', () => {
+  const text = 'Il court vite. Loin devant. Il court vite. Loin devant.';
+  const { repeatedPhrases } = core.analyze(text, dict);
+  assert.deepEqual(repeatedPhrases.map(({ phrase }) => phrase).sort(), ['il court vite', 'loin devant'].sort());
+  for (const { occurrences } of repeatedPhrases) {
+    for (const { start, end } of occurrences) assert.doesNotMatch(text.slice(start, end), /\./);
+  }
+});